@@ -4,6 +4,18 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { extractDisabledItems } = require('./scraper/extract');
+const { parsePrice, formatPrice } = require('./scraper/price');
+const { parseMenuPayloads } = require('./scraper/network');
+const { toggleMenuEntry, confirmToggleDialog } = require('./scraper/toggle');
+const { waitForMagicLink, DEFAULT_LINK_PATTERN } = require('./scraper/imap');
+const { authCookieExpiry, authVerdict } = require('./scraper/session');
+const { parseStore, serializeStore, isEncrypted } = require('./scraper/crypto-store');
+const { DAYS, parseRanges, parseHolidays, formatHolidays, isOpen } = require('./scraper/hours');
+const { createScheduler } = require('./scraper/scheduler');
 
 // ============================================================
 // CONFIGURATION (from environment variables)
@@ -11,48 +23,147 @@ const http = require('http');
 const CONFIG = {
     PORT: process.env.PORT || 3000,
 
-    // Your Wolt merchant menu page URL
+    // Your Wolt merchant menu page URL (seeds the first venue in venues.json)
     WOLT_MENU_URL: process.env.WOLT_MENU_URL || 'https://merchant.wolt.com',
 
     // Your Wolt login email
     WOLT_EMAIL: process.env.WOLT_EMAIL || '',
 
+    // Mailbox that receives the Wolt login emails (optional). When set, an
+    // expired session is renewed by requesting a magic link and reading it from
+    // the inbox; the "session expired" alert only goes out if that fails.
+    IMAP_HOST: process.env.IMAP_HOST || '',
+    IMAP_PORT: parseInt(process.env.IMAP_PORT) || 993,
+    IMAP_TLS: process.env.IMAP_TLS !== 'false',
+    IMAP_USER: process.env.IMAP_USER || process.env.WOLT_EMAIL || '',
+    IMAP_PASSWORD: process.env.IMAP_PASSWORD || '',
+    IMAP_MAILBOX: process.env.IMAP_MAILBOX || 'INBOX',
+    IMAP_FROM: process.env.IMAP_FROM || 'wolt.com',
+    IMAP_LINK_PATTERN: process.env.IMAP_LINK_PATTERN || '',
+    IMAP_WAIT: (parseInt(process.env.IMAP_WAIT) || 180) * 1000,
+
+    // Hours before the Wolt login cookie expires to log in again via the
+    // mailbox (or, without one, to warn contacts to do it by hand)
+    WOLT_SESSION_WARN_HOURS: parseInt(process.env.WOLT_SESSION_WARN_HOURS) || 24,
+
     // Google Apps Script Web App URL
     APPS_SCRIPT_URL: process.env.APPS_SCRIPT_URL || '',
 
     // Green API for WhatsApp alerts (optional)
+    GREEN_API_URL: process.env.GREEN_API_URL || 'https://api.green-api.com',
     GREEN_API_INSTANCE: process.env.GREEN_API_INSTANCE || '',
     GREEN_API_TOKEN: process.env.GREEN_API_TOKEN || '',
     WHATSAPP_CHAT_ID: process.env.WHATSAPP_CHAT_ID || '',
 
+    // Notification channels contacts may use (comma-separated)
+    NOTIFY_CHANNELS: (process.env.NOTIFY_CHANNELS || 'greenapi,telegram,slack,discord,email,webhook')
+        .split(',').map(c => c.trim()).filter(Boolean),
+
+    // Telegram bot alerts (optional)
+    TELEGRAM_API_URL: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
+
+    // SMTP email alerts (optional)
+    SMTP_HOST: process.env.SMTP_HOST || '',
+    SMTP_PORT: parseInt(process.env.SMTP_PORT) || 587,
+    SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+    SMTP_USER: process.env.SMTP_USER || '',
+    SMTP_PASS: process.env.SMTP_PASS || '',
+    SMTP_FROM: process.env.SMTP_FROM || 'Wolt Monitor <monitor@localhost>',
+
     // Scrape interval (ms) - how often to read the page
     SCRAPE_INTERVAL: parseInt(process.env.SCRAPE_INTERVAL) || 20000,
 
+    // Full scan interval (seconds -> ms): how often the whole menu is scrolled
+    // through; the scrapes in between only read the rows on screen
+    FULL_SCAN_INTERVAL: (parseInt(process.env.FULL_SCAN_INTERVAL) || 120) * 1000,
+
+    // Scrape interval outside a venue's opening hours (seconds -> ms), for venues set to
+    // slow down rather than pause while closed
+    CLOSED_SCRAPE_INTERVAL: (parseInt(process.env.CLOSED_SCRAPE_INTERVAL) || 600) * 1000,
+
     // Sheet send interval (ms) - minimum time between sends if no changes
     SHEET_SEND_INTERVAL: parseInt(process.env.SHEET_SEND_INTERVAL) || 300000,
 
     // Cookie file path (persistent storage)
     COOKIE_PATH: process.env.COOKIE_PATH || path.join(__dirname, 'data', 'cookies.json'),
 
-    // Simple auth password for the web UI
-    UI_PASSWORD: process.env.UI_PASSWORD || 'wolt2024',
+    // Encrypts cookies, contacts and credentials on disk (AES-256-GCM, key
+    // derived from this secret). Change it with `npm run rotate-key`
+    DATA_SECRET: process.env.DATA_SECRET || '',
+
+    // Versioned selector profile for the menu scraper
+    SELECTORS_PATH: process.env.SELECTORS_PATH || path.join(__dirname, 'selectors.json'),
+
+    // Where menu data comes from: 'dom' (scrape the page), 'network' (the
+    // portal's own JSON responses, DOM as fallback) or 'auto' (network when
+    // captured, DOM otherwise, without flagging the fallback)
+    DATA_SOURCE: ['dom', 'network', 'auto'].includes(process.env.DATA_SOURCE) ? process.env.DATA_SOURCE : 'dom',
+
+    // First web UI admin, created in users.json on a fresh data disk (further
+    // users are managed from the UI). UI_PASSWORD is honoured for old deployments;
+    // with neither set a random password is generated and printed once.
+    ADMIN_USER: (process.env.ADMIN_USER || 'admin').trim().toLowerCase(),
+    ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || process.env.UI_PASSWORD || '',
+
+    // Web UI sessions end after this many hours without activity
+    SESSION_HOURS: parseInt(process.env.SESSION_HOURS) || 12,
+
+    // Timezone used when formatting alert and dashboard times
+    TIMEZONE: process.env.TIMEZONE || 'Europe/Tirane',
+
+    // Currency assumed when a scraped price shows no symbol (venues can override)
+    CURRENCY: process.env.CURRENCY || 'ALL',
+
+    // Seed the default "anything disabled / re-enabled" alert rules as active
+    CHANGE_ALERTS: process.env.CHANGE_ALERTS !== 'false',
 };
 
 // ============================================================
 // STATE
 // ============================================================
 let browser = null;
-let page = null;
 let isLoggedIn = false;
-let lastScrapeTime = null;
-let lastSendTime = null;
-let lastSentHash = '';
-let lastSheetSendTimestamp = 0;
-let lastItems = [];
-let scrapeErrors = 0;
-let totalScrapes = 0;
 let loginAlertSent = false;
-let scrapeInterval = null;
+const venueStates = new Map(); // venueId -> runtime state, see createVenueState()
+
+// ============================================================
+// ENCRYPTION AT REST (see scraper/crypto-store.js)
+// ============================================================
+// Cookies, contacts and credentials go through these; the other stores are plain JSON
+function readSecretStore(file) {
+    return parseStore(fs.readFileSync(file, 'utf-8'), CONFIG.DATA_SECRET);
+}
+
+function writeSecretStore(file, value) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, serializeStore(value, CONFIG.DATA_SECRET), { mode: 0o600 });
+}
+
+function secretStorePaths() {
+    return [CONFIG.COOKIE_PATH, CONTACTS_PATH, USERS_PATH, API_TOKENS_PATH, WEBHOOKS_PATH, OUTBOX_PATH];
+}
+
+// At startup: refuse to run on a store the secret cannot open (the loaders
+// would otherwise start over with defaults), and encrypt any still in plain JSON
+function sealSecretStores() {
+    if (!CONFIG.DATA_SECRET) console.warn('[Storage] DATA_SECRET is not set: cookies, contacts, credentials and queued alerts are stored unencrypted');
+    for (const file of secretStorePaths().filter(f => fs.existsSync(f))) {
+        let text;
+        let value;
+        try {
+            text = fs.readFileSync(file, 'utf-8');
+            value = parseStore(text, CONFIG.DATA_SECRET);
+        } catch (err) {
+            throw new Error(`Cannot read ${file}: ${err.message}`);
+        }
+        if (CONFIG.DATA_SECRET && !isEncrypted(JSON.parse(text))) {
+            writeSecretStore(file, value);
+            console.log(`[Storage] Encrypted ${path.basename(file)}`);
+        }
+    }
+}
 
 // ============================================================
 // CONTACTS MANAGEMENT (persistent, switchable from UI)
@@ -60,17 +171,20 @@ let scrapeInterval = null;
 const CONTACTS_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'contacts.json');
 
 // Default contacts - customize these
+// `channel` picks the notifier (see NOTIFIERS); `chatId` is the address on that channel
 const DEFAULT_CONTACTS = [
-    { id: 'mateo', name: 'Mateo', chatId: CONFIG.WHATSAPP_CHAT_ID || '', active: true },
+    { id: 'mateo', name: 'Mateo', channel: 'greenapi', chatId: CONFIG.WHATSAPP_CHAT_ID || '', active: true },
 ];
 
 function loadContacts() {
     try {
         if (fs.existsSync(CONTACTS_PATH)) {
-            return JSON.parse(fs.readFileSync(CONTACTS_PATH, 'utf-8'));
+            return readSecretStore(CONTACTS_PATH);
         }
     } catch (err) {
+        // Keep the unreadable file for a look (wrong DATA_SECRET?) instead of seeding over it
         console.error('[Contacts] Error loading:', err.message);
+        return [];
     }
     // Initialize with defaults
     saveContacts(DEFAULT_CONTACTS);
@@ -78,29 +192,120 @@ function loadContacts() {
 }
 
 function saveContacts(contacts) {
-    const dir = path.dirname(CONTACTS_PATH);
+    writeSecretStore(CONTACTS_PATH, contacts);
+    publishContacts(contacts);
+}
+
+// Optionally restricted to a venue's recipient list (empty list = everyone)
+function getActiveContacts(contactIds = []) {
+    return loadContacts().filter(c => c.active && c.chatId && (contactIds.length === 0 || contactIds.includes(c.id)));
+}
+
+// ============================================================
+// VENUES (persistent registry, one browser page per venue)
+// ============================================================
+const VENUES_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'venues.json');
+const DEFAULT_VENUE_ID = 'main';
+
+const DEFAULT_VENUES = [
+    {
+        id: DEFAULT_VENUE_ID,
+        name: 'Main venue',
+        menuUrl: CONFIG.WOLT_MENU_URL,
+        scrapeInterval: CONFIG.SCRAPE_INTERVAL,
+        fullScanInterval: CONFIG.FULL_SCAN_INTERVAL,
+        appsScriptUrl: CONFIG.APPS_SCRIPT_URL,
+        contactIds: [], // empty = all active contacts
+        active: true,
+    },
+];
+
+function loadVenues() {
+    try {
+        if (fs.existsSync(VENUES_PATH)) {
+            return JSON.parse(fs.readFileSync(VENUES_PATH, 'utf-8'));
+        }
+    } catch (err) {
+        console.error('[Venues] Error loading:', err.message);
+    }
+    // Initialize with defaults
+    saveVenues(DEFAULT_VENUES);
+    return DEFAULT_VENUES;
+}
+
+function saveVenues(venues) {
+    const dir = path.dirname(VENUES_PATH);
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(CONTACTS_PATH, JSON.stringify(contacts, null, 2));
+    fs.writeFileSync(VENUES_PATH, JSON.stringify(venues, null, 2));
+}
+
+function createVenueState(venue) {
+    return {
+        venue,
+        page: null,
+        lastScrapeTime: null,
+        lastSendTime: null,
+        lastSentHash: '',
+        lastQueuedHash: '',
+        lastSheetSendTimestamp: 0,
+        lastItems: [],
+        disabledState: new Map(), // itemKey -> { item, since }
+        hasBaseline: false,
+        recentEvents: [],
+        menu: new Map(),        // itemKey -> full-menu entry incl. enabled flag, see applyMenuSnapshot()
+        menuMissing: new Map(), // itemKey -> full scans in a row it was missing from
+        menuUpdatedAt: null,
+        ruleFired: new Set(), // one-shot alert rules already triggered, see evaluateRules()
+        apiResponses: new Map(), // url -> { headers, data, at } captured menu JSON, see captureApiResponse()
+        dataSource: null,        // 'network' or 'dom' for the last scrape
+        scrapeStrategy: null,  // which selector (or 'text-anchor') found the rows
+        scraperBroken: null,   // { since, profileVersion, menuSignals } while no rows match
+        scrapeErrors: 0,       // reset by a page reload, see doScrape()
+        totalScrapes: 0,
+        scanTimer: null,       // see scraper/scheduler.js
+        nextScanAt: null,
+        scanning: false,
+        scanRequested: false,  // "scan now" while a run was in progress
+        stopped: true,
+        failedRuns: 0,         // in a row, only reset by a good run; drives the backoff
+        lastFullScanAt: 0,
+        runs: [],              // newest first, see recordRun()
+        open: null,            // inside opening hours at the last tick
+        lastClosedScrape: 0,
+        pageQueue: Promise.resolve(), // serializes scrapes and toggles on this page, see runExclusive()
+    };
+}
+
+// Any open venue page works for account-level actions (login, screenshots)
+function getVenueState(venueId) {
+    if (venueId && venueStates.has(venueId)) return venueStates.get(venueId);
+    return [...venueStates.values()].find(s => s.page) || null;
 }
 
-function getActiveContacts() {
-    return loadContacts().filter(c => c.active && c.chatId);
+function allLastItems() {
+    return [...venueStates.values()].flatMap(s => s.lastItems.map(i => ({ ...i, venue: s.venue.name })));
 }
 
 // ============================================================
 // COOKIE MANAGEMENT
 // ============================================================
+// What cookies.json holds, so the scrape loop only writes when the jar changed
+let savedCookiesJson = null;
+
 function saveCookies(cookies) {
-    const dir = path.dirname(CONFIG.COOKIE_PATH);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(CONFIG.COOKIE_PATH, JSON.stringify(cookies, null, 2));
+    const json = JSON.stringify(cookies);
+    if (json === savedCookiesJson) return;
+    writeSecretStore(CONFIG.COOKIE_PATH, cookies);
+    savedCookiesJson = json;
     console.log(`[Cookies] Saved ${cookies.length} cookies to disk`);
+    noteSessionCookies(cookies);
 }
 
 function loadCookies() {
     try {
         if (fs.existsSync(CONFIG.COOKIE_PATH)) {
-            const cookies = JSON.parse(fs.readFileSync(CONFIG.COOKIE_PATH, 'utf-8'));
+            const cookies = readSecretStore(CONFIG.COOKIE_PATH);
+            savedCookiesJson = JSON.stringify(cookies);
             console.log(`[Cookies] Loaded ${cookies.length} cookies from disk`);
             return cookies;
         }
@@ -111,471 +316,2703 @@ function loadCookies() {
 }
 
 // ============================================================
-// WHATSAPP ALERT
+// WOLT SESSION HEALTH (login age and expiry, kept across restarts)
 // ============================================================
-function sendWhatsAppAlert(message) {
-    if (!CONFIG.GREEN_API_INSTANCE || !CONFIG.GREEN_API_TOKEN) {
-        console.log('[WhatsApp] Alert skipped (not configured):', message);
-        return;
+const SESSION_HEALTH_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'session.json');
+
+// { loggedInAt, cookie: { name, expiresAt }, lastCheck: { at, status }, warnedFor }
+// warnedFor is the cookie expiry that was already warned about / renewed
+let sessionHealth = null;
+// The last authenticated GET the portal made, replayed by checkLoginStatus()
+let authProbe = null;
+
+function loadSessionHealth() {
+    if (sessionHealth) return sessionHealth;
+    let stored = {};
+    try {
+        if (fs.existsSync(SESSION_HEALTH_PATH)) stored = JSON.parse(fs.readFileSync(SESSION_HEALTH_PATH, 'utf-8'));
+    } catch (err) {
+        console.error('[Session] Error loading:', err.message);
     }
+    sessionHealth = { loggedInAt: null, cookie: null, lastCheck: null, warnedFor: null, ...stored };
+    return sessionHealth;
+}
 
-    const activeContacts = getActiveContacts();
-    if (activeContacts.length === 0) {
-        console.log('[WhatsApp] No active contacts, skipping alert');
+function saveSessionHealth() {
+    const dir = path.dirname(SESSION_HEALTH_PATH);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(SESSION_HEALTH_PATH, JSON.stringify(sessionHealth, null, 2));
+}
+
+function noteSessionCookies(cookies) {
+    const health = loadSessionHealth();
+    const cookie = authCookieExpiry(cookies, loadSelectorProfile().session);
+    if (JSON.stringify(cookie) === JSON.stringify(health.cookie)) return;
+    health.cookie = cookie;
+    saveSessionHealth();
+    if (cookie) console.log(`[Session] Login cookie ${cookie.name} expires ${cookie.expiresAt}`);
+}
+
+// `fresh`: a login just happened, so the session's age starts now
+function noteLoginState(loggedIn, { fresh = false } = {}) {
+    const health = loadSessionHealth();
+    if (loggedIn && (fresh || !health.loggedInAt)) {
+        health.loggedInAt = new Date().toISOString();
+        saveSessionHealth();
+    } else if (!loggedIn && health.loggedInAt) {
+        health.loggedInAt = null;
+        saveSessionHealth();
+    }
+}
+
+// Only kept in memory between other saves; it changes on every API call
+function noteAuthCheck(status) {
+    loadSessionHealth().lastCheck = { at: new Date().toISOString(), status };
+}
+
+// Every authenticated portal request says whether the session still works
+function trackAuthResponse(response) {
+    const request = response.request();
+    if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+    const { session } = loadSelectorProfile();
+    if (!session || !new RegExp(session.apiPattern, 'i').test(response.url())) return;
+    const verdict = authVerdict(response.status());
+    if (verdict === null) return;
+    noteAuthCheck(response.status());
+    if (verdict && request.method() === 'GET') {
+        const headers = Object.fromEntries(Object.entries(request.headers()).filter(([name]) => REPLAY_HEADERS.test(name)));
+        authProbe = { url: response.url(), headers };
+    }
+}
+
+function sessionStatus() {
+    const health = loadSessionHealth();
+    return {
+        loggedInAt: health.loggedInAt,
+        expiresAt: health.cookie ? health.cookie.expiresAt : null,
+        authCookie: health.cookie ? health.cookie.name : null,
+        lastCheck: health.lastCheck,
+    };
+}
+
+// Ahead of the cookie's expiry, log in again from the mailbox or ask people to
+function checkSessionExpiry() {
+    const health = loadSessionHealth();
+    if (!isLoggedIn || !health.cookie || health.warnedFor === health.cookie.expiresAt) return;
+    const left = new Date(health.cookie.expiresAt) - Date.now();
+    if (left > CONFIG.WOLT_SESSION_WARN_HOURS * 3600000) return;
+    health.warnedFor = health.cookie.expiresAt;
+    saveSessionHealth();
+
+    const when = `in ${formatDuration(Math.max(left, 0))} (${formatTime(health.cookie.expiresAt)})`;
+    if (!mailboxConfigured()) {
+        sendAlert(`⏳ Wolt Monitor: the Wolt session expires ${when}. Please login again at your Render URL before then.`);
         return;
     }
+    console.log(`[Session] Login expires ${when}, logging in again via the mailbox...`);
+    autoLogin({ beforeExpiry: true }).then(error => {
+        if (!error) return console.log('[Session] Login renewed via the mailbox');
+        console.error('[Session] Renewing the login failed:', error);
+        sendAlert(`⏳ Wolt Monitor: the Wolt session expires ${when} and renewing it from the mailbox failed (${error}). Please login again at your Render URL before then.`);
+    });
+}
 
-    activeContacts.forEach(contact => {
-        const url = `https://api.green-api.com/waInstance${CONFIG.GREEN_API_INSTANCE}/sendMessage/${CONFIG.GREEN_API_TOKEN}`;
-        const payload = JSON.stringify({
-            chatId: contact.chatId,
-            message: message,
-        });
+// ============================================================
+// NOTIFICATIONS (pluggable channels, chosen per contact)
+// ============================================================
 
+// POST a JSON body and resolve with { statusCode, body }; non-2xx rejects
+// (allowRedirect: Apps Script answers a handled POST with a 302 to its output)
+function postJson(url, body, headers = {}, { allowRedirect = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const payload = JSON.stringify(body);
         const urlObj = new URL(url);
-        const req = https.request({
+        const client = urlObj.protocol === 'https:' ? https : http;
+        const req = client.request({
             hostname: urlObj.hostname,
-            path: urlObj.pathname,
+            port: urlObj.port || undefined,
+            path: urlObj.pathname + urlObj.search,
             method: 'POST',
-            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+            headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers },
         }, (res) => {
             let data = '';
             res.on('data', chunk => data += chunk);
-            res.on('end', () => console.log(`[WhatsApp] Alert sent to ${contact.name}:`, data));
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < (allowRedirect ? 400 : 300)) {
+                    resolve({ statusCode: res.statusCode, body: data });
+                } else {
+                    reject(new Error(`HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
+                }
+            });
         });
-        req.on('error', err => console.error(`[WhatsApp] Alert error (${contact.name}):`, err.message));
+        req.on('error', reject);
+        req.setTimeout(15000, () => req.destroy(new Error('Request timed out')));
         req.write(payload);
         req.end();
     });
 }
 
-// ============================================================
-// SEND TO GOOGLE APPS SCRIPT
-// ============================================================
-function sendToAppsScript(items) {
-    if (!CONFIG.APPS_SCRIPT_URL) {
-        console.log('[Sheet] Skipped (not configured)');
-        return;
+let mailTransport = null;
+
+function getMailTransport() {
+    if (!mailTransport) {
+        mailTransport = nodemailer.createTransport({
+            host: CONFIG.SMTP_HOST,
+            port: CONFIG.SMTP_PORT,
+            secure: CONFIG.SMTP_SECURE,
+            auth: CONFIG.SMTP_USER ? { user: CONFIG.SMTP_USER, pass: CONFIG.SMTP_PASS } : undefined,
+        });
     }
+    return mailTransport;
+}
 
-    const hash = JSON.stringify(items.map(i => `${i.type}:${i.name}`).sort());
-    const now = Date.now();
+// Each channel delivers `message` to contact.chatId, which holds the
+// channel-specific address (WhatsApp chat ID, Telegram chat ID, webhook URL, email)
+const NOTIFIERS = {
+    greenapi: {
+        label: 'WhatsApp (Green API)',
+        icon: '💬',
+        configured: () => !!(CONFIG.GREEN_API_INSTANCE && CONFIG.GREEN_API_TOKEN),
+        send: (contact, message) => postJson(
+            `${CONFIG.GREEN_API_URL}/waInstance${CONFIG.GREEN_API_INSTANCE}/sendMessage/${CONFIG.GREEN_API_TOKEN}`,
+            { chatId: contact.chatId, message },
+        ),
+    },
+    telegram: {
+        label: 'Telegram bot',
+        icon: '✈️',
+        configured: () => !!CONFIG.TELEGRAM_BOT_TOKEN,
+        send: (contact, message) => postJson(
+            `${CONFIG.TELEGRAM_API_URL}/bot${CONFIG.TELEGRAM_BOT_TOKEN}/sendMessage`,
+            { chat_id: contact.chatId, text: message },
+        ),
+    },
+    slack: {
+        label: 'Slack webhook',
+        icon: '🟪',
+        configured: () => true,
+        send: (contact, message) => postJson(contact.chatId, { text: message }),
+    },
+    discord: {
+        label: 'Discord webhook',
+        icon: '🎮',
+        configured: () => true,
+        send: (contact, message) => postJson(contact.chatId, { content: message }),
+    },
+    email: {
+        label: 'Email (SMTP)',
+        icon: '✉️',
+        configured: () => !!CONFIG.SMTP_HOST,
+        send: (contact, message) => getMailTransport().sendMail({
+            from: CONFIG.SMTP_FROM,
+            to: contact.chatId,
+            subject: message.split('\n')[0].slice(0, 120),
+            text: message,
+        }),
+    },
+    webhook: {
+        label: 'JSON webhook',
+        icon: '🔗',
+        configured: () => true,
+        send: (contact, message) => postJson(contact.chatId, {
+            source: 'wolt-monitor',
+            contact: contact.name,
+            message,
+            timestamp: new Date().toISOString(),
+        }),
+    },
+};
 
-    if (hash === lastSentHash && (now - lastSheetSendTimestamp) < CONFIG.SHEET_SEND_INTERVAL) {
-        return; // No changes and not enough time passed
-    }
+function contactChannel(contact) {
+    return contact.channel || 'greenapi'; // contacts saved before channels existed
+}
 
-    lastSentHash = hash;
-    lastSheetSendTimestamp = now;
-    lastSendTime = new Date().toISOString();
+function isChannelEnabled(channel) {
+    return CONFIG.NOTIFY_CHANNELS.includes(channel) && !!NOTIFIERS[channel] && NOTIFIERS[channel].configured();
+}
 
-    const payload = JSON.stringify({
-        action: 'update_disabled',
-        timestamp: new Date().toISOString(),
-        items: items,
+// Queue a message for one contact on the outbox; returns the entry (or null if skipped)
+function notifyContact(contact, message) {
+    const channel = contactChannel(contact);
+    if (!isChannelEnabled(channel)) {
+        console.log(`[Notify] ${contact.name}: channel '${channel}' not enabled/configured, skipped`);
+        return null;
+    }
+    return enqueueOutbox('notify', {
+        contact: { id: contact.id, name: contact.name, channel, chatId: contact.chatId },
+        message,
     });
+}
 
-    const urlObj = new URL(CONFIG.APPS_SCRIPT_URL);
-    const client = urlObj.protocol === 'https:' ? https : http;
-
-    const req = client.request({
-        hostname: urlObj.hostname,
-        path: urlObj.pathname + urlObj.search,
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
-    }, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => console.log(`[Sheet] Sent ${items.length} items, response: ${res.statusCode}`));
-    });
-    req.on('error', err => console.error('[Sheet] Send error:', err.message));
-    req.write(payload);
-    req.end();
+function sendAlert(message, contactIds = []) {
+    const activeContacts = getActiveContacts(contactIds);
+    if (activeContacts.length === 0) {
+        console.log('[Notify] No active contacts, skipping alert:', message);
+        return [];
+    }
+    return activeContacts.map(contact => notifyContact(contact, message));
 }
 
 // ============================================================
-// BROWSER MANAGEMENT
+// ALERT DELIVERY POLICY (quiet hours, batching, digests per contact)
 // ============================================================
-async function launchBrowser() {
-    console.log('[Browser] Launching (low-memory mode)...');
-    browser = await puppeteer.launch({
-        headless: 'new',
-        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--disable-extensions',
-            '--disable-background-networking',
-            '--disable-default-apps',
-            '--disable-sync',
-            '--disable-translate',
-            '--no-first-run',
-            '--single-process',
-            '--no-zygote',
-            '--disable-breakpad',
-            '--disable-component-update',
-            '--disable-domain-reliability',
-            '--disable-features=AudioServiceOutOfProcess,IsolateOrigins,site-per-process',
-            '--disable-hang-monitor',
-            '--disable-ipc-flooding-protection',
-            '--disable-popup-blocking',
-            '--disable-prompt-on-repost',
-            '--disable-renderer-backgrounding',
-            '--disable-site-isolation-trials',
-            '--disable-speech-api',
-            '--disable-background-timer-throttling',
-            '--disable-backgrounding-occluded-windows',
-            '--metrics-recording-only',
-            '--mute-audio',
-            '--no-default-browser-check',
-            '--js-flags=--max-old-space-size=128',
-        ],
-    });
-    console.log('[Browser] Launched successfully');
+const DIGEST_CHECK_INTERVAL = 30000;
+const pendingAlerts = new Map(); // contactId -> { messages: [], timer }
+const sentDigests = new Set();   // `${contactId} ${date} ${time}` already sent
+let digestInterval = null;
+
+// Stored on the contact as `policy`; missing fields fall back to these
+function contactPolicy(contact) {
+    return {
+        quietStart: '',        // 'HH:MM', empty = no quiet hours
+        quietEnd: '',
+        timezone: CONFIG.TIMEZONE,
+        batchMinutes: 0,       // 0 = send rule alerts immediately
+        digestTimes: [],       // ['08:00', '16:00'] = daily / shift digests
+        ...(contact.policy || {}),
+    };
 }
 
-async function setupPage() {
-    if (!browser) await launchBrowser();
-    page = await browser.newPage();
+function localClock(timezone, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
 
-    // Aggressive memory saving: block images, fonts, media, stylesheets
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-        const type = req.resourceType();
-        if (['image', 'font', 'media'].includes(type)) {
-            req.abort();
-        } else {
-            req.continue();
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+// Minutes left until quiet hours end, or 0 when not in quiet hours
+function quietMinutesLeft(policy, date = new Date()) {
+    if (!policy.quietStart || !policy.quietEnd) return 0;
+    const now = toMinutes(localClock(policy.timezone, date).time);
+    const start = toMinutes(policy.quietStart);
+    const end = toMinutes(policy.quietEnd);
+    const inQuiet = start <= end ? now >= start && now < end : now >= start || now < end;
+    return inQuiet ? (end - now + 1440) % 1440 : 0;
+}
+
+// Rule alerts go through here; system alerts (session, tests) use sendAlert directly
+function queueAlert(message, contactIds = []) {
+    getActiveContacts(contactIds).forEach(contact => {
+        const policy = contactPolicy(contact);
+        const quietLeft = quietMinutesLeft(policy);
+        if (!policy.batchMinutes && !quietLeft) {
+            notifyContact(contact, message);
+            return;
+        }
+
+        const pending = pendingAlerts.get(contact.id) || { messages: [], timer: null };
+        pending.messages.push(message);
+        pendingAlerts.set(contact.id, pending);
+        if (!pending.timer) {
+            const waitMinutes = Math.max(policy.batchMinutes, quietLeft);
+            pending.timer = setTimeout(() => flushAlerts(contact.id), waitMinutes * 60000);
+            console.log(`[Notify] ${contact.name}: holding alerts for ${waitMinutes}m${quietLeft ? ' (quiet hours)' : ''}`);
         }
     });
+}
 
-    // Set viewport small to save memory
-    await page.setViewport({ width: 1280, height: 800 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
+function flushAlerts(contactId) {
+    const pending = pendingAlerts.get(contactId);
+    pendingAlerts.delete(contactId);
+    const contact = loadContacts().find(c => c.id === contactId && c.active);
+    if (!pending || !contact) return;
 
-    // Load cookies if available
-    const cookies = loadCookies();
-    if (cookies) {
-        await page.setCookie(...cookies);
-        console.log('[Browser] Restored saved cookies');
+    // Quiet hours may have started (or been extended) while batching
+    const quietLeft = quietMinutesLeft(contactPolicy(contact));
+    if (quietLeft) {
+        pending.timer = setTimeout(() => flushAlerts(contactId), quietLeft * 60000);
+        pendingAlerts.set(contactId, pending);
+        return;
     }
 
-    return page;
+    const { messages } = pending;
+    const message = messages.length === 1
+        ? messages[0]
+        : `📦 Wolt Monitor: ${messages.length} alerts\n\n${messages.join('\n\n')}`;
+    notifyContact(contact, message);
 }
 
-// ============================================================
-// SCRAPING LOGIC (mirrors Tampermonkey script)
-// ============================================================
-async function scrapeDisabledItems() {
-    return await page.evaluate(() => {
-        const items = [];
-        let currentCategory = 'Uncategorized';
-
-        const rows = document.querySelectorAll('[class*="gQlFER"]');
+function formatDigest(contact, sinceMs) {
+    const venues = loadVenues().filter(v => !v.contactIds || v.contactIds.length === 0 || v.contactIds.includes(contact.id));
+    const intervals = buildIntervals(loadHistory());
+    const now = Date.now();
+    const sections = [];
 
-        rows.forEach(row => {
-            // Category header
-            const categoryEl = row.querySelector('[class*="itoaO"]');
-            if (categoryEl) {
-                currentCategory = categoryEl.textContent.trim();
-                return;
-            }
+    venues.forEach(venue => {
+        const own = intervals.filter(i => i.venue === venue.id);
+        const started = own.filter(i => !i.baseline && new Date(i.start).getTime() >= sinceMs);
+        const stillOff = own.filter(i => !i.end);
+        if (started.length === 0 && stillOff.length === 0) return;
 
-            // Get tags
-            const tagEls = row.querySelectorAll('[class*="al-Tag-lbl-d84"]');
-            let hasDisabledTag = false;
-            let hasDisabledChoice = false;
+        const label = i => i.item.type === 'option' ? `${i.item.name} (${i.item.optionGroup})` : i.item.name;
+        const lines = [`🏪 ${venue.name}`];
+        if (started.length > 0) {
+            lines.push(`Disabled since last digest (${started.length}):`);
+            started.slice(0, 25).forEach(i => lines.push(`• ${label(i)} — ${formatDuration(i.durationMs)}${i.end ? '' : ' (still off)'}`));
+            if (started.length > 25) lines.push(`…and ${started.length - 25} more`);
+        }
+        if (stillOff.length > 0) {
+            lines.push(`Still off now (${stillOff.length}):`);
+            stillOff.slice(0, 25).forEach(i => lines.push(`• ${label(i)} — off ${formatDuration(now - new Date(i.start))}`));
+            if (stillOff.length > 25) lines.push(`…and ${stillOff.length - 25} more`);
+        }
+        sections.push(lines.join('\n'));
+    });
 
-            tagEls.forEach(tag => {
-                const text = tag.textContent.trim().toUpperCase();
-                if (text === 'DISABLED') hasDisabledTag = true;
-                if (text.match(/^DISABLED CHOICE\s*\(\d+\)$/)) hasDisabledChoice = true;
-            });
+    const header = `📋 Wolt Monitor digest — since ${new Date(sinceMs).toLocaleString('en-GB', { timeZone: contactPolicy(contact).timezone })}`;
+    return sections.length > 0 ? `${header}\n\n${sections.join('\n\n')}` : `${header}\n\n✅ Nothing was disabled.`;
+}
 
-            // CASE 1: Standalone disabled item
-            if (hasDisabledTag) {
-                const nameEl = row.querySelector('[class*="hgTNKZ"], [class*="al-t-caption-label"]');
-                const name = nameEl ? nameEl.textContent.trim() : 'Unknown';
-                const descEl = row.querySelector('[class*="iWwtCn"]');
-                const description = descEl ? descEl.textContent.trim() : '';
-                const priceEl = row.querySelector('[class*="cgreXg"]');
-                let price = priceEl ? priceEl.textContent.trim() : '';
-                price = price.replace(/ALL\s*/i, '').replace(/\u00A0/g, ' ').trim();
-
-                items.push({ name, description, price, category: currentCategory, type: 'item' });
-            }
+// Previous digest slot for this contact (or 24h ago if it has a single daily digest)
+function previousDigestTime(policy, date) {
+    const now = toMinutes(localClock(policy.timezone, date).time);
+    const gaps = policy.digestTimes
+        .map(t => (now - toMinutes(t) + 1440) % 1440)
+        .filter(gap => gap > 0);
+    const minutesBack = gaps.length > 0 ? Math.min(...gaps) : 1440;
+    return date.getTime() - minutesBack * 60000;
+}
 
-            // CASE 2: Option group with disabled choices
-            if (hasDisabledChoice) {
-                const groupNameEl = row.querySelector('[class*="al-t-caption-label"]');
-                const groupName = groupNameEl ? groupNameEl.textContent.trim() : 'Unknown Option Group';
-
-                // Find disabled options via span[disabled]
-                const disabledSpans = row.querySelectorAll('span[disabled]');
-                disabledSpans.forEach(span => {
-                    const priceEl = span.querySelector('[class*="cgreXg"]');
-                    let price = '';
-                    if (priceEl) {
-                        price = priceEl.textContent.trim().replace(/ALL\s*/i, '').replace(/\u00A0/g, ' ').trim();
-                    }
-                    const fullText = span.textContent.trim();
-                    let optionName = fullText.replace(/\s*\([^)]*ALL[^)]*\)\s*$/, '').trim();
-                    if (optionName === fullText && price) {
-                        optionName = fullText.replace(price, '').replace(/ALL/gi, '').replace(/[()]/g, '').replace(/\u00A0/g, ' ').trim();
-                    }
-                    optionName = optionName.replace(/,\s*$/, '').trim();
-
-                    if (optionName) {
-                        items.push({
-                            name: optionName,
-                            description: `Option in: ${groupName}`,
-                            price,
-                            category: currentCategory,
-                            type: 'option',
-                            optionGroup: groupName,
-                        });
-                    }
-                });
+function checkDigests() {
+    const now = new Date();
+    loadContacts().filter(c => c.active && c.chatId).forEach(contact => {
+        const policy = contactPolicy(contact);
+        const { date, time } = localClock(policy.timezone, now);
+        if (!policy.digestTimes.includes(time)) return;
 
-                // Fallback: check for jQyrIl class
-                if (disabledSpans.length === 0) {
-                    const allOptionSpans = row.querySelectorAll('span[dir="auto"][lang]');
-                    allOptionSpans.forEach(span => {
-                        if (span.className.includes('jQyrIl') || span.hasAttribute('disabled')) {
-                            const priceEl = span.querySelector('[class*="cgreXg"]');
-                            let price = '';
-                            if (priceEl) {
-                                price = priceEl.textContent.trim().replace(/ALL\s*/i, '').replace(/\u00A0/g, ' ').trim();
-                            }
-                            const fullText = span.textContent.trim();
-                            let optionName = fullText.replace(/\s*\([^)]*ALL[^)]*\)\s*$/, '').trim();
-                            if (optionName === fullText && price) {
-                                optionName = fullText.replace(price, '').replace(/ALL/gi, '').replace(/[()]/g, '').replace(/\u00A0/g, ' ').trim();
-                            }
-                            optionName = optionName.replace(/,\s*$/, '').trim();
-
-                            if (optionName) {
-                                items.push({
-                                    name: optionName,
-                                    description: `Option in: ${groupName}`,
-                                    price,
-                                    category: currentCategory,
-                                    type: 'option',
-                                    optionGroup: groupName,
-                                });
-                            }
-                        }
-                    });
-                }
-            }
-        });
+        const key = `${contact.id} ${date} ${time}`;
+        if (sentDigests.has(key)) return;
+        sentDigests.add(key);
 
-        return items;
+        console.log(`[Digest] Sending ${time} digest to ${contact.name}`);
+        notifyContact(contact, formatDigest(contact, previousDigestTime(policy, now)));
     });
+    if (sentDigests.size > 1000) sentDigests.clear();
+}
+
+function startDigests() {
+    digestInterval = setInterval(checkDigests, DIGEST_CHECK_INTERVAL);
 }
 
 // ============================================================
-// SCROLL TO LOAD ALL ITEMS (virtual list needs scrolling)
+// SEND TO GOOGLE APPS SCRIPT
 // ============================================================
-async function scrollToLoadAll() {
-    await page.evaluate(async () => {
-        const container = document.querySelector('[class*="virtual-list"], [style*="overflow"]') || document.documentElement;
-        const scrollTarget = container === document.documentElement ? window : container;
+function sendToAppsScript(state, events = []) {
+    const { venue } = state;
+    const items = state.lastItems;
+    const sheetUrl = venue.appsScriptUrl || CONFIG.APPS_SCRIPT_URL;
+    if (!sheetUrl) {
+        console.log(`[Sheet] ${venue.name}: skipped (not configured)`);
+        return;
+    }
 
-        let lastHeight = 0;
-        let sameCount = 0;
+    const hash = JSON.stringify(items.map(i => `${i.type}:${i.name}`).sort());
+    const now = Date.now();
 
-        for (let i = 0; i < 25; i++) { // max 25 scroll steps
-            if (scrollTarget === window) {
-                window.scrollBy(0, 800);
-            } else {
-                container.scrollTop += 800;
-            }
-            await new Promise(r => setTimeout(r, 300));
+    if (events.length === 0 && hash === state.lastQueuedHash && (now - state.lastSheetSendTimestamp) < CONFIG.SHEET_SEND_INTERVAL) {
+        return; // No changes and not enough time passed
+    }
 
-            const currentHeight = scrollTarget === window
-                ? document.documentElement.scrollHeight
-                : container.scrollHeight;
+    // lastSentHash only moves once the outbox confirms delivery
+    state.lastQueuedHash = hash;
+    state.lastSheetSendTimestamp = now;
 
-            if (currentHeight === lastHeight) {
-                sameCount++;
-                if (sameCount >= 3) break; // no more content
-            } else {
-                sameCount = 0;
-            }
-            lastHeight = currentHeight;
-        }
+    const body = {
+        action: 'update_disabled',
+        timestamp: new Date().toISOString(),
+        venue: { id: venue.id, name: venue.name },
+        items: items,
+        revenueAtRisk: revenueAtRisk(items),
+        events: events.map(e => ({ event: e.event, at: e.at, since: e.since || null, from: e.from || null, ...e.item })),
+    };
 
-        // Scroll back to top
-        if (scrollTarget === window) {
-            window.scrollTo(0, 0);
-        } else {
-            container.scrollTop = 0;
-        }
-    });
+    // The sheet takes a full snapshot, so a newer update replaces one still
+    // waiting to be retried (keeping its change events). One being posted
+    // right now is left alone; if it fails it folds into the new entry instead.
+    const waiting = outbox.entries.find(e => e.kind === 'sheet' && e.venueId === venue.id && !outboxInFlight.has(e));
+    if (waiting) {
+        body.events = waiting.body.events.concat(body.events);
+        Object.assign(waiting, { url: sheetUrl, body, hash });
+        saveOutbox();
+        return;
+    }
+    enqueueOutbox('sheet', { venueId: venue.id, url: sheetUrl, body, hash });
 }
 
 // ============================================================
-// CHECK LOGIN STATUS
+// DELIVERY OUTBOX (persistent retry queue for sheet + alerts)
 // ============================================================
-async function checkLoginStatus() {
+const OUTBOX_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'outbox.json');
+const OUTBOX_POLL_INTERVAL = 5000;
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_BASE_DELAY = 10000;     // 10s, 20s, 40s ... capped below
+const OUTBOX_MAX_DELAY = 1800000;    // 30 min
+const OUTBOX_MAX_DEAD = 200;
+
+let outbox = loadOutbox();
+const outboxBusyLanes = new Set();  // lanes with a delivery loop running, see processOutbox()
+let outboxInterval = null;
+const outboxInFlight = new Set();   // entries whose deliver() has not settled yet
+
+// How each kind of entry is delivered; deliver() must reject on failure.
+// Entries go out one at a time per lane, lanes side by side (default: one shared lane).
+const OUTBOX_HANDLERS = {
+    sheet: {
+        describe: e => `Sheet · ${venueName(e.venueId)}`,
+        deliver: e => postJson(e.url, e.body, {}, { allowRedirect: true }),
+        // A failed snapshot queued behind a newer one is dropped, handing its
+        // change events on, so a late retry can't overwrite fresher data
+        superseded: e => {
+            const newer = outbox.entries.find(n => n !== e && n.kind === 'sheet' && n.venueId === e.venueId);
+            if (!newer) return false;
+            newer.body.events = e.body.events.concat(newer.body.events);
+            return true;
+        },
+        delivered: e => {
+            const state = venueStates.get(e.venueId);
+            if (state) {
+                state.lastSentHash = e.hash;
+                state.lastSendTime = new Date().toISOString();
+            }
+            console.log(`[Sheet] ${venueName(e.venueId)}: sent ${e.body.items.length} items, ${e.body.events.length} changes`);
+        },
+    },
+    notify: {
+        describe: e => `${e.contact.channel} · ${e.contact.name}`,
+        deliver: e => NOTIFIERS[e.contact.channel].send(e.contact, e.message),
+        delivered: e => console.log(`[Notify] Alert sent to ${e.contact.name} via ${e.contact.channel}`),
+    },
+    webhook: {
+        describe: e => `Webhook · ${e.webhookName} · ${e.payload.event}`,
+        // One lane per endpoint: a slow receiver only holds up its own events
+        lane: e => `webhook:${e.webhookId}`,
+        deliver: e => deliverWebhook(e),
+        delivered: e => webhookDelivered(e),
+    },
+};
+
+function loadOutbox() {
+    const empty = { entries: [], dead: [], stats: { delivered: 0, failedAttempts: 0, deadLettered: 0, lastError: null, lastDeliveredAt: null } };
     try {
-        const url = page.url();
-        // If redirected to login page or shows login form
-        const isLoginPage = url.includes('/login') || url.includes('/auth');
-        const hasLoginForm = await page.evaluate(() => {
-            return !!document.querySelector('input[type="email"]') ||
-                   !!document.querySelector('[class*="login"]') ||
-                   document.body.textContent.includes('Sign in') ||
-                   document.body.textContent.includes('Log in');
-        });
-        return !(isLoginPage || hasLoginForm);
-    } catch {
-        return false;
+        if (fs.existsSync(OUTBOX_PATH)) {
+            // Queued alerts hold message text and contact addresses, so it's a secret store too
+            const saved = readSecretStore(OUTBOX_PATH);
+            return { ...empty, ...saved, stats: { ...empty.stats, ...saved.stats } };
+        }
+    } catch (err) {
+        console.error('[Outbox] Error loading:', err.message);
     }
+    return empty;
 }
 
-// ============================================================
-// MAIN SCRAPE LOOP
-// ============================================================
-async function doScrape() {
+function saveOutbox() {
     try {
-        totalScrapes++;
-
+        writeSecretStore(OUTBOX_PATH, outbox);
+    } catch (err) {
+        console.error('[Outbox] Error saving:', err.message);
+    }
+}
+
+function enqueueOutbox(kind, data) {
+    const entry = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+        kind,
+        ...data,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: Date.now(),
+        lastError: null,
+    };
+    outbox.entries.push(entry);
+    saveOutbox();
+    setImmediate(processOutbox);
+    return entry;
+}
+
+function backoffDelay(attempts) {
+    return Math.min(OUTBOX_BASE_DELAY * 2 ** (attempts - 1), OUTBOX_MAX_DELAY);
+}
+
+// One delivery attempt: done, retried later with backoff, or dead-lettered
+async function deliverOutboxEntry(entry) {
+    const handler = OUTBOX_HANDLERS[entry.kind];
+    entry.attempts++;
+    outboxInFlight.add(entry);
+    try {
+        await handler.deliver(entry);
+        outbox.entries = outbox.entries.filter(e => e !== entry);
+        outbox.stats.delivered++;
+        outbox.stats.lastDeliveredAt = new Date().toISOString();
+        if (handler.delivered) handler.delivered(entry);
+    } catch (err) {
+        entry.lastError = err.message;
+        outbox.stats.failedAttempts++;
+        outbox.stats.lastError = `${handler.describe(entry)}: ${err.message}`;
+        if (handler.superseded && handler.superseded(entry)) {
+            outbox.entries = outbox.entries.filter(e => e !== entry);
+            console.error(`[Outbox] ${handler.describe(entry)}: attempt ${entry.attempts} failed (${err.message}), replaced by a newer update`);
+        } else if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+            outbox.entries = outbox.entries.filter(e => e !== entry);
+            outbox.dead = [{ ...entry, deadAt: new Date().toISOString() }, ...outbox.dead].slice(0, OUTBOX_MAX_DEAD);
+            outbox.stats.deadLettered++;
+            console.error(`[Outbox] ${handler.describe(entry)}: giving up after ${entry.attempts} attempts:`, err.message);
+        } else {
+            entry.nextAttemptAt = Date.now() + backoffDelay(entry.attempts);
+            console.error(`[Outbox] ${handler.describe(entry)}: attempt ${entry.attempts} failed (${err.message}), retrying in ${Math.round(backoffDelay(entry.attempts) / 1000)}s`);
+        }
+    } finally {
+        outboxInFlight.delete(entry);
+    }
+    saveOutbox();
+}
+
+// Starts every lane with due entries that is not already delivering, so a lane
+// stuck on a slow receiver never holds up entries queued later on other lanes
+async function processOutbox() {
+    const lanes = new Map();
+    for (const entry of outbox.entries.filter(e => e.nextAttemptAt <= Date.now())) {
+        const handler = OUTBOX_HANDLERS[entry.kind];
+        const lane = handler.lane ? handler.lane(entry) : 'main';
+        if (!outboxBusyLanes.has(lane)) lanes.set(lane, [...(lanes.get(lane) || []), entry]);
+    }
+    await Promise.all([...lanes].map(async ([lane, entries]) => {
+        outboxBusyLanes.add(lane);
+        try {
+            // Skip entries dropped while waiting their turn (e.g. superseded sheet updates)
+            for (const entry of entries) {
+                if (outbox.entries.includes(entry)) await deliverOutboxEntry(entry);
+            }
+        } finally {
+            outboxBusyLanes.delete(lane);
+        }
+    }));
+    if (lanes.size > 0) publishOverview();
+}
+
+function retryDeadLetter(id) {
+    const entry = outbox.dead.find(e => e.id === id);
+    if (!entry) return false;
+    outbox.dead = outbox.dead.filter(e => e !== entry);
+    delete entry.deadAt;
+    outbox.entries.push({ ...entry, attempts: 0, nextAttemptAt: Date.now() });
+    saveOutbox();
+    setImmediate(processOutbox);
+    return true;
+}
+
+function outboxStats() {
+    return {
+        pending: outbox.entries.length,
+        dead: outbox.dead.length,
+        ...outbox.stats,
+    };
+}
+
+function startOutbox() {
+    outboxInterval = setInterval(processOutbox, OUTBOX_POLL_INTERVAL);
+    processOutbox();
+}
+
+// ============================================================
+// WEBHOOKS (signed event subscriptions, delivered via the outbox)
+// ============================================================
+const WEBHOOKS_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'webhooks.json');
+
+const WEBHOOK_EVENTS = {
+    'item.disabled': 'Item or option disabled',
+    'item.re-enabled': 'Item or option re-enabled',
+    'session.expired': 'Wolt session expired',
+    'scraper.broken': 'Scraper broken (selectors match nothing)',
+    'login.success': 'Wolt login succeeded',
+};
+
+function loadWebhooks() {
+    try {
+        if (fs.existsSync(WEBHOOKS_PATH)) {
+            return readSecretStore(WEBHOOKS_PATH);
+        }
+    } catch (err) {
+        console.error('[Webhooks] Error loading:', err.message);
+    }
+    return [];
+}
+
+function saveWebhooks(webhooks) {
+    writeSecretStore(WEBHOOKS_PATH, webhooks);
+}
+
+// Receivers verify X-Wolt-Monitor-Signature = "sha256=" + hex HMAC-SHA256 of
+// `${X-Wolt-Monitor-Timestamp}.${raw body}` with the subscription secret, and
+// can reject stale timestamps. Every attempt is signed afresh.
+function signWebhook(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queue one delivery per active subscription to `event`. The delivery id stays
+// the same across retries so receivers can de-duplicate. `venueId` limits the
+// event to subscriptions for that venue (or for all venues).
+function emitWebhookEvent(event, data, venueId = null) {
+    loadWebhooks()
+        .filter(w => w.active && w.events.includes(event))
+        .filter(w => !venueId || !w.venueId || w.venueId === venueId)
+        .forEach(w => queueWebhook(w, event, data));
+}
+
+function queueWebhook(webhook, event, data) {
+    const deliveryId = 'dlv_' + crypto.randomBytes(12).toString('hex');
+    enqueueOutbox('webhook', {
+        webhookId: webhook.id,
+        webhookName: webhook.name,
+        deliveryId,
+        payload: { id: deliveryId, event, createdAt: new Date().toISOString(), data },
+    });
+}
+
+function deliverWebhook(entry) {
+    const webhook = loadWebhooks().find(w => w.id === entry.webhookId);
+    if (!webhook) {
+        console.log(`[Webhooks] ${entry.webhookName} was removed, dropping ${entry.deliveryId}`);
+        return Promise.resolve();
+    }
+    // postJson serializes the payload the same way, so the signature covers the exact body sent
+    const timestamp = Math.floor(Date.now() / 1000);
+    return postJson(webhook.url, entry.payload, {
+        'User-Agent': 'Wolt-Monitor-Webhooks/1',
+        'X-Wolt-Monitor-Event': entry.payload.event,
+        'X-Wolt-Monitor-Delivery': entry.deliveryId,
+        'X-Wolt-Monitor-Attempt': String(entry.attempts),
+        'X-Wolt-Monitor-Timestamp': String(timestamp),
+        'X-Wolt-Monitor-Signature': signWebhook(webhook.secret, timestamp, JSON.stringify(entry.payload)),
+    });
+}
+
+function webhookDelivered(entry) {
+    const webhooks = loadWebhooks();
+    const webhook = webhooks.find(w => w.id === entry.webhookId);
+    if (!webhook) return;
+    webhook.lastDeliveredAt = new Date().toISOString();
+    saveWebhooks(webhooks);
+    console.log(`[Webhooks] ${webhook.name}: delivered ${entry.payload.event} (${entry.deliveryId})`);
+}
+
+// Payload `data` for item events
+function webhookItemData(e) {
+    return {
+        venue: { id: e.venue, name: venueName(e.venue) },
+        key: e.key,
+        item: e.item,
+        at: e.at,
+        ...(e.since ? { disabledSince: e.since, durationMs: new Date(e.at) - new Date(e.since) } : {}),
+    };
+}
+
+// ============================================================
+// CHANGE DETECTION (per-item disable / re-enable events)
+// ============================================================
+const MAX_RECENT_EVENTS = 50;
+
+function itemKey(item) {
+    return [item.category, item.name, item.optionGroup || ''].join(' | ');
+}
+
+function formatTime(iso) {
+    return new Date(iso).toLocaleTimeString('en-GB', { timeZone: CONFIG.TIMEZONE, hour: '2-digit', minute: '2-digit' });
+}
+
+// Records written before prices were parsed only carry the display text
+function pricedItem(item, venue) {
+    return typeof item.amount === 'number' ? item : { ...item, ...parsePrice(item.price, (venue && venue.currency) || CONFIG.CURRENCY) };
+}
+
+// Sum of disabled item prices per currency: what one order of each would have
+// earned. Options are surcharges on other items, so they are left out.
+function revenueAtRisk(items) {
+    const totals = {};
+    items.filter(i => i.type === 'item' && typeof i.amount === 'number').forEach(i => {
+        const currency = i.currency || '';
+        totals[currency] = (totals[currency] || 0) + i.amount;
+    });
+    return Object.entries(totals).map(([currency, amount]) => ({ amount: Math.round(amount * 100) / 100, currency: currency || null }));
+}
+
+function formatRevenue(totals) {
+    return totals.length > 0 ? totals.map(formatPrice).join(' + ') : '0';
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+const EVENT_ICONS = {
+    'disabled': '🔴',
+    're-enabled': '🟢',
+    'added': '🆕',
+    'removed': '🗑️',
+    'price-changed': '💲',
+};
+
+function describeEvent(e) {
+    const label = e.item.type === 'option' ? `${e.item.name} (${e.item.optionGroup})` : e.item.name;
+    if (e.event === 'price-changed') return `${label} price changed ${formatPrice(e.from)} → ${formatPrice(e.item)} at ${formatTime(e.at)}`;
+    const after = e.since ? ` after ${formatDuration(new Date(e.at) - new Date(e.since))}` : '';
+    return `${label} was ${e.event} at ${formatTime(e.at)}${after}`;
+}
+
+// Compare a scrape with the known disabled set and emit change events.
+// Quick scrapes only see the rows currently rendered, so an item missing
+// from one is not proof it came back - re-enables are only trusted after
+// a full scroll. With a menu snapshot, an item missing from the menu
+// altogether is not re-enabled either: it waits for its 'removed' event.
+function applyScrape(state, items, fullScan, menu = null) {
+    const now = new Date().toISOString();
+    const venue = state.venue.id;
+    const seen = new Map(items.map(i => [itemKey(i), i]));
+    const events = [];
+
+    seen.forEach((item, key) => {
+        const known = state.disabledState.get(key);
+        if (known) {
+            known.item = item;
+            return;
+        }
+        state.disabledState.set(key, { item, since: now });
+        events.push({ event: 'disabled', venue, key, item, at: now });
+    });
+
+    if (fullScan) {
+        state.disabledState.forEach((entry, key) => {
+            if (seen.has(key)) return;
+            if (menu && !menu.present.has(key)) {
+                if (menu.removed.has(key)) state.disabledState.delete(key);
+                return;
+            }
+            state.disabledState.delete(key);
+            events.push({ event: 're-enabled', venue, key, item: entry.item, at: now, since: entry.since });
+        });
+    }
+
+    state.lastItems = [...state.disabledState.values()].map(e => e.item);
+
+    // First scrape after boot only establishes what is already off
+    // (unless history already told us what was off before the restart)
+    if (!state.hasBaseline) {
+        state.hasBaseline = true;
+        events.filter(e => e.event === 'disabled').forEach(e => appendHistory({ ...e, baseline: true }));
+        return [];
+    }
+
+    recordEvents(state, events);
+    return events;
+}
+
+function recordEvents(state, events) {
+    events.forEach(appendHistory);
+    state.recentEvents = [...events].reverse().concat(state.recentEvents).slice(0, MAX_RECENT_EVENTS);
+    events
+        .filter(e => e.event === 'disabled' || e.event === 're-enabled')
+        .forEach(e => emitWebhookEvent(`item.${e.event}`, webhookItemData(e), e.venue));
+}
+
+// ============================================================
+// HISTORY (append-only log of disable / re-enable events)
+// ============================================================
+const HISTORY_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'history.jsonl');
+
+function appendHistory(e) {
+    try {
+        const dir = path.dirname(HISTORY_PATH);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        const record = { at: e.at, event: e.event, venue: e.venue, key: e.key, item: e.item };
+        if (e.baseline) record.baseline = true;
+        if (e.from) record.from = e.from;
+        fs.appendFileSync(HISTORY_PATH, JSON.stringify(record) + '\n');
+    } catch (err) {
+        console.error('[History] Error writing:', err.message);
+    }
+}
+
+function loadHistory() {
+    try {
+        if (!fs.existsSync(HISTORY_PATH)) return [];
+        return fs.readFileSync(HISTORY_PATH, 'utf-8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try { return JSON.parse(line); } catch { return null; }
+            })
+            .filter(Boolean);
+    } catch (err) {
+        console.error('[History] Error loading:', err.message);
+        return [];
+    }
+}
+
+// Pair each 'disabled' record with the next 're-enabled' one for the same
+// venue + key. Intervals still open have end = null and are measured up to now.
+// Records written before multi-venue support belong to the default venue.
+function buildIntervals(records) {
+    const open = new Map();
+    const intervals = [];
+
+    records.forEach(r => {
+        const venue = r.venue || DEFAULT_VENUE_ID;
+        const openKey = `${venue}::${r.key}`;
+        if (r.event === 'disabled') {
+            if (open.has(openKey)) return; // duplicate, keep the earliest start
+            const interval = { venue, key: r.key, item: r.item, start: r.at, end: null, baseline: !!r.baseline };
+            open.set(openKey, interval);
+            intervals.push(interval);
+        } else if (r.event === 're-enabled' || r.event === 'removed') {
+            const interval = open.get(openKey);
+            if (!interval) return;
+            interval.end = r.at;
+            open.delete(openKey);
+        }
+    });
+
+    const now = Date.now();
+    intervals.forEach(i => {
+        i.durationMs = (i.end ? new Date(i.end).getTime() : now) - new Date(i.start).getTime();
+    });
+    return intervals;
+}
+
+// Rebuild the currently disabled set from history so a restart does not
+// lose when each item went out, and changes during downtime still show up
+function restoreHistory(state) {
+    const intervals = buildIntervals(loadHistory()).filter(i => i.venue === state.venue.id);
+    const stillOpen = intervals.filter(i => !i.end);
+    stillOpen.forEach(i => state.disabledState.set(i.key, { item: pricedItem(i.item, state.venue), since: i.start }));
+    state.lastItems = stillOpen.map(i => state.disabledState.get(i.key).item);
+    if (intervals.length > 0) state.hasBaseline = true;
+    console.log(`[History] ${state.venue.name}: loaded ${intervals.length} intervals, ${stillOpen.length} still open`);
+}
+
+const HISTORY_FILTERS = ['from', 'to', 'name', 'venue', 'category', 'type'];
+
+// Epoch ms of 00:00 on a YYYY-MM-DD date in `timezone`
+function zonedMidnight(ymd, timezone) {
+    const utc = Date.parse(`${ymd}T00:00:00Z`);
+    const wallClock = ms => {
+        const local = localClock(timezone, new Date(ms));
+        return Date.parse(`${local.date}T${local.time}:00Z`);
+    };
+    // Second pass in case the offset changes between the guess and midnight (DST)
+    const guess = utc - (wallClock(utc) - utc);
+    return guess - (wallClock(guess) - utc);
+}
+
+// `from` / `to` value -> epoch ms (NaN when it is not a date). A date without
+// a time is a whole day in CONFIG.TIMEZONE, so `to` runs until the next midnight.
+function historyBound(value, isEnd) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(value).getTime();
+    if (isNaN(Date.parse(`${value}T00:00:00Z`))) return NaN;
+    const day = isEnd ? new Date(Date.parse(`${value}T00:00:00Z`) + 86400000).toISOString().slice(0, 10) : value;
+    return zonedMidnight(day, CONFIG.TIMEZONE);
+}
+
+// Why a history query cannot be answered, or null
+function historyQueryError(query) {
+    const repeated = HISTORY_FILTERS.find(k => query[k] !== undefined && typeof query[k] !== 'string');
+    if (repeated) return `${repeated} can only be given once`;
+    if (['from', 'to'].some(k => query[k] && isNaN(historyBound(query[k], k === 'to')))) {
+        return 'from and to must be dates (YYYY-MM-DD or ISO 8601)';
+    }
+    return null;
+}
+
+// Filter stored intervals for the history browser / API (check the query
+// with historyQueryError() first).
+// `from` / `to` accept YYYY-MM-DD (whole day, inclusive) or a full ISO timestamp.
+function queryHistory(query = {}) {
+    const all = buildIntervals(loadHistory());
+    const from = query.from ? historyBound(query.from, false) : 0;
+    const to = query.to ? historyBound(query.to, true) : Date.now();
+    const name = (query.name || '').trim().toLowerCase();
+    const now = Date.now();
+
+    const intervals = all.filter(i => {
+        const start = new Date(i.start).getTime();
+        const end = i.end ? new Date(i.end).getTime() : now;
+        if (start > to || end < from) return false;
+        if (query.venue && i.venue !== query.venue) return false;
+        if (query.category && i.item.category !== query.category) return false;
+        if (query.type && i.item.type !== query.type) return false;
+        if (name && !i.item.name.toLowerCase().includes(name)) return false;
+        return true;
+    });
+
+    // Downtime per item, clipped to the requested range
+    const totals = new Map();
+    intervals.forEach(i => {
+        const start = Math.max(new Date(i.start).getTime(), from);
+        const end = Math.min(i.end ? new Date(i.end).getTime() : now, to);
+        const totalKey = `${i.venue}::${i.key}`;
+        const total = totals.get(totalKey) || { venue: i.venue, key: i.key, item: i.item, count: 0, downtimeMs: 0 };
+        total.count++;
+        total.downtimeMs += Math.max(0, end - start);
+        totals.set(totalKey, total);
+    });
+
+    // Most often disabled in the last 7 days (baseline rows were already off at boot, not a new disable)
+    const weekAgo = now - 7 * 86400000;
+    const weekly = new Map();
+    all
+        .filter(i => !i.baseline && new Date(i.start).getTime() >= weekAgo)
+        .filter(i => !query.venue || i.venue === query.venue)
+        .forEach(i => {
+            const weeklyKey = `${i.venue}::${i.key}`;
+            const entry = weekly.get(weeklyKey) || { venue: i.venue, key: i.key, item: i.item, count: 0, downtimeMs: 0 };
+            entry.count++;
+            entry.downtimeMs += i.durationMs;
+            weekly.set(weeklyKey, entry);
+        });
+
+    return {
+        intervals: intervals.reverse(),
+        totals: [...totals.values()].sort((a, b) => b.downtimeMs - a.downtimeMs),
+        weeklyRanking: [...weekly.values()].sort((a, b) => b.count - a.count || b.downtimeMs - a.downtimeMs).slice(0, 10),
+        categories: [...new Set(all.map(i => i.item.category))].sort(),
+    };
+}
+
+function venueName(venueId) {
+    const state = venueStates.get(venueId);
+    if (state) return state.venue.name;
+    const venue = loadVenues().find(v => v.id === venueId);
+    return venue ? venue.name : venueId;
+}
+
+// ============================================================
+// MENU SNAPSHOTS (every item + option, one file per venue per day)
+// ============================================================
+const MENU_DIR = path.join(path.dirname(CONFIG.COOKIE_PATH), 'menu');
+const MENU_REMOVE_AFTER = 2;    // full scans an entry must be missing before it counts as removed
+const MENU_MIN_COVERAGE = 0.5;  // a snapshot this much smaller than the known menu is a partial render
+
+function menuFile(venueId, date) {
+    return path.join(MENU_DIR, venueId, `${date}.json`);
+}
+
+function listMenuDates(venueId) {
+    try {
+        const dir = path.join(MENU_DIR, venueId);
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir).filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f)).map(f => f.slice(0, 10)).sort();
+    } catch (err) {
+        console.error('[Menu] Error listing snapshots:', err.message);
+        return [];
+    }
+}
+
+// Latest snapshot when no date is given
+function loadMenuSnapshot(venueId, date) {
+    const day = date || listMenuDates(venueId).pop();
+    if (!day) return null;
+    try {
+        const file = menuFile(venueId, day);
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        console.error('[Menu] Error loading snapshot:', err.message);
+        return null;
+    }
+}
+
+function saveMenuSnapshot(state) {
+    try {
+        const date = localClock(CONFIG.TIMEZONE).date;
+        const file = menuFile(state.venue.id, date);
+        if (!fs.existsSync(path.dirname(file))) fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            venue: { id: state.venue.id, name: state.venue.name },
+            date,
+            updatedAt: state.menuUpdatedAt,
+            items: [...state.menu.values()],
+        }, null, 2));
+    } catch (err) {
+        console.error('[Menu] Error saving snapshot:', err.message);
+    }
+}
+
+function restoreMenu(state) {
+    const snapshot = loadMenuSnapshot(state.venue.id);
+    if (!snapshot) return;
+    state.menu = new Map(snapshot.items.map(i => [itemKey(i), i]));
+    state.menuUpdatedAt = snapshot.updatedAt;
+    console.log(`[Menu] ${state.venue.name}: restored ${state.menu.size} entries from ${snapshot.date}`);
+}
+
+function samePrice(a, b) {
+    if (typeof a.amount === 'number' && typeof b.amount === 'number') return a.amount === b.amount && a.currency === b.currency;
+    return (a.price || '') === (b.price || '');
+}
+
+// Diff a full-menu snapshot against the known menu and emit added / removed /
+// price-changed events. Returns { events, present, removed } where present and
+// removed are key sets for applyScrape().
+function applyMenuSnapshot(state, entries) {
+    const now = new Date().toISOString();
+    const venue = state.venue.id;
+    const seen = new Map(entries.map(i => [itemKey(i), i]));
+    const events = [];
+    const removed = new Set();
+    const isBaseline = state.menu.size === 0;
+
+    seen.forEach((item, key) => {
+        const known = state.menu.get(key);
+        state.menuMissing.delete(key);
+        if (!known && !isBaseline) {
+            events.push({ event: 'added', venue, key, item, at: now });
+        } else if (known && !samePrice(known, item)) {
+            events.push({ event: 'price-changed', venue, key, item, at: now, from: { price: known.price, amount: known.amount, currency: known.currency } });
+        }
+        state.menu.set(key, item);
+    });
+
+    // Virtual-list scrolling can miss rows, so only count an entry as removed
+    // once it is absent from several full scans that look complete
+    if (seen.size >= state.menu.size * MENU_MIN_COVERAGE) {
+        state.menu.forEach((item, key) => {
+            if (seen.has(key)) return;
+            const missing = (state.menuMissing.get(key) || 0) + 1;
+            state.menuMissing.set(key, missing);
+            if (missing < MENU_REMOVE_AFTER) return;
+            state.menu.delete(key);
+            state.menuMissing.delete(key);
+            removed.add(key);
+            events.push({ event: 'removed', venue, key, item, at: now });
+        });
+    } else {
+        console.log(`[Menu] ${state.venue.name}: snapshot has ${seen.size} of ${state.menu.size} known entries, not checking for removals`);
+    }
+
+    state.menuUpdatedAt = now;
+    saveMenuSnapshot(state);
+    if (events.length > 0) recordEvents(state, events);
+    return { events, present: new Set(seen.keys()), removed };
+}
+
+// ============================================================
+// ALERT RULES (which items trigger alerts, for whom, and when)
+// ============================================================
+const RULES_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'rules.json');
+
+// Rules can be limited to the venue's opening hours, or to when it is closed
+const RULE_HOURS = {
+    '': 'any time',
+    'open': 'while open',
+    'closed': 'while closed',
+};
+
+const RULE_TRIGGERS = {
+    'disabled': 'is disabled',
+    're-enabled': 'is re-enabled',
+    'added': 'is added to the menu',
+    'removed': 'is removed from the menu',
+    'price-changed': 'changes price',
+    'count': 'more than N are disabled',
+    'duration': 'is disabled for over N minutes',
+};
+
+// Empty filters match everything; contactIds empty = the venue's recipients
+const DEFAULT_RULES = [
+    { id: 'any-disabled', name: 'Anything disabled', trigger: 'disabled', venueId: '', category: '', type: '', optionGroup: '', nameContains: '', threshold: 0, contactIds: [], active: CONFIG.CHANGE_ALERTS },
+    { id: 'any-re-enabled', name: 'Anything re-enabled', trigger: 're-enabled', venueId: '', category: '', type: '', optionGroup: '', nameContains: '', threshold: 0, contactIds: [], active: CONFIG.CHANGE_ALERTS },
+];
+
+function loadRules() {
+    try {
+        if (fs.existsSync(RULES_PATH)) {
+            return JSON.parse(fs.readFileSync(RULES_PATH, 'utf-8'));
+        }
+    } catch (err) {
+        console.error('[Rules] Error loading:', err.message);
+    }
+    // Initialize with defaults
+    saveRules(DEFAULT_RULES);
+    return DEFAULT_RULES;
+}
+
+function saveRules(rules) {
+    const dir = path.dirname(RULES_PATH);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(RULES_PATH, JSON.stringify(rules, null, 2));
+}
+
+function ruleMatches(rule, item) {
+    if (rule.category && item.category !== rule.category) return false;
+    if (rule.type && item.type !== rule.type) return false;
+    if (rule.optionGroup && item.optionGroup !== rule.optionGroup) return false;
+    if (rule.nameContains && !item.name.toLowerCase().includes(rule.nameContains.toLowerCase())) return false;
+    return true;
+}
+
+function describeRule(rule) {
+    const filters = [
+        rule.type ? `${rule.type}s` : 'anything',
+        rule.category && `in category "${rule.category}"`,
+        rule.optionGroup && `in option group "${rule.optionGroup}"`,
+        rule.nameContains && `named like "${rule.nameContains}"`,
+    ].filter(Boolean).join(' ');
+    const when = RULE_TRIGGERS[rule.trigger].replace('N', rule.threshold);
+    return `When ${filters} ${when}${rule.during ? ` ${RULE_HOURS[rule.during]}` : ''}`;
+}
+
+// Run every active rule against a venue after a scrape. Change rules fire on
+// this scrape's events; count and duration rules look at the current disabled
+// set and fire once until the condition clears.
+function evaluateRules(state, events) {
+    const { venue } = state;
+    const now = Date.now();
+    const open = isOpen(venue.hours);
+    const current = [...state.disabledState.entries()];
+    const stillFired = new Set();
+
+    loadRules().filter(r => r.active && (!r.venueId || r.venueId === venue.id)).forEach(rule => {
+        if (rule.during && (rule.during === 'open') !== open) {
+            // Off-hours: hold on to what already fired so it does not repeat at the next change of hours
+            state.ruleFired.forEach(key => {
+                if (key === rule.id || key.startsWith(`${rule.id}|`)) stillFired.add(key);
+            });
+            return;
+        }
+        const recipients = rule.contactIds && rule.contactIds.length > 0 ? rule.contactIds : (venue.contactIds || []);
+        const header = `🔔 ${rule.name} (${venue.name})`;
+
+        if (EVENT_ICONS[rule.trigger]) {
+            const matched = events.filter(e => e.event === rule.trigger && ruleMatches(rule, e.item));
+            if (matched.length === 0) return;
+            const lines = matched.slice(0, 20).map(e => `${EVENT_ICONS[e.event]} ${describeEvent(e)}`);
+            if (matched.length > 20) lines.push(`…and ${matched.length - 20} more changes`);
+            queueAlert(`${header}:\n${lines.join('\n')}`, recipients);
+        }
+
+        if (rule.trigger === 'count') {
+            const matched = current.filter(([, entry]) => ruleMatches(rule, entry.item));
+            const firedKey = rule.id;
+            if (matched.length <= rule.threshold) return;
+            stillFired.add(firedKey);
+            if (state.ruleFired.has(firedKey)) return;
+            const names = matched.slice(0, 10).map(([, entry]) => `• ${entry.item.name}`);
+            if (matched.length > 10) names.push(`…and ${matched.length - 10} more`);
+            queueAlert(`${header}: ${matched.length} disabled (limit ${rule.threshold})\n${names.join('\n')}`, recipients);
+        }
+
+        if (rule.trigger === 'duration') {
+            current
+                .filter(([, entry]) => ruleMatches(rule, entry.item) && now - new Date(entry.since) > rule.threshold * 60000)
+                .forEach(([key, entry]) => {
+                    const firedKey = `${rule.id}|${key}|${entry.since}`;
+                    stillFired.add(firedKey);
+                    if (state.ruleFired.has(firedKey)) return;
+                    const label = entry.item.type === 'option' ? `${entry.item.name} (${entry.item.optionGroup})` : entry.item.name;
+                    queueAlert(`${header}: ${label} has been disabled for ${formatDuration(now - new Date(entry.since))}`, recipients);
+                });
+        }
+    });
+
+    // Forget one-shot rules whose condition cleared so they can fire again
+    state.ruleFired = stillFired;
+}
+
+// ============================================================
+// EXPORT (CSV / XLSX of current and historical disabled items)
+// ============================================================
+const EXPORT_COLUMNS = ['venue', 'name', 'description', 'price', 'amount', 'currency', 'category', 'type', 'optionGroup', 'disabledSince', 'reEnabledAt', 'durationMinutes'];
+
+function currentExportRows() {
+    return [...venueStates.values()].flatMap(state => [...state.disabledState.values()].map(({ item, since }) => ({
+        ...item,
+        venue: state.venue.name,
+        disabledSince: since,
+        reEnabledAt: '',
+        durationMinutes: Math.round((Date.now() - new Date(since)) / 60000),
+    })));
+}
+
+function historyExportRows(query) {
+    return queryHistory(query).intervals.map(i => ({
+        ...pricedItem(i.item, venueStates.get(i.venue)?.venue),
+        venue: venueName(i.venue),
+        disabledSince: i.start,
+        reEnabledAt: i.end || '',
+        durationMinutes: Math.round(i.durationMs / 60000),
+    }));
+}
+
+// Scraped text starting with = + - @ (or a tab or CR) would run as a formula
+// in Excel, so it's prefixed with an apostrophe; numbers stay as they are
+function csvCell(value) {
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function streamCsv(res, filename, rows) {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.write('\uFEFF' + EXPORT_COLUMNS.join(',') + '\r\n'); // BOM so Excel picks UTF-8
+    rows.forEach(row => res.write(EXPORT_COLUMNS.map(c => csvCell(row[c])).join(',') + '\r\n'));
+    res.end();
+}
+
+// -- Minimal XLSX writer: one sheet, inline strings, numbers as numbers --
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function buildZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const raw = Buffer.from(data, 'utf-8');
+        const compressed = zlib.deflateRawSync(raw);
+        const nameBuf = Buffer.from(name, 'utf-8');
+        const crc = crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBuf.length, 26);
+        locals.push(local, nameBuf, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        central.writeUInt16LE(20, 6);           // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBuf.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBuf);
+
+        offset += local.length + nameBuf.length + compressed.length;
+    });
+
+    const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function xmlEscape(value) {
+    return String(value ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function buildXlsx(sheetName, columns, rows) {
+    const cell = (value, ref) => typeof value === 'number'
+        ? `<c r="${ref}"><v>${value}</v></c>`
+        : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+    const sheetRows = [columns, ...rows.map(row => columns.map(c => row[c] ?? ''))]
+        .map((values, r) => `<row r="${r + 1}">${values.map((v, c) => cell(v, columnName(c) + (r + 1))).join('')}</row>`)
+        .join('');
+
+    return buildZip([
+        { name: '[Content_Types].xml', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>' },
+        { name: '_rels/.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>' },
+        { name: 'xl/workbook.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+        { name: 'xl/_rels/workbook.xml.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>' },
+        { name: 'xl/worksheets/sheet1.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>` },
+    ]);
+}
+
+function sendXlsx(res, filename, sheetName, rows) {
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buildXlsx(sheetName, EXPORT_COLUMNS, rows));
+}
+
+// ============================================================
+// BROWSER MANAGEMENT
+// ============================================================
+async function launchBrowser() {
+    console.log('[Browser] Launching (low-memory mode)...');
+    browser = await puppeteer.launch({
+        headless: 'new',
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-gpu',
+            '--disable-extensions',
+            '--disable-background-networking',
+            '--disable-default-apps',
+            '--disable-sync',
+            '--disable-translate',
+            '--no-first-run',
+            '--single-process',
+            '--no-zygote',
+            '--disable-breakpad',
+            '--disable-component-update',
+            '--disable-domain-reliability',
+            '--disable-features=AudioServiceOutOfProcess,IsolateOrigins,site-per-process',
+            '--disable-hang-monitor',
+            '--disable-ipc-flooding-protection',
+            '--disable-popup-blocking',
+            '--disable-prompt-on-repost',
+            '--disable-renderer-backgrounding',
+            '--disable-site-isolation-trials',
+            '--disable-speech-api',
+            '--disable-background-timer-throttling',
+            '--disable-backgrounding-occluded-windows',
+            '--metrics-recording-only',
+            '--mute-audio',
+            '--no-default-browser-check',
+            '--js-flags=--max-old-space-size=128',
+        ],
+    });
+    console.log('[Browser] Launched successfully');
+}
+
+// Every venue gets its own page in the one shared browser (cookies are shared)
+async function setupPage(state) {
+    if (!browser) await launchBrowser();
+    const page = await browser.newPage();
+    state.page = page;
+
+    // Aggressive memory saving: block images, fonts, media, stylesheets
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+        const type = req.resourceType();
+        if (['image', 'font', 'media'].includes(type)) {
+            req.abort();
+        } else {
+            req.continue();
+        }
+    });
+
+    // Authenticated API answers drive the logged-in check
+    page.on('response', response => {
+        try {
+            trackAuthResponse(response);
+        } catch { /* ignore */ }
+    });
+
+    // Keep the portal's own menu JSON for the network data source
+    if (CONFIG.DATA_SOURCE !== 'dom') {
+        page.on('response', response => captureApiResponse(state, response).catch(() => {}));
+    }
+
+    // Set viewport small to save memory
+    await page.setViewport({ width: 1280, height: 800 });
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36');
+
+    // Load cookies if available
+    const cookies = loadCookies();
+    if (cookies) {
+        await page.setCookie(...cookies);
+        console.log('[Browser] Restored saved cookies');
+    }
+
+    return page;
+}
+
+// ============================================================
+// SELECTOR PROFILE (versioned selectors.json, hot-reloaded)
+// ============================================================
+let selectorProfile = null;
+let selectorProfileMtime = 0;
+
+// Re-read the profile whenever the file changes, so a fixed selector can be
+// dropped onto the data disk (SELECTORS_PATH) without a redeploy
+function loadSelectorProfile() {
+    try {
+        const mtime = fs.statSync(CONFIG.SELECTORS_PATH).mtimeMs;
+        if (!selectorProfile || mtime !== selectorProfileMtime) {
+            selectorProfile = JSON.parse(fs.readFileSync(CONFIG.SELECTORS_PATH, 'utf-8'));
+            selectorProfileMtime = mtime;
+            console.log(`[Selectors] Loaded profile v${selectorProfile.version} from ${CONFIG.SELECTORS_PATH}`);
+        }
+    } catch (err) {
+        if (!selectorProfile) throw new Error(`Cannot load selector profile: ${err.message}`);
+        console.error('[Selectors] Error reloading, keeping previous profile:', err.message);
+    }
+    return selectorProfile;
+}
+
+// ============================================================
+// SCRAPING LOGIC (mirrors Tampermonkey script, see scraper/extract.js)
+// ============================================================
+async function scrapeDisabledItems(page, profile, options = {}) {
+    return await page.evaluate(extractDisabledItems, profile, options);
+}
+
+// ============================================================
+// NETWORK DATA SOURCE (menu JSON from the portal's own XHRs)
+// ============================================================
+const MAX_API_RESPONSES = 20;
+const REPLAY_HEADERS = /^(authorization|accept|accept-language|x-.*)$/i;
+
+async function captureApiResponse(state, response) {
+    const request = response.request();
+    if (request.method() !== 'GET' || !['xhr', 'fetch'].includes(request.resourceType())) return;
+    if (!(response.headers()['content-type'] || '').includes('json') || !response.ok()) return;
+    const { network } = loadSelectorProfile();
+    if (!network || !new RegExp(network.urlPattern, 'i').test(response.url())) return;
+
+    const headers = Object.fromEntries(Object.entries(request.headers()).filter(([name]) => REPLAY_HEADERS.test(name)));
+    const data = await response.json();
+    state.apiResponses.delete(response.url()); // re-insert so the Map stays oldest-first
+    state.apiResponses.set(response.url(), { headers, data, at: new Date().toISOString() });
+    while (state.apiResponses.size > MAX_API_RESPONSES) state.apiResponses.delete(state.apiResponses.keys().next().value);
+}
+
+// Re-fetch every captured menu URL from inside the page (so the session's
+// cookies and auth headers apply) and parse the fresh JSON. Returns null when
+// nothing usable was captured, so the caller can fall back to the DOM.
+async function scrapeFromNetwork(state, profile) {
+    if (!profile.network || state.apiResponses.size === 0) return null;
+    const requests = [...state.apiResponses.entries()].map(([url, r]) => ({ url, headers: r.headers }));
+
+    const results = await state.page.evaluate(async (requests) => Promise.all(requests.map(async ({ url, headers }) => {
+        try {
+            const res = await fetch(url, { headers, credentials: 'include' });
+            return { status: res.status, data: res.ok ? await res.json() : null };
+        } catch (err) {
+            return { status: 0, data: null };
+        }
+    })), requests);
+
+    results.forEach((r, i) => {
+        const { url } = requests[i];
+        if (r.data) {
+            state.apiResponses.set(url, { ...state.apiResponses.get(url), data: r.data, at: new Date().toISOString() });
+        } else {
+            console.log(`[Network] ${state.venue.name}: replay of ${url} failed (HTTP ${r.status}), dropping it`);
+            state.apiResponses.delete(url);
+        }
+    });
+
+    const payloads = [...state.apiResponses.values()].map(r => r.data);
+    const result = parseMenuPayloads(payloads, profile.network, state.venue.currency || CONFIG.CURRENCY);
+    return result.menu.length > 0 ? result : null;
+}
+
+// ============================================================
+// SCROLL TO LOAD ALL ITEMS (virtual list needs scrolling)
+// ============================================================
+async function scrollToLoadAll(page) {
+    await page.evaluate(async () => {
+        const container = document.querySelector('[class*="virtual-list"], [style*="overflow"]') || document.documentElement;
+        const scrollTarget = container === document.documentElement ? window : container;
+
+        let lastHeight = 0;
+        let sameCount = 0;
+
+        for (let i = 0; i < 25; i++) { // max 25 scroll steps
+            if (scrollTarget === window) {
+                window.scrollBy(0, 800);
+            } else {
+                container.scrollTop += 800;
+            }
+            await new Promise(r => setTimeout(r, 300));
+
+            const currentHeight = scrollTarget === window
+                ? document.documentElement.scrollHeight
+                : container.scrollHeight;
+
+            if (currentHeight === lastHeight) {
+                sameCount++;
+                if (sameCount >= 3) break; // no more content
+            } else {
+                sameCount = 0;
+            }
+            lastHeight = currentHeight;
+        }
+
+        // Scroll back to top
+        if (scrollTarget === window) {
+            window.scrollTo(0, 0);
+        } else {
+            container.scrollTop = 0;
+        }
+    });
+}
+
+// ============================================================
+// CHECK LOGIN STATUS
+// ============================================================
+// A portal API answer this recent needs no extra request
+const AUTH_CHECK_FRESH = 30000;
+
+// Asks the portal API first, where a 401/403 is unambiguous; the page
+// heuristics only decide until the portal has made an authenticated request
+async function checkLoginStatus(page) {
+    try {
+        const url = page.url();
+        // Redirected to the login page
+        if (url.includes('/login') || url.includes('/auth')) return false;
+
+        const { lastCheck } = loadSessionHealth();
+        if (lastCheck && Date.now() - new Date(lastCheck.at) < AUTH_CHECK_FRESH) return authVerdict(lastCheck.status);
+        if (authProbe) {
+            const status = await page.evaluate(async ({ url, headers }) => {
+                try {
+                    return (await fetch(url, { headers, credentials: 'include' })).status;
+                } catch {
+                    return 0;
+                }
+            }, authProbe);
+            if (authVerdict(status) !== null) {
+                noteAuthCheck(status);
+                return authVerdict(status);
+            }
+        }
+
+        const hasLoginForm = await page.evaluate(() => {
+            return !!document.querySelector('input[type="email"]') ||
+                   !!document.querySelector('[class*="login"]') ||
+                   document.body.textContent.includes('Sign in') ||
+                   document.body.textContent.includes('Log in');
+        });
+        return !hasLoginForm;
+    } catch {
+        return false;
+    }
+}
+
+// ============================================================
+// WOLT LOGIN (magic link, by hand or read from the mailbox over IMAP)
+// ============================================================
+const IMAP_POLL_INTERVAL = 10000;
+// Mail server clocks drift; a link mailed slightly "before" the request still counts
+const IMAP_CLOCK_SLACK = 60000;
+
+let mailboxLoginBusy = false;
+
+function mailboxConfigured() {
+    return !!(CONFIG.IMAP_HOST && CONFIG.IMAP_USER && CONFIG.IMAP_PASSWORD);
+}
+
+// Opens Wolt's sign-in page and asks for a magic link to WOLT_EMAIL
+async function requestLoginEmail(page) {
+    console.log('[Auth] Requesting login email...');
+    await page.goto('https://merchant.wolt.com', { waitUntil: 'networkidle2', timeout: 30000 });
+
+    // Must dismiss cookie banner first, otherwise it may block the form
+    await dismissCookieBanner(page);
+    await new Promise(r => setTimeout(r, 1500));
+
+    // Try to find and fill email input
+    await page.waitForSelector('input[type="email"], input[name="email"]', { timeout: 10000 });
+    await page.type('input[type="email"], input[name="email"]', CONFIG.WOLT_EMAIL, { delay: 50 });
+
+    // Click submit/next button
+    const buttons = await page.$$('button[type="submit"], button');
+    for (const btn of buttons) {
+        const text = await page.evaluate(el => el.textContent.toLowerCase(), btn);
+        if (text.includes('next') || text.includes('continue') || text.includes('sign') || text.includes('log') || text.includes('send')) {
+            await btn.click();
+            break;
+        }
+    }
+
+    await new Promise(r => setTimeout(r, 2000));
+    console.log('[Auth] Login email requested for:', CONFIG.WOLT_EMAIL);
+}
+
+// Follows a magic link in the first venue's page; returns whether that signed us in.
+// `by` names who supplied the link (a web UI user or 'mailbox')
+// `state` is the venue whose page follows the link; the caller holds its runExclusive() queue
+async function completeMagicLink(state, magicLink, by) {
+    const { page } = state;
+    console.log('[Auth] Navigating to magic link...');
+    await page.goto(magicLink, { waitUntil: 'networkidle2', timeout: 60000 });
+    await dismissCookieBanner(page);
+    await new Promise(r => setTimeout(r, 3000));
+
+    // Save cookies immediately
+    const cookies = await page.cookies();
+    saveCookies(cookies);
+
+    // Session cookies are shared, so every venue page can go back to its menu.
+    // The other pages may be mid-scrape or mid-toggle, so each waits its turn
+    console.log('[Auth] Magic link processed, navigating to menus...');
+    for (const venueState of venueStates.values()) {
+        await (venueState === state ? navigateToMenu(venueState) : runExclusive(venueState, () => navigateToMenu(venueState)));
+    }
+
+    // Check if logged in
+    isLoggedIn = await checkLoginStatus(page);
+    loginAlertSent = false;
+
+    // Save cookies again after navigation
+    const finalCookies = await page.cookies();
+    saveCookies(finalCookies);
+
+    console.log('[Auth] Login status:', isLoggedIn ? 'SUCCESS' : 'FAILED');
+    noteLoginState(isLoggedIn, { fresh: isLoggedIn });
+    publishOverview();
+    if (isLoggedIn) emitWebhookEvent('login.success', { at: new Date().toISOString(), by });
+    return isLoggedIn;
+}
+
+// Watches the mailbox for the link mailed after `requestedAt` and follows it.
+// Returns null on success, otherwise why it did not work out
+async function loginFromMailbox(requestedAt) {
+    if (mailboxLoginBusy) return 'A mailbox login is already running';
+    mailboxLoginBusy = true;
+    try {
+        const pattern = CONFIG.IMAP_LINK_PATTERN ? new RegExp(CONFIG.IMAP_LINK_PATTERN, 'i') : DEFAULT_LINK_PATTERN;
+        const link = await waitForMagicLink({
+            host: CONFIG.IMAP_HOST,
+            port: CONFIG.IMAP_PORT,
+            secure: CONFIG.IMAP_TLS,
+            user: CONFIG.IMAP_USER,
+            password: CONFIG.IMAP_PASSWORD,
+            mailbox: CONFIG.IMAP_MAILBOX,
+            from: CONFIG.IMAP_FROM,
+            pattern,
+        }, { since: new Date(requestedAt - IMAP_CLOCK_SLACK), wait: CONFIG.IMAP_WAIT, pollInterval: IMAP_POLL_INTERVAL });
+        if (!link) return `no login email arrived within ${Math.round(CONFIG.IMAP_WAIT / 60000)} min`;
+
+        console.log('[Auth] Magic link found in the mailbox');
+        const state = getVenueState();
+        if (!state) return 'browser not ready';
+        const loggedIn = await runExclusive(state, () => completeMagicLink(state, link, 'mailbox'));
+        return loggedIn ? null : 'the magic link from the mailbox did not sign in';
+    } catch (err) {
+        return err.message;
+    } finally {
+        mailboxLoginBusy = false;
+    }
+}
+
+// Expired (or soon expiring) session: request a link and read it from the
+// mailbox. Returns null on success, otherwise the reason (for the fallback alert)
+async function autoLogin({ beforeExpiry = false } = {}) {
+    const state = getVenueState();
+    if (!state) return 'browser not ready';
+    if (mailboxLoginBusy) return 'A mailbox login is already running';
+    const requestedAt = Date.now();
+    try {
+        if (beforeExpiry) {
+            // Still signed in, so the portal would skip its login form; ask
+            // from a blank browser context and leave the venue pages alone
+            const context = await browser.createBrowserContext();
+            try {
+                await requestLoginEmail(await context.newPage());
+            } finally {
+                await context.close();
+            }
+        } else {
+            await runExclusive(state, () => requestLoginEmail(state.page));
+        }
+    } catch (err) {
+        return `could not request the login email: ${err.message}`;
+    }
+    return loginFromMailbox(requestedAt);
+}
+
+// ============================================================
+// MAIN SCRAPE LOOP
+// ============================================================
+// `trigger` says what started the run (schedule, manual, opening, toggle);
+// the run is recorded with the phase it reached (see recordRun()) and returned
+async function doScrape(state, { forceFull = false, trigger = 'schedule' } = {}) {
+    const { page, venue } = state;
+    const started = Date.now();
+    const run = { at: new Date(started).toISOString(), trigger, phase: 'login', outcome: 'ok', durationMs: null };
+    let events = [];
+    try {
+        state.totalScrapes++;
+
         // Check if still logged in
-        const loggedIn = await checkLoginStatus();
+        const loggedIn = await checkLoginStatus(page);
+        noteLoginState(loggedIn);
         if (!loggedIn) {
             isLoggedIn = false;
-            console.log('[Scrape] Not logged in! Session may have expired.');
+            console.log(`[Scrape] ${venue.name}: not logged in! Session may have expired.`);
             if (!loginAlertSent) {
-                sendWhatsAppAlert('🔑 Wolt Monitor: Session expired! Please login at your Render URL.');
+                emitWebhookEvent('session.expired', { at: new Date().toISOString(), detectedBy: { id: venue.id, name: venue.name } });
                 loginAlertSent = true;
+                if (mailboxConfigured()) {
+                    // Runs after this scrape lets go of the page; people only
+                    // hear about the expiry if the mailbox login fails
+                    console.log('[Auth] Session expired, logging in again via the mailbox...');
+                    autoLogin().then(error => {
+                        if (!error) return console.log('[Auth] Logged in again via the mailbox');
+                        console.error('[Auth] Mailbox login failed:', error);
+                        sendAlert(`🔑 Wolt Monitor: Session expired and the automatic login failed (${error}). Please login at your Render URL.`);
+                    });
+                } else {
+                    sendAlert('🔑 Wolt Monitor: Session expired! Please login at your Render URL.');
+                }
             }
-            return;
+            run.outcome = 'logged-out';
+            return run;
+        }
+
+        isLoggedIn = true;
+        loginAlertSent = false;
+        checkSessionExpiry();
+
+        // Dismiss any cookie banners that might have appeared
+        await dismissCookieBanner(page);
+
+        // The portal's own JSON always covers the whole menu, so a network
+        // scrape counts as a full scan and needs no scrolling
+        const profile = loadSelectorProfile();
+        if (CONFIG.DATA_SOURCE !== 'dom') run.phase = 'network';
+        let result = CONFIG.DATA_SOURCE !== 'dom' ? await scrapeFromNetwork(state, profile) : null;
+        let fullScan = true;
+        if (!result && CONFIG.DATA_SOURCE === 'network' && state.dataSource !== 'dom') {
+            console.log(`[Scrape] ${venue.name}: no menu JSON captured, falling back to DOM`);
+        }
+        state.dataSource = result ? 'network' : 'dom';
+
+        if (!result) {
+            // Scroll through the whole menu once per full scan interval to save
+            // memory, starting with the first scrape so the change baseline
+            // sees every row. Other scrapes just check what's visible
+            fullScan = forceFull || Date.now() - state.lastFullScanAt >= (venue.fullScanInterval || CONFIG.FULL_SCAN_INTERVAL);
+            run.phase = fullScan ? 'full' : 'quick';
+            if (fullScan) {
+                await scrollToLoadAll(page);
+            }
+            result = await scrapeDisabledItems(page, profile, { fullMenu: fullScan });
+        }
+        if (fullScan) state.lastFullScanAt = Date.now();
+        state.lastScrapeTime = new Date().toISOString();
+        state.scrapeStrategy = result.strategy;
+
+        // A rendered menu with zero matching rows means the selectors broke,
+        // not that nothing is disabled - keep the last known state instead
+        if (result.rowCount === 0 && result.menuSignals >= profile.minMenuSignals) {
+            reportScraperBroken(state, profile, result);
+            run.outcome = 'scraper-broken';
+            return run;
+        }
+        if (state.scraperBroken) reportScraperRecovered(state, result);
+
+        const { items } = result;
+        const currency = venue.currency || CONFIG.CURRENCY;
+        items.forEach(item => Object.assign(item, parsePrice(item.price, currency)));
+
+        // Full scans also snapshot the whole menu, which tells a re-enabled
+        // item apart from one deleted from the menu
+        let menu = null;
+        if (result.menu && result.menu.length > 0) {
+            result.menu.forEach(item => Object.assign(item, parsePrice(item.price, currency)));
+            menu = applyMenuSnapshot(state, result.menu);
+        }
+        events = [...(menu ? menu.events : []), ...applyScrape(state, items, fullScan, menu)];
+        state.scrapeErrors = 0;
+
+        const itemCount = items.filter(i => i.type === 'item').length;
+        const optionCount = items.filter(i => i.type === 'option').length;
+        console.log(`[Scrape] ${venue.name}: found ${itemCount} items + ${optionCount} options disabled (${result.rowCount} rows via ${result.strategy})`);
+
+        events.forEach(e => console.log(`[Changes] ${venue.name}: ${describeEvent(e)}`));
+
+        if (state.lastItems.length > 0 || events.length > 0) {
+            sendToAppsScript(state, events);
+        }
+
+        evaluateRules(state, events);
+
+        // Save cookies periodically
+        const cookies = await page.cookies();
+        saveCookies(cookies);
+
+        // Clear browser cache every 50 scrapes to prevent memory growth
+        if (state.totalScrapes % 50 === 0) {
+            try {
+                const client = await page.target().createCDPSession();
+                await client.send('Network.clearBrowserCache');
+                await client.detach();
+                console.log('[Memory] Browser cache cleared');
+            } catch (e) { /* ignore */ }
+        }
+
+    } catch (err) {
+        state.scrapeErrors++;
+        run.outcome = 'error';
+        run.error = err.message;
+        console.error(`[Scrape] ${venue.name}: error (${state.scrapeErrors}):`, err.message);
+
+        // If too many errors, try refreshing the page
+        if (state.scrapeErrors >= 5) {
+            console.log(`[Scrape] ${venue.name}: too many errors, refreshing page...`);
+            try {
+                await page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
+                state.scrapeErrors = 0;
+            } catch (reloadErr) {
+                console.error('[Scrape] Reload failed:', reloadErr.message);
+                // Try full browser restart
+                await restartBrowser();
+            }
+        }
+    } finally {
+        run.durationMs = Date.now() - started;
+        recordRun(state, run);
+        publishVenue(state, events);
+    }
+    return run;
+}
+
+function reportScraperBroken(state, profile, result) {
+    console.error(`[Scrape] ${state.venue.name}: SCRAPER BROKEN - menu shows ${result.menuSignals} prices but selector profile v${profile.version} matched no rows`);
+    if (state.scraperBroken) return;
+    state.scraperBroken = { since: new Date().toISOString(), profileVersion: profile.version, menuSignals: result.menuSignals };
+    emitWebhookEvent('scraper.broken', { venue: { id: state.venue.id, name: state.venue.name }, ...state.scraperBroken }, state.venue.id);
+    sendAlert(`🛠️ Wolt Monitor (${state.venue.name}): scraper broken! The menu loaded but selector profile v${profile.version} matched no rows, so disabled items are NOT being tracked. Update selectors.json.`, state.venue.contactIds || []);
+}
+
+function reportScraperRecovered(state, result) {
+    console.log(`[Scrape] ${state.venue.name}: scraper recovered (${result.rowCount} rows via ${result.strategy})`);
+    state.scraperBroken = null;
+    sendAlert(`✅ Wolt Monitor (${state.venue.name}): scraper working again, tracking resumed.`, state.venue.contactIds || []);
+}
+
+async function restartBrowser() {
+    console.log('[Browser] Restarting...');
+    const states = [...venueStates.values()];
+    try {
+        for (const state of states) {
+            stopScraping(state);
+            if (state.page) await state.page.close().catch(() => {});
+            state.page = null;
+        }
+        if (browser) await browser.close().catch(() => {});
+        browser = null;
+    } catch {}
+
+    for (const state of states) {
+        await setupPage(state);
+        await navigateToMenu(state);
+        startScraping(state);
+    }
+}
+
+async function navigateToMenu(state) {
+    const { page, venue } = state;
+    console.log(`[Nav] ${venue.name}: going to ${venue.menuUrl}...`);
+    try {
+        await page.goto(venue.menuUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+        console.log('[Nav] Page loaded:', page.url());
+        await dismissCookieBanner(page);
+        // Wait a bit for React to render
+        await new Promise(r => setTimeout(r, 3000));
+    } catch (err) {
+        console.error(`[Nav] ${venue.name}: failed:`, err.message);
+    }
+}
+
+// Auto-dismiss cookie consent banners
+async function dismissCookieBanner(page) {
+    try {
+        const dismissed = await page.evaluate(() => {
+            // Wolt's specific cookie accept button
+            const acceptBtn = document.querySelector('[data-test-id="consent-banner-accept-button"]');
+            if (acceptBtn) {
+                acceptBtn.click();
+                return 'wolt-accept';
+            }
+            // Fallback: any button that says "Allow" or "Accept"
+            const buttons = document.querySelectorAll('button');
+            for (const btn of buttons) {
+                const text = btn.textContent.trim().toLowerCase();
+                if (text === 'allow' || text === 'accept' || text === 'accept all') {
+                    btn.click();
+                    return 'generic-accept';
+                }
+            }
+            return false;
+        });
+        if (dismissed) {
+            await new Promise(r => setTimeout(r, 1000));
+            console.log(`[Nav] Cookie banner dismissed via: ${dismissed}`);
+        }
+    } catch (err) {
+        console.log('[Nav] No cookie banner found or already dismissed');
+    }
+}
+
+// ============================================================
+// SCRAPE SCHEDULER (one timer per venue: cadence, backoff, scan now)
+// ============================================================
+const MAX_RUNS = 20;
+
+// Newest first, for the dashboard and /api/status
+function recordRun(state, run) {
+    state.runs.unshift(run);
+    if (state.runs.length > MAX_RUNS) state.runs.length = MAX_RUNS;
+}
+
+// Manual and opening-time runs always scroll through the whole menu
+const scheduler = createScheduler({
+    run: (state, trigger) => runExclusive(state, () => doScrape(state, { forceFull: trigger === 'manual' || trigger === 'opening', trigger })),
+    changed: state => publishVenue(state),
+    scrapeInterval: CONFIG.SCRAPE_INTERVAL,
+    closedInterval: CONFIG.CLOSED_SCRAPE_INTERVAL,
+});
+
+function startScraping(state) {
+    const interval = state.venue.scrapeInterval || CONFIG.SCRAPE_INTERVAL;
+    console.log(`[Scrape] ${state.venue.name}: starting loop every ${interval / 1000}s, full scan every ${(state.venue.fullScanInterval || CONFIG.FULL_SCAN_INTERVAL) / 1000}s`);
+    scheduler.start(state);
+}
+
+function stopScraping(state) {
+    scheduler.stop(state);
+}
+
+// ============================================================
+// REMOTE TOGGLES (enable / disable items through the browser session)
+// ============================================================
+const AUDIT_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'audit.jsonl');
+const TOGGLE_SCROLL_STEPS = 25;
+
+function appendAudit(record) {
+    try {
+        const dir = path.dirname(AUDIT_PATH);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(AUDIT_PATH, JSON.stringify(record) + '\n');
+    } catch (err) {
+        console.error('[Audit] Error writing:', err.message);
+    }
+}
+
+// Newest first
+function loadAudit(limit = 200) {
+    try {
+        if (!fs.existsSync(AUDIT_PATH)) return [];
+        return fs.readFileSync(AUDIT_PATH, 'utf-8')
+            .split('\n')
+            .filter(Boolean)
+            .slice(-limit)
+            .map(line => {
+                try { return JSON.parse(line); } catch { return null; }
+            })
+            .filter(Boolean)
+            .reverse();
+    } catch (err) {
+        console.error('[Audit] Error loading:', err.message);
+        return [];
+    }
+}
+
+// Serialize everything that drives a venue's page (scrapes, toggles)
+function runExclusive(state, task) {
+    const run = state.pageQueue.then(task, task);
+    state.pageQueue = run.catch(() => {});
+    return run;
+}
+
+// Scroll the menu's virtual list; resolves false once it cannot move further
+async function scrollMenu(page, delta) {
+    return await page.evaluate((delta) => {
+        const container = document.querySelector('[class*="virtual-list"], [style*="overflow"]') || document.documentElement;
+        const before = container === document.documentElement ? window.scrollY : container.scrollTop;
+        if (container === document.documentElement) window.scrollTo(0, delta === null ? 0 : before + delta);
+        else container.scrollTop = delta === null ? 0 : before + delta;
+        const after = container === document.documentElement ? window.scrollY : container.scrollTop;
+        return after !== before;
+    }, delta);
+}
+
+// Scroll from the top until the row is rendered, then flip its switch
+async function clickToggle(state, item, enable) {
+    const { page } = state;
+    const profile = loadSelectorProfile();
+    const target = { category: item.category, name: item.name, type: item.type, optionGroup: item.optionGroup || '', enable };
+
+    await scrollMenu(page, null);
+    await new Promise(r => setTimeout(r, 300));
+    let outcome = { found: false, changed: false };
+    for (let i = 0; i < TOGGLE_SCROLL_STEPS; i++) {
+        outcome = await page.evaluate(toggleMenuEntry, profile, target);
+        if (outcome.found) break;
+        if (!await scrollMenu(page, 800)) break;
+        await new Promise(r => setTimeout(r, 300));
+    }
+
+    if (outcome.changed) {
+        await new Promise(r => setTimeout(r, 800));
+        if (await page.evaluate(confirmToggleDialog, profile)) console.log('[Toggle] Confirmed dialog');
+        await new Promise(r => setTimeout(r, 1500));
+    }
+    await scrollMenu(page, null);
+    return outcome;
+}
+
+// Toggle one menu entry and re-scrape to check the portal took it.
+// Returns { status, error? } where status is confirmed / unchanged /
+// unconfirmed / not-found / failed; every call lands in the audit log.
+async function toggleItem(state, key, enable, actor) {
+    const item = state.disabledState.get(key)?.item || state.menu.get(key);
+    if (!item) return { status: 'not-found', error: 'Unknown item' };
+
+    const record = {
+        at: new Date().toISOString(),
+        user: actor.user,
+        ip: actor.ip,
+        action: enable ? 'enable' : 'disable',
+        venue: state.venue.id,
+        key,
+        item: { name: item.name, category: item.category, type: item.type, optionGroup: item.optionGroup },
+    };
+
+    let result;
+    try {
+        result = await runExclusive(state, async () => {
+            if (!state.page) throw new Error('Browser not ready');
+            const outcome = await clickToggle(state, item, enable);
+            if (!outcome.found) return { status: 'not-found', error: 'Row not found on the menu page' };
+            if (outcome.error) return { status: 'failed', error: outcome.error };
+
+            await doScrape(state, { forceFull: true, trigger: 'toggle' });
+            const took = state.disabledState.has(key) === !enable;
+            if (!took) return { status: 'unconfirmed', error: 'Re-scrape still shows the old state' };
+            return { status: outcome.changed ? 'confirmed' : 'unchanged' };
+        });
+    } catch (err) {
+        result = { status: 'failed', error: err.message };
+    }
+
+    console.log(`[Toggle] ${actor.user} ${record.action}d ${item.name} (${state.venue.name}): ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+    appendAudit({ ...record, ...result });
+    return result;
+}
+
+// ============================================================
+// SCHEDULED RE-ENABLE (turn items back on at a set time)
+// ============================================================
+const SCHEDULES_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'schedules.json');
+const SCHEDULE_CHECK_INTERVAL = 30000;
+let scheduleInterval = null;
+let schedulesBusy = false;
+
+// Schedule: { id, venueId, target, date, time, repeat, createdBy, createdAt,
+//   active, lastRunDate, lastRunAt, lastResult }
+// target is { key, label } for one item/option, or { category, optionGroup } for
+// every disabled option in a group. Times are wall-clock in CONFIG.TIMEZONE;
+// repeat 'daily' ignores date, 'once' deactivates after running.
+function loadSchedules() {
+    try {
+        if (fs.existsSync(SCHEDULES_PATH)) {
+            return JSON.parse(fs.readFileSync(SCHEDULES_PATH, 'utf-8'));
+        }
+    } catch (err) {
+        console.error('[Schedules] Error loading:', err.message);
+    }
+    return [];
+}
+
+function saveSchedules(schedules) {
+    const dir = path.dirname(SCHEDULES_PATH);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(SCHEDULES_PATH, JSON.stringify(schedules, null, 2));
+}
+
+function describeSchedule(schedule) {
+    const { target } = schedule;
+    const what = target.key
+        ? target.label
+        : `all options in "${target.optionGroup}"${target.category ? ` (${target.category})` : ''}`;
+    const when = schedule.repeat === 'daily' ? `daily at ${schedule.time}` : `${schedule.date} ${schedule.time}`;
+    return `Re-enable ${what} ${when}`;
+}
+
+// Disabled entries of a venue the schedule applies to right now
+function scheduleTargets(schedule, state) {
+    const { target } = schedule;
+    return [...state.disabledState.entries()].filter(([key, { item }]) => target.key
+        ? key === target.key
+        : item.type === 'option' && item.optionGroup === target.optionGroup && (!target.category || item.category === target.category));
+}
+
+function isScheduleDue(schedule, now = new Date()) {
+    const { date, time } = localClock(CONFIG.TIMEZONE, now);
+    if (schedule.repeat === 'daily') return schedule.lastRunDate !== date && time >= schedule.time;
+    return `${date} ${time}` >= `${schedule.date} ${schedule.time}`;
+}
+
+async function runSchedule(schedule, state) {
+    const targets = scheduleTargets(schedule, state);
+    const failures = [];
+    for (const [key, { item }] of targets) {
+        const result = await toggleItem(state, key, true, { user: `schedule: ${describeSchedule(schedule)}`, ip: 'scheduler' });
+        if (result.status !== 'confirmed' && result.status !== 'unchanged') {
+            const label = item.type === 'option' ? `${item.name} (${item.optionGroup})` : item.name;
+            failures.push(`${label}: ${result.status}${result.error ? ` - ${result.error}` : ''}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        sendAlert(`⏰ Wolt Monitor (${state.venue.name}): scheduled re-enable failed!\n${failures.map(f => `• ${f}`).join('\n')}\nPlease re-enable manually in the Wolt portal.`, state.venue.contactIds || []);
+    }
+    return targets.length === 0
+        ? 'nothing to re-enable'
+        : failures.length > 0 ? `${failures.length} of ${targets.length} failed` : `re-enabled ${targets.length}`;
+}
+
+async function checkSchedules() {
+    if (schedulesBusy) return;
+    schedulesBusy = true;
+    try {
+        const due = loadSchedules().filter(s => s.active && isScheduleDue(s));
+        for (const schedule of due) {
+            const state = venueStates.get(schedule.venueId);
+            if (!state || !state.page) continue; // venue not running yet, try again next tick
+
+            console.log(`[Schedules] Running: ${describeSchedule(schedule)} (${state.venue.name})`);
+            const lastResult = await runSchedule(schedule, state);
+            console.log(`[Schedules] ${describeSchedule(schedule)}: ${lastResult}`);
+
+            // Re-read so edits made while the toggles ran are kept
+            const schedules = loadSchedules();
+            const saved = schedules.find(s => s.id === schedule.id);
+            if (!saved) continue;
+            saved.lastRunAt = new Date().toISOString();
+            saved.lastRunDate = localClock(CONFIG.TIMEZONE).date;
+            saved.lastResult = lastResult;
+            if (saved.repeat !== 'daily') saved.active = false;
+            saveSchedules(schedules);
         }
+    } catch (err) {
+        console.error('[Schedules] Error:', err.message);
+    } finally {
+        schedulesBusy = false;
+    }
+}
+
+function startSchedules() {
+    scheduleInterval = setInterval(checkSchedules, SCHEDULE_CHECK_INTERVAL);
+}
+
+// ============================================================
+// VENUE LIFECYCLE (start / stop pages to match venues.json)
+// ============================================================
+async function startVenue(venue) {
+    const state = createVenueState(venue);
+    venueStates.set(venue.id, state);
+    restoreHistory(state);
+    restoreMenu(state);
+    try {
+        await setupPage(state);
+    } catch (err) {
+        venueStates.delete(venue.id); // let the next sync retry it
+        throw err;
+    }
+    await navigateToMenu(state);
+    startScraping(state);
+    return state;
+}
 
-        isLoggedIn = true;
-        loginAlertSent = false;
+async function stopVenue(state) {
+    stopScraping(state);
+    venueStates.delete(state.venue.id);
+    if (state.page) await state.page.close().catch(() => {});
+    console.log(`[Venues] Stopped ${state.venue.name}`);
+}
 
-        // Dismiss any cookie banners that might have appeared
-        await dismissCookieBanner();
+// Reconcile running venues with the registry after it is edited in the UI.
+// Calls are chained so two quick edits never start the same venue twice.
+let venueSync = Promise.resolve();
 
-        // Only do full scroll every 5th scrape (~100s) to save memory
-        // Other scrapes just check what's visible
-        if (totalScrapes % 5 === 0) {
-            await scrollToLoadAll();
+function syncVenues() {
+    venueSync = venueSync
+        .then(reconcileVenues)
+        .catch(err => console.error('[Venues] Sync error:', err.message));
+    return venueSync;
+}
+
+async function reconcileVenues() {
+    const venues = loadVenues().filter(v => v.active && v.menuUrl);
+    for (const state of [...venueStates.values()]) {
+        const venue = venues.find(v => v.id === state.venue.id);
+        if (!venue) {
+            await stopVenue(state);
+        } else if (venue.menuUrl !== state.venue.menuUrl) {
+            // Page changed: restart this venue only
+            await stopVenue(state);
+        } else {
+            state.venue = venue; // name, schedule, sheet target and recipients apply live
+        }
+    }
+    for (const venue of venues) {
+        if (!venueStates.has(venue.id)) {
+            console.log(`[Venues] Starting ${venue.name}`);
+            await startVenue(venue);
         }
+    }
+}
 
-        // Scrape
-        const items = await scrapeDisabledItems();
-        lastScrapeTime = new Date().toISOString();
-        lastItems = items;
-        scrapeErrors = 0;
+// ============================================================
+// WEB UI USERS & SESSIONS
+// ============================================================
+const USERS_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'users.json');
+const SESSION_COOKIE = 'wm_session';
+const SESSION_TTL = CONFIG.SESSION_HOURS * 60 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+const USERNAME_RE = /^[a-z0-9._-]{2,32}$/;
 
-        const itemCount = items.filter(i => i.type === 'item').length;
-        const optionCount = items.filter(i => i.type === 'option').length;
-        console.log(`[Scrape] Found ${itemCount} items + ${optionCount} options disabled`);
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'staff', 'admin'];
+const ROLE_LABELS = {
+    viewer: 'Viewer (read only)',
+    staff: 'Staff (enable/disable items, schedules, Wolt login)',
+    admin: 'Admin (venues, contacts, rules, users)',
+};
 
-        if (items.length > 0) {
-            sendToAppsScript(items);
-        }
+// Sessions live in memory, so a restart signs everyone out
+const sessions = new Map();      // token -> { username, csrf, expiresAt }
+const loginFailures = new Map(); // 'username ip' -> { count, firstAt, until }
 
-        // Save cookies periodically
-        const cookies = await page.cookies();
-        saveCookies(cookies);
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
 
-        // Clear browser cache every 50 scrapes to prevent memory growth
-        if (totalScrapes % 50 === 0) {
-            try {
-                const client = await page.target().createCDPSession();
-                await client.send('Network.clearBrowserCache');
-                await client.detach();
-                console.log('[Memory] Browser cache cleared');
-            } catch (e) { /* ignore */ }
-        }
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password || ''), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// users.json as last read or saved; authentication reads this on every
+// request and broadcast, so it's only decrypted from disk once
+let cachedUsers = null;
+
+// A copy callers may change and hand to saveUsers()
+function loadUsers() {
+    return structuredClone(currentUsers());
+}
 
+// The shared list, read only
+function currentUsers() {
+    if (cachedUsers) return cachedUsers;
+    try {
+        if (fs.existsSync(USERS_PATH)) {
+            cachedUsers = readSecretStore(USERS_PATH);
+            return cachedUsers;
+        }
     } catch (err) {
-        scrapeErrors++;
-        console.error(`[Scrape] Error (${scrapeErrors}):`, err.message);
+        // Never re-seed over an unreadable file: that would reset the admin password
+        console.error('[Users] Error loading:', err.message);
+        return [];
+    }
+    if (!USERNAME_RE.test(CONFIG.ADMIN_USER)) {
+        console.error(`[Users] ADMIN_USER "${CONFIG.ADMIN_USER}" is not a valid username (2-32 characters of a-z, 0-9, dot, underscore or dash), no admin created`);
+        return [];
+    }
+    const password = CONFIG.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    const users = [{ username: CONFIG.ADMIN_USER, role: 'admin', passwordHash: hashPassword(password), createdAt: new Date().toISOString() }];
+    saveUsers(users);
+    console.log(CONFIG.ADMIN_PASSWORD
+        ? `[Users] Created admin "${CONFIG.ADMIN_USER}" from ADMIN_PASSWORD`
+        : `[Users] Created admin "${CONFIG.ADMIN_USER}" with password ${password} — change it after signing in`);
+    return users;
+}
 
-        // If too many errors, try refreshing the page
-        if (scrapeErrors >= 5) {
-            console.log('[Scrape] Too many errors, refreshing page...');
-            try {
-                await page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
-                scrapeErrors = 0;
-            } catch (reloadErr) {
-                console.error('[Scrape] Reload failed:', reloadErr.message);
-                // Try full browser restart
-                await restartBrowser();
-            }
+function saveUsers(users) {
+    writeSecretStore(USERS_PATH, users);
+    cachedUsers = structuredClone(users);
+}
+
+function hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Checks a username/password pair, locking that username out for the client IP after
+// repeated failures. Behind a proxy every client shares one IP, so the username keeps
+// one person's typos from locking everyone else out. Returns { user } or { error }.
+function checkLogin(ip, username, password) {
+    const name = String(username || '').trim().toLowerCase();
+    const key = `${name} ${ip}`;
+    const failures = loginFailures.get(key);
+    if (failures && failures.until > Date.now()) {
+        return { error: `Too many failed attempts, try again in ${Math.ceil((failures.until - Date.now()) / 60000)} min` };
+    }
+    const user = currentUsers().find(u => u.username === name);
+    if (user && verifyPassword(password, user.passwordHash)) {
+        loginFailures.delete(key);
+        return { user };
+    }
+    // Failures count within one lockout-long window; an expired lockout starts over
+    const recent = failures && !failures.until && Date.now() - failures.firstAt < LOGIN_LOCKOUT;
+    const count = recent ? failures.count + 1 : 1;
+    loginFailures.set(key, {
+        count,
+        firstAt: recent ? failures.firstAt : Date.now(),
+        until: count >= LOGIN_MAX_FAILURES ? Date.now() + LOGIN_LOCKOUT : 0,
+    });
+    console.log(`[Users] Failed sign-in for "${username}" from ${ip}`);
+    return { error: 'Wrong username or password' };
+}
+
+function createSession(res, req, user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { username: user.username, csrf: crypto.randomBytes(24).toString('hex'), expiresAt: Date.now() + SESSION_TTL });
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure || req.get('x-forwarded-proto') === 'https',
+        path: '/',
+    });
+}
+
+// Ends every session of a user (removed, or password changed), optionally keeping one
+function endSessions(username, keepToken = null) {
+    for (const [token, session] of sessions) {
+        if (session.username === username && token !== keepToken) sessions.delete(token);
+    }
+}
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+// Scripts send the same Basic credentials on every call; a pair that checked out
+// once skips the scrypt check until that user's password changes
+const basicAuthChecked = new Map(); // sha256 of the credentials -> passwordHash they matched
+const MAX_BASIC_AUTH_CHECKED = 100;
+
+function checkBasicAuth(ip, encoded) {
+    const digest = crypto.createHash('sha256').update(encoded).digest('hex');
+    const [username, ...password] = Buffer.from(encoded, 'base64').toString('utf-8').split(':');
+    const checked = basicAuthChecked.get(digest);
+    const user = checked && currentUsers().find(u => u.username === username.trim().toLowerCase() && u.passwordHash === checked);
+    if (user) return { user };
+    const result = checkLogin(ip, username, password.join(':'));
+    if (result.user) {
+        if (basicAuthChecked.size >= MAX_BASIC_AUTH_CHECKED) basicAuthChecked.clear();
+        basicAuthChecked.set(digest, result.user.passwordHash);
+    }
+    return result;
+}
+
+// Resolves req.user from the session cookie, an API token, or HTTP Basic credentials
+// for scripts (the last two are never sent by a browser on its own, so they skip CSRF checks)
+function authenticate(req, res, next) {
+    req.user = null;
+    req.session = null;
+    const token = readCookie(req, SESSION_COOKIE);
+    const session = token ? sessions.get(token) : null;
+    if (session && session.expiresAt > Date.now()) {
+        const user = currentUsers().find(u => u.username === session.username);
+        if (user) {
+            session.expiresAt = Date.now() + SESSION_TTL;
+            req.user = user;
+            req.session = { token, ...session };
         }
+    } else if (session) {
+        sessions.delete(token);
+    }
+
+    // Integrations send `Authorization: Bearer wm_...`, accepted on /api/v1 only
+    const bearer = !req.user && req.path.startsWith('/api/v1/') && /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (bearer) {
+        req.user = apiTokenUser(bearer[1]);
+        if (!req.user) return res.status(401).json({ ok: false, error: 'Unknown or revoked API token' });
+    }
+
+    const basic = !req.user && /^Basic\s+(.+)$/i.exec(req.get('authorization') || '');
+    if (basic) {
+        const result = checkBasicAuth(req.ip, basic[1]);
+        if (result.error) return res.status(401).json({ ok: false, error: result.error });
+        req.user = result.user;
     }
+    next();
 }
 
-async function restartBrowser() {
-    console.log('[Browser] Restarting...');
-    try {
-        if (scrapeInterval) clearInterval(scrapeInterval);
-        if (page) await page.close().catch(() => {});
-        if (browser) await browser.close().catch(() => {});
-    } catch {}
+function csrfField(req) {
+    return req.session ? `<input type="hidden" name="_csrf" value="${req.session.csrf}">` : '';
+}
+
+function validCsrf(req) {
+    const sent = Buffer.from(String(req.body?._csrf || req.get('x-csrf-token') || ''));
+    const expected = Buffer.from(req.session.csrf);
+    return sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+}
 
-    await setupPage();
-    await navigateToMenu();
-    startScraping();
+// Route guard: signed in, at least `role`, and a valid CSRF token on session POSTs
+function requireRole(role) {
+    return (req, res, next) => {
+        const api = req.originalUrl.startsWith('/api/');
+        if (!req.user) {
+            if (api) return res.status(401).json({ ok: false, error: 'Sign in required' });
+            return res.redirect(`/login?next=${encodeURIComponent(req.method === 'GET' ? req.originalUrl : '/')}`);
+        }
+        if (!hasRole(req.user, role)) {
+            if (api) return res.status(403).json({ ok: false, error: `Requires the ${role} role` });
+            return res.status(403).send(`<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ This needs the ${role} role (you are ${escapeHtml(req.user.role)}). <a href="/" style="color:#00aaff;">Back</a></body></html>`);
+        }
+        if (req.method !== 'GET' && req.session && !validCsrf(req)) {
+            if (api) return res.status(403).json({ ok: false, error: 'Missing or invalid CSRF token' });
+            return res.status(403).send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ This form has expired. Reload the page and try again. <a href="/" style="color:#00aaff;">Back</a></body></html>');
+        }
+        next();
+    };
 }
 
-async function navigateToMenu() {
-    console.log(`[Nav] Going to ${CONFIG.WOLT_MENU_URL}...`);
+// ============================================================
+// API TOKENS (bearer auth for /api/v1 integrations)
+// ============================================================
+const API_TOKENS_PATH = path.join(path.dirname(CONFIG.COOKIE_PATH), 'api-tokens.json');
+const TOKEN_TOUCH_INTERVAL = 60000; // how often lastUsedAt is written back
+
+// Only a SHA-256 of each token is stored; the token itself is shown once on creation.
+// Tokens are long random strings, so a slow password hash adds nothing here.
+function loadApiTokens() {
     try {
-        await page.goto(CONFIG.WOLT_MENU_URL, { waitUntil: 'networkidle2', timeout: 60000 });
-        console.log('[Nav] Page loaded:', page.url());
-        await dismissCookieBanner();
-        // Wait a bit for React to render
-        await new Promise(r => setTimeout(r, 3000));
+        if (fs.existsSync(API_TOKENS_PATH)) {
+            return readSecretStore(API_TOKENS_PATH);
+        }
     } catch (err) {
-        console.error('[Nav] Failed:', err.message);
+        console.error('[Tokens] Error loading:', err.message);
     }
+    return [];
 }
 
-// Auto-dismiss cookie consent banners
-async function dismissCookieBanner() {
-    try {
-        const dismissed = await page.evaluate(() => {
-            // Wolt's specific cookie accept button
-            const acceptBtn = document.querySelector('[data-test-id="consent-banner-accept-button"]');
-            if (acceptBtn) {
-                acceptBtn.click();
-                return 'wolt-accept';
-            }
-            // Fallback: any button that says "Allow" or "Accept"
-            const buttons = document.querySelectorAll('button');
-            for (const btn of buttons) {
-                const text = btn.textContent.trim().toLowerCase();
-                if (text === 'allow' || text === 'accept' || text === 'accept all') {
-                    btn.click();
-                    return 'generic-accept';
-                }
-            }
-            return false;
-        });
-        if (dismissed) {
-            await new Promise(r => setTimeout(r, 1000));
-            console.log(`[Nav] Cookie banner dismissed via: ${dismissed}`);
+function saveApiTokens(tokens) {
+    writeSecretStore(API_TOKENS_PATH, tokens);
+}
+
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns { token, entry }; only entry is persisted
+function createApiToken(name, role, createdBy) {
+    const token = `wm_${crypto.randomBytes(32).toString('base64url')}`;
+    const entry = {
+        id: 'tok_' + Date.now().toString(36),
+        name,
+        role,
+        hash: hashApiToken(token),
+        prefix: token.slice(0, 10),
+        createdBy,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+    };
+    saveApiTokens([...loadApiTokens(), entry]);
+    return { token, entry };
+}
+
+// Bearer token -> pseudo-user with the token's role, or null
+function apiTokenUser(token) {
+    const hash = Buffer.from(hashApiToken(token));
+    const tokens = loadApiTokens();
+    const entry = tokens.find(t => crypto.timingSafeEqual(Buffer.from(t.hash), hash));
+    if (!entry) return null;
+    if (!entry.lastUsedAt || Date.now() - new Date(entry.lastUsedAt) > TOKEN_TOUCH_INTERVAL) {
+        entry.lastUsedAt = new Date().toISOString();
+        saveApiTokens(tokens);
+    }
+    return { username: `token:${entry.name}`, role: entry.role, tokenId: entry.id };
+}
+
+// ============================================================
+// LIVE UPDATES (Server-Sent Events for the open dashboards)
+// ============================================================
+const LIVE_KEEPALIVE = 25000;
+
+const liveClients = new Set(); // { res, user, token, expiresAt }
+
+// The stream's user as of now, or null once it should be cut off: session signed
+// out or expired, user removed, or (for HTTP Basic streams, which have no session)
+// password changed or open for longer than a session lasts
+function liveClientUser(client, users) {
+    const session = client.token ? sessions.get(client.token) : null;
+    const expiresAt = client.token ? (session ? session.expiresAt : 0) : client.expiresAt;
+    if (expiresAt <= Date.now()) return null;
+    const user = users.find(u => u.username === client.user.username);
+    if (!user || (!client.token && user.passwordHash !== client.user.passwordHash)) return null;
+    return user;
+}
+
+// `data` may be a function of the client's user, so role-gated parts are
+// rendered per client (with the user's current role); returning undefined skips that client
+function broadcast(event, data) {
+    const users = currentUsers();
+    for (const client of liveClients) {
+        const user = liveClientUser(client, users);
+        if (!user) {
+            client.res.end();
+            liveClients.delete(client);
+            continue;
         }
-    } catch (err) {
-        console.log('[Nav] No cookie banner found or already dismissed');
+        client.user = user;
+        const payload = typeof data === 'function' ? data(user) : data;
+        if (payload === undefined) continue;
+        client.res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+}
+
+function publishOverview() {
+    if (liveClients.size === 0) return;
+    broadcast('overview', { html: overviewHtml() });
+}
+
+// `events` are the scrape's change events; newly disabled rows get highlighted
+function publishVenue(state, events = []) {
+    if (liveClients.size === 0) return;
+    const fresh = events.filter(e => e.event === 'disabled').map(e => itemKey(e.item));
+    const status = venueStatusHtml(state);
+    const recent = recentEventsHtml(state);
+    broadcast('venue', user => ({
+        id: state.venue.id,
+        status,
+        disabled: disabledRowsHtml(state, hasRole(user, 'staff')),
+        recent,
+        fresh,
+    }));
+    publishOverview();
+}
+
+function publishContacts(contacts) {
+    if (liveClients.size === 0) return;
+    const list = contacts.map(c => ({ id: c.id, active: !!c.active }));
+    broadcast('contacts', user => (hasRole(user, 'admin') ? list : undefined));
+}
+
+// Dashboard fragments, rendered into the page and re-sent over /events.
+// None of them hold forms, so they need no CSRF token
+function overviewHtml() {
+    const allItems = allLastItems();
+    const itemCount = allItems.filter(i => i.type === 'item').length;
+    const optionCount = allItems.filter(i => i.type === 'option').length;
+    const memory = process.memoryUsage();
+    return `
+    <div class="status">
+      <div class="dot ${isLoggedIn ? 'green' : 'red'}"></div>
+      <strong>${isLoggedIn ? 'Online & Monitoring' : 'Session Expired - Login Required'}</strong>
+    </div>
+    <div class="info">Wolt session: ${sessionSummaryHtml()}</div>
+    <div class="info">Venues monitored: <span>${venueStates.size}</span></div>
+    <div class="info">Outbox: <span>${outbox.entries.length} pending · ${outbox.stats.delivered} delivered</span>${outbox.dead.length > 0 ? ` · <a href="/outbox" style="color:#ff4444;">${outbox.dead.length} failed</a>` : ''}</div>
+    <div class="info">Memory: <span>${Math.round(memory.rss / 1024 / 1024)}MB RSS / ${Math.round(memory.heapUsed / 1024 / 1024)}MB heap</span></div>
+    <div class="info">Disabled: <span>${itemCount} items + ${optionCount} options</span></div>
+    <div class="info">Est. revenue at risk: <span>${formatRevenue(revenueAtRisk(allItems))}</span></div>`;
+}
+
+function sessionSummaryHtml() {
+    const { loggedInAt, cookie, lastCheck } = loadSessionHealth();
+    const parts = [];
+    if (cookie) {
+        const left = new Date(cookie.expiresAt) - Date.now();
+        const color = left < CONFIG.WOLT_SESSION_WARN_HOURS * 3600000 ? (left <= 0 ? '#ff4444' : '#ffaa00') : '#ccc';
+        parts.push(`<span style="color:${color}">${left > 0 ? `expires in ${formatDuration(left)}` : 'login cookie expired'}</span>`);
+    } else {
+        parts.push('<span>expiry unknown</span>');
+    }
+    if (loggedInAt) parts.push(`signed in ${formatDuration(Date.now() - new Date(loggedInAt))} ago`);
+    if (lastCheck) parts.push(`portal API ${lastCheck.status} ${formatDuration(Date.now() - new Date(lastCheck.at))} ago`);
+    return parts.join(' · ');
+}
+
+function venueStatusHtml(state) {
+    const venueItems = state.lastItems.filter(i => i.type === 'item').length;
+    const venueOptions = state.lastItems.filter(i => i.type === 'option').length;
+    return `
+    <div class="status">
+      <div class="dot ${!isLoggedIn || state.scraperBroken ? 'red' : state.scrapeErrors > 0 || state.scrapeStrategy === 'text-anchor' ? 'yellow' : 'green'}"></div>
+      <strong>🏪 ${escapeHtml(state.venue.name)}</strong>
+    </div>
+    <div class="info">Last scrape: <span>${state.lastScrapeTime || 'Never'}</span></div>
+    <div class="info">Scans: ${scanSummaryHtml(state)}</div>
+    ${state.venue.hours ? `<div class="info">Opening hours: <span>${isOpen(state.venue.hours) ? 'open' : `closed, scraping ${state.venue.hours.whenClosed === 'slow' ? `every ${Math.round((state.venue.hours.closedInterval || CONFIG.CLOSED_SCRAPE_INTERVAL) / 60000)} min` : 'paused'}`}</span></div>` : ''}
+    <div class="info">Last sent to sheet: <span>${state.lastSendTime || 'Never'}</span></div>
+    <div class="info">Total scrapes: <span>${state.totalScrapes}</span>${state.dataSource ? ` · via <span>${state.dataSource === 'network' ? 'portal API' : 'page DOM'}</span>` : ''}${state.scrapeErrors > 0 ? ` · <span style="color:#ffaa00">${state.scrapeErrors} errors in a row</span>` : ''}</div>
+    ${state.scraperBroken ? `<div class="msg err">🛠️ Scraper broken since ${formatTime(state.scraperBroken.since)}: selector profile v${state.scraperBroken.profileVersion} matches no rows. Showing the last known state.</div>` : ''}
+    ${CONFIG.DATA_SOURCE === 'network' && state.dataSource === 'dom' ? '<div class="msg warn">⚠️ No menu JSON captured from the portal yet; scraping the page instead.</div>' : ''}
+    ${state.scrapeStrategy === 'text-anchor' ? '<div class="msg warn">⚠️ Row selectors no longer match; running on the "DISABLED" text fallback. Update selectors.json.</div>' : ''}
+    <div class="info">Disabled: <span>${venueItems} items + ${venueOptions} options</span></div>
+    <div class="info">Menu: <span>${state.menu.size > 0 ? `${state.menu.size} items + options tracked, snapshot ${formatTime(state.menuUpdatedAt)}` : 'no full snapshot yet'}</span></div>
+    <div class="info">Est. revenue at risk: <span>${formatRevenue(revenueAtRisk(state.lastItems))}</span> <em style="color:#666">(one order of each disabled item)</em></div>`;
+}
+
+const RUN_PHASES = { login: 'login check', network: 'portal API', full: 'full scan', quick: 'quick scan' };
+
+// Last run and when the next one is due
+function scanSummaryHtml(state) {
+    const last = state.runs[0];
+    const parts = [];
+    if (last) {
+        const details = [`${(last.durationMs / 1000).toFixed(1)}s`, last.trigger !== 'schedule' && last.trigger, last.outcome !== 'ok' && last.outcome].filter(Boolean);
+        parts.push(`last <span>${RUN_PHASES[last.phase]}</span> (${escapeHtml(details.join(', '))})`);
     }
+    if (state.scanning) parts.push('<span>scanning now…</span>');
+    else if (state.nextScanAt) parts.push(`next in <span>~${Math.max(0, Math.round((new Date(state.nextScanAt) - Date.now()) / 1000))}s</span>${state.failedRuns > 0 ? ' <span style="color:#ffaa00">(backing off after errors)</span>' : ''}`);
+    return parts.join(' · ') || '<span>not started</span>';
+}
+
+// Rows of the "Currently Disabled" list; the Enable buttons submit the
+// surrounding form, which carries the venue and the CSRF token
+function disabledRowsHtml(state, canToggle) {
+    return state.lastItems.map(i => {
+        const key = itemKey(i);
+        const entry = state.disabledState.get(key);
+        const off = entry ? ` <span style="color:#ffaa00">off ${formatDuration(Date.now() - new Date(entry.since))}</span>` : '';
+        const enable = !canToggle ? '' : `<button type="submit" name="key" value="${escapeHtml(key)}" title="Re-enable on Wolt" style="width:auto; padding:2px 8px; margin:0 0 0 6px; font-size:11px;">✅ Enable</button>`;
+        return i.type === 'option'
+            ? `<div class="option" data-key="${escapeHtml(key)}">↳ [${escapeHtml(i.optionGroup)}] ${escapeHtml(i.name)}${i.price ? ` (+${escapeHtml(formatPrice(i))})` : ''}${off}${enable}</div>`
+            : `<div data-key="${escapeHtml(key)}"><strong>${escapeHtml(i.name)}</strong> - ${escapeHtml(formatPrice(i))} <em style="color:#666">${escapeHtml(i.category)}</em>${off}${enable}</div>`;
+    }).join('');
 }
 
-function startScraping() {
-    console.log(`[Scrape] Starting loop every ${CONFIG.SCRAPE_INTERVAL / 1000}s`);
-    scrapeInterval = setInterval(doScrape, CONFIG.SCRAPE_INTERVAL);
-    // Do first scrape immediately
-    setTimeout(doScrape, 5000);
+function recentEventsHtml(state) {
+    return state.recentEvents.map(e => `<div>${EVENT_ICONS[e.event]} ${escapeHtml(describeEvent(e))} <em style="color:#666">${escapeHtml(e.item.category)}</em></div>`).join('');
 }
 
 // ============================================================
@@ -584,16 +3021,161 @@ function startScraping() {
 const app = express();
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(authenticate);
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function venueFormFields(venue, contacts) {
+    const selected = venue.contactIds || [];
+    return `
+        <input type="text" name="name" placeholder="Venue name" value="${escapeHtml(venue.name)}" required>
+        <input type="url" name="menuUrl" placeholder="https://merchant.wolt.com/venue/.../menu" value="${escapeHtml(venue.menuUrl)}" required>
+        <input type="number" name="scrapeInterval" min="10" placeholder="Scrape every N seconds (default ${CONFIG.SCRAPE_INTERVAL / 1000})" value="${venue.scrapeInterval ? venue.scrapeInterval / 1000 : ''}">
+        <input type="number" name="fullScanInterval" min="30" placeholder="Scroll through the whole menu every N seconds (default ${CONFIG.FULL_SCAN_INTERVAL / 1000})" value="${venue.fullScanInterval ? venue.fullScanInterval / 1000 : ''}">
+        <input type="url" name="appsScriptUrl" placeholder="Apps Script URL (blank = default sheet)" value="${escapeHtml(venue.appsScriptUrl)}">
+        <input type="text" name="currency" maxlength="3" pattern="[A-Za-z]{3}" placeholder="Currency when prices show none (default ${CONFIG.CURRENCY})" value="${escapeHtml(venue.currency)}">
+        <div style="font-size:12px; color:#888; margin:6px 0;">Alert recipients:
+          ${contacts.map(c => `<label style="display:inline-block; margin-right:10px;"><input type="checkbox" name="contactIds" value="${escapeHtml(c.id)}" style="width:auto; margin:0 4px 0 0;" ${selected.includes(c.id) ? 'checked' : ''}>${escapeHtml(c.name)}</label>`).join('')}
+        </div>
+        ${venueHoursFields(venue.hours)}`;
+}
+
+// Opening hours (see scraper/hours.js); all days left blank = open around the clock
+function venueHoursFields(hours) {
+    const weekly = hours ? hours.weekly : {};
+    const closedMinutes = Math.round(((hours && hours.closedInterval) || CONFIG.CLOSED_SCRAPE_INTERVAL) / 60000);
+    const dayNames = { mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday', sun: 'Sunday' };
+    return `
+        <details style="margin:6px 0;">
+          <summary style="color:#00aaff; cursor:pointer; font-size:12px;">🕒 Opening hours${hours ? '' : ' (not set: always open)'}</summary>
+          <div style="font-size:12px; color:#888; margin:6px 0;">Per day: ranges like 10:00-23:00 or 11:00-15:00, 18:00-02:00; blank = closed. Leave every day blank to monitor around the clock.</div>
+          ${Object.entries(dayNames).map(([day, label]) => `<input type="text" name="hours_${day}" placeholder="${label}" value="${escapeHtml(weekly[day] || '')}">`).join('')}
+          <input type="text" name="hoursTimezone" placeholder="Timezone (default ${escapeHtml(CONFIG.TIMEZONE)})" value="${escapeHtml(hours ? hours.timezone : '')}">
+          <div style="font-size:12px; color:#888; margin:6px 0;">Holidays and other exceptions, one per line: <em>2026-12-25</em> (closed) or <em>2026-12-31 10:00-15:00</em></div>
+          <textarea name="holidays" rows="3" style="width:100%; padding:12px; margin:6px 0; border-radius:8px; border:1px solid #333; background:#0f0f1a; color:#e0e0e0; font-size:14px; box-sizing:border-box;">${escapeHtml(formatHolidays(hours ? hours.holidays : []))}</textarea>
+          <select name="whenClosed" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
+            <option value="pause">While closed: pause scraping</option>
+            <option value="slow" ${hours && hours.whenClosed === 'slow' ? 'selected' : ''}>While closed: scrape every N minutes</option>
+          </select>
+          <input type="number" name="closedInterval" min="1" placeholder="N minutes between scrapes while closed" value="${closedMinutes}">
+        </details>`;
+}
+
+// Form fields -> venue.hours, or null when no day has hours. Throws on a
+// malformed range, date or timezone, and on holidays without weekly hours.
+function hoursFromForm(body) {
+    const weekly = {};
+    DAYS.forEach(day => {
+        const text = String(body[`hours_${day}`] || '').trim();
+        parseRanges(text);
+        weekly[day] = /^closed$/i.test(text) ? '' : text;
+    });
+    const holidays = parseHolidays(body.holidays);
+    if (!Object.values(weekly).some(Boolean)) {
+        if (holidays.length > 0) throw new Error('holidays change the weekly hours, so fill in at least one day (or clear the holidays for a venue that is always open)');
+        return null;
+    }
+    const minutes = parseInt(body.closedInterval);
+    const hours = {
+        timezone: String(body.hoursTimezone || '').trim() || CONFIG.TIMEZONE,
+        weekly,
+        holidays,
+        whenClosed: body.whenClosed === 'slow' ? 'slow' : 'pause',
+        closedInterval: minutes >= 1 ? minutes * 60000 : CONFIG.CLOSED_SCRAPE_INTERVAL,
+    };
+    try {
+        isOpen(hours);
+    } catch {
+        throw new Error(`Unknown timezone "${hours.timezone}"`);
+    }
+    return hours;
+}
 
 // Health check for Render
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', uptime: process.uptime() });
 });
 
+// Where to go after signing in: a path on this site only. Resolving against a
+// placeholder origin catches what browsers read as another host ("//x", "/\\x", "/\t/x").
+function safeNext(value) {
+    const next = String(value || '');
+    try {
+        return next.startsWith('/') && new URL(next, 'http://wolt-monitor.invalid').origin === 'http://wolt-monitor.invalid' ? next : '/';
+    } catch {
+        return '/';
+    }
+}
+
+// Sign-in page (the only page, besides /health, that needs no session)
+app.get('/login', (req, res) => {
+    if (req.user) return res.redirect('/');
+    const next = safeNext(req.query.next);
+    res.send(`<!DOCTYPE html>
+<html><head><title>Sign in - Wolt Monitor</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; background: #0f0f1a; color: #e0e0e0; padding: 20px; }
+  .container { max-width: 360px; margin: 60px auto 0; }
+  h1 { color: #00ff88; margin-bottom: 20px; }
+  .card { background: #1a1a2e; border-radius: 12px; padding: 20px; }
+  input, button { width: 100%; padding: 12px; margin: 6px 0; border-radius: 8px; border: 1px solid #333; font-size: 14px; }
+  input { background: #0f0f1a; color: #e0e0e0; }
+  button { background: #00ff88; color: #0f0f1a; font-weight: bold; cursor: pointer; border: none; }
+  .msg.err { padding: 10px; border-radius: 8px; margin-bottom: 10px; font-size: 14px; background: #3d0a0a; color: #ff4444; }
+</style></head><body>
+<div class="container">
+  <h1>🔍 Wolt Monitor</h1>
+  <div class="card">
+    ${req.query.error ? `<div class="msg err">❌ ${escapeHtml(req.query.error)}</div>` : ''}
+    <form method="POST" action="/login">
+      <input type="hidden" name="next" value="${escapeHtml(next)}">
+      <input type="text" name="username" placeholder="Username" autocomplete="username" required autofocus>
+      <input type="password" name="password" placeholder="Password" autocomplete="current-password" required>
+      <button type="submit">Sign in</button>
+    </form>
+  </div>
+</div>
+</body></html>`);
+});
+
+app.post('/login', (req, res) => {
+    const next = safeNext(req.body.next);
+    const { user, error } = checkLogin(req.ip, req.body.username, req.body.password);
+    if (error) return res.redirect(`/login?${new URLSearchParams({ next, error })}`);
+    createSession(res, req, user);
+    const users = loadUsers();
+    const stored = users.find(u => u.username === user.username);
+    stored.lastLoginAt = new Date().toISOString();
+    saveUsers(users);
+    console.log(`[Users] ${user.username} signed in from ${req.ip}`);
+    res.redirect(next);
+});
+
+// OpenAPI description of /api/v1, public so tools can fetch it before holding a token
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.sendFile(path.join(__dirname, 'openapi.json'));
+});
+
+// Everything below needs a signed-in user; routes that change things ask for more
+app.use(requireRole('viewer'));
+
+app.post('/logout', (req, res) => {
+    if (req.session) sessions.delete(req.session.token);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.redirect('/login');
+});
+
 // Status page + Login UI
 app.get('/', (req, res) => {
-    const itemCount = lastItems.filter(i => i.type === 'item').length;
-    const optionCount = lastItems.filter(i => i.type === 'option').length;
+    const states = [...venueStates.values()];
+    const contacts = loadContacts();
+    const csrf = csrfField(req);
+    const isStaff = hasRole(req.user, 'staff');
+    const isAdmin = hasRole(req.user, 'admin');
 
     res.send(`<!DOCTYPE html>
 <html><head><title>Wolt Monitor</title>
@@ -624,98 +3206,376 @@ app.get('/', (req, res) => {
   .msg { padding: 10px; border-radius: 8px; margin: 10px 0; font-size: 14px; }
   .msg.ok { background: #0a3d1f; color: #00ff88; }
   .msg.err { background: #3d0a0a; color: #ff4444; }
+  .msg.warn { background: #3d2e0a; color: #ffaa00; }
+  .items-list .fresh { animation: fresh 8s ease-out; }
+  @keyframes fresh { from { background: #5a1010; } to { background: transparent; } }
+  #live { position: fixed; bottom: 12px; right: 12px; font-size: 12px; color: #666; }
 </style></head><body>
 <div class="container">
   <h1>🔍 Wolt Monitor</h1>
+  <div class="info" style="display:flex; align-items:center; gap:10px; margin:-10px 0 16px;">
+    <div style="flex:1;">Signed in as <span>${escapeHtml(req.user.username)}</span> (${escapeHtml(req.user.role)}) · <a href="/account" style="color:#00aaff; text-decoration:none;">🔒 Password</a>${isAdmin ? ' · <a href="/users" style="color:#00aaff; text-decoration:none;">👥 Users</a> · <a href="/tokens" style="color:#00aaff; text-decoration:none;">🔑 API tokens</a>' : ''}</div>
+    <form method="POST" action="/logout" style="margin:0;">
+      ${csrf}
+      <button type="submit" class="btn-secondary" style="width:auto; padding:4px 12px; margin:0; font-size:12px;">Sign out</button>
+    </form>
+  </div>
 
   <div class="card">
-    <div class="status">
-      <div class="dot ${isLoggedIn ? 'green' : 'red'}"></div>
-      <strong>${isLoggedIn ? 'Online & Monitoring' : 'Session Expired - Login Required'}</strong>
-    </div>
-    <div class="info">Last scrape: <span>${lastScrapeTime || 'Never'}</span></div>
-    <div class="info">Last sent to sheet: <span>${lastSendTime || 'Never'}</span></div>
-    <div class="info">Total scrapes: <span>${totalScrapes}</span></div>
-    <div class="info">Memory: <span>${Math.round(process.memoryUsage().rss / 1024 / 1024)}MB RSS / ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB heap</span></div>
-    <div class="info">Disabled: <span>${itemCount} items + ${optionCount} options</span></div>
+    <div data-live="overview">${overviewHtml()}</div>
     <div style="margin-top:12px; display:flex; gap:8px; flex-wrap:wrap;">
       <a href="/screenshot" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">📸 Live Preview</a>
       <a href="/screenshot/full" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">📜 Full Page</a>
       <a href="/api/status" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">📊 JSON Status</a>
+      <a href="/history" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">📈 History</a>
+      <a href="/api/menu" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">📖 Menu JSON</a>
+      <a href="/outbox" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">📤 Outbox</a>
+      <a href="/audit" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">🧾 Audit</a>
+      <a href="/export/current.xlsx" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">⬇️ Excel</a>
+      <a href="/export/current.csv" style="background:#1e3a5f; color:#00aaff; padding:8px 14px; border-radius:8px; text-decoration:none; font-size:13px;">⬇️ CSV</a>
     </div>
   </div>
 
-  ${lastItems.length > 0 ? `
-  <div class="card">
-    <h2>Currently Disabled</h2>
-    <div class="items-list">
-      ${lastItems.map(i => i.type === 'option'
-        ? `<div class="option">↳ [${i.optionGroup}] ${i.name} (${i.price} ALL)</div>`
-        : `<div><strong>${i.name}</strong> - ${i.price} ALL <em style="color:#666">${i.category}</em></div>`
-      ).join('')}
+  ${states.map(state => {
+    const { venue } = state;
+    const schedules = loadSchedules().filter(sc => sc.venueId === venue.id && (sc.active || sc.lastRunAt));
+    const groups = [...new Set(state.lastItems.filter(i => i.type === 'option').map(i => `${i.category}|${i.optionGroup}`))];
+    return `
+  <div class="card" data-venue="${escapeHtml(venue.id)}">
+    <div data-live="status">${venueStatusHtml(state)}</div>
+    <div style="margin-top:8px; display:flex; align-items:center; gap:12px;">
+      <a href="/screenshot?venue=${encodeURIComponent(venue.id)}" style="color:#00aaff; font-size:13px; text-decoration:none;">📸 Preview this venue</a>
+      ${isStaff ? `
+      <form method="POST" action="/venues/scan" style="margin:0;">
+        ${csrf}
+        <input type="hidden" name="venue" value="${escapeHtml(venue.id)}">
+        <button type="submit" class="btn-secondary" style="width:auto; padding:4px 12px; margin:0; font-size:12px;">🔄 Scan now</button>
+      </form>` : ''}
     </div>
-  </div>` : ''}
 
+    <div data-live="disabled-box"${state.lastItems.length > 0 ? '' : ' hidden'}>
+    <h2 style="margin-top:14px;">Currently Disabled</h2>
+    <form method="POST" action="/items/toggle">
+      <input type="hidden" name="venue" value="${escapeHtml(venue.id)}">
+      <input type="hidden" name="action" value="enable">
+      <div class="items-list" data-live="disabled">${disabledRowsHtml(state, isStaff)}</div>
+      ${csrf}
+    </form>
+    </div>
+
+    ${state.menu.size > 0 && isStaff ? `
+    <details style="margin-top:10px;">
+      <summary style="cursor:pointer; color:#888; font-size:13px;">⛔ Disable an item on Wolt</summary>
+      <form method="POST" action="/items/toggle">
+        <input type="hidden" name="venue" value="${escapeHtml(venue.id)}">
+        <input type="hidden" name="action" value="disable">
+        <select name="key" required style="width:100%; padding:10px; margin:6px 0; border-radius:8px; background:#0f0f1a; color:#e0e0e0; border:1px solid #333;">
+          ${[...state.menu.entries()].filter(([, i]) => i.enabled).map(([key, i]) => `<option value="${escapeHtml(key)}">${escapeHtml(i.type === 'option' ? `${i.category} › ${i.optionGroup} › ${i.name}` : `${i.category} › ${i.name}`)}</option>`).join('')}
+        </select>
+        ${csrf}
+        <button type="submit" style="background:#ff4444; color:white;">Disable on Wolt</button>
+      </form>
+    </details>` : ''}
+
+    ${schedules.length > 0 || state.lastItems.length > 0 ? `
+    <h2 style="margin-top:14px;">⏰ Scheduled Re-enable</h2>
+    ${schedules.map(sc => `
+    <div style="padding:6px 0; border-bottom:1px solid #2a2a3e; font-size:13px; ${sc.active ? '' : 'opacity:0.6;'}">
+      ${escapeHtml(describeSchedule(sc))}
+      <div style="color:#666; font-size:12px;">by ${escapeHtml(sc.createdBy)}${sc.lastRunAt ? ` · last run ${formatTime(sc.lastRunAt)}: ${escapeHtml(sc.lastResult)}` : ''}</div>
+      ${isStaff ? `
+      <form method="POST" action="/schedules/remove" style="margin:0;">
+        ${csrf}
+        <input type="hidden" name="id" value="${escapeHtml(sc.id)}">
+        <button type="submit" style="width:auto; padding:4px 12px; margin:2px 0; font-size:12px; background:#ff4444; color:white;">${sc.active ? 'Cancel' : 'Clear'}</button>
+      </form>` : ''}
+    </div>`).join('')}
+    ${state.lastItems.length > 0 && isStaff ? `
+    <details style="margin-top:8px;">
+      <summary style="cursor:pointer; color:#888; font-size:13px;">➕ Schedule a re-enable</summary>
+      <form method="POST" action="/schedules/add">
+        <input type="hidden" name="venue" value="${escapeHtml(venue.id)}">
+        <select name="target" required style="width:100%; padding:10px; margin:6px 0; border-radius:8px; background:#0f0f1a; color:#e0e0e0; border:1px solid #333;">
+          ${state.lastItems.map(i => `<option value="key:${escapeHtml(itemKey(i))}">${escapeHtml(i.type === 'option' ? `${i.optionGroup} › ${i.name}` : i.name)}</option>`).join('')}
+          ${groups.map(g => `<option value="group:${escapeHtml(g)}">All options in ${escapeHtml(g.split('|')[1])} (${escapeHtml(g.split('|')[0])})</option>`).join('')}
+        </select>
+        <div style="font-size:12px; color:#888;">Once at (${escapeHtml(CONFIG.TIMEZONE)}):</div>
+        <input type="datetime-local" name="at">
+        <div style="font-size:12px; color:#888;">…or every day at:</div>
+        <input type="time" name="daily">
+        ${csrf}
+        <button type="submit">Schedule</button>
+      </form>
+    </details>` : ''}` : ''}
+
+    <div data-live="recent-box"${state.recentEvents.length > 0 ? '' : ' hidden'}>
+    <h2 style="margin-top:14px;">Recent Changes</h2>
+    <div class="items-list" data-live="recent">${recentEventsHtml(state)}</div>
+    </div>
+  </div>`;
+  }).join('')}
+
+  <div class="card">
+    <h2>🏪 Venues</h2>
+    <p style="color:#888; font-size:13px; margin-bottom:12px;">
+      Each venue gets its own page in the shared browser. Alert recipients: leave all unticked to alert every active contact.
+    </p>
+    ${loadVenues().map(v => `
+    <div style="padding:8px 0; border-bottom:1px solid #2a2a3e;">
+      <div style="display:flex; align-items:center; gap:10px;">
+        <div class="dot ${v.active ? 'green' : 'red'}" style="flex-shrink:0;"></div>
+        <div style="flex:1;">
+          <strong>${escapeHtml(v.name)}</strong>
+          <span style="color:#666; font-size:12px; margin-left:6px;">every ${Math.round((v.scrapeInterval || CONFIG.SCRAPE_INTERVAL) / 1000)}s, full scan every ${Math.round((v.fullScanInterval || CONFIG.FULL_SCAN_INTERVAL) / 1000)}s${v.hours ? ` · 🕒 ${isOpen(v.hours) ? 'open now' : 'closed now'}` : ''}</span>
+        </div>
+        ${isAdmin ? `
+        <form method="POST" action="/venues/toggle" style="margin:0;">
+          ${csrf}
+          <input type="hidden" name="id" value="${escapeHtml(v.id)}">
+          <button type="submit" style="width:auto; padding:4px 12px; font-size:12px; background:${v.active ? '#333' : '#00ff88'}; color:${v.active ? '#e0e0e0' : '#0f0f1a'};">
+            ${v.active ? 'Pause' : 'Resume'}
+          </button>
+        </form>` : ''}
+      </div>
+      ${isAdmin ? `
+      <details style="margin-top:6px;">
+        <summary style="color:#00aaff; cursor:pointer; font-size:12px;">✏️ Edit</summary>
+        <form method="POST" action="/venues/save" style="margin-top:8px;">
+          <input type="hidden" name="id" value="${escapeHtml(v.id)}">
+          ${venueFormFields(v, contacts)}
+          ${csrf}
+          <button type="submit" class="btn-secondary">Save Venue</button>
+        </form>
+        <form method="POST" action="/venues/remove">
+          ${csrf}
+          <input type="hidden" name="id" value="${escapeHtml(v.id)}">
+          <button type="submit" style="background:#ff4444; color:white;">Remove Venue</button>
+        </form>
+      </details>` : ''}
+    </div>`).join('')}
+    ${isAdmin ? `
+    <details style="margin-top:14px;">
+      <summary style="color:#00aaff; cursor:pointer; font-size:13px;">➕ Add venue</summary>
+      <form method="POST" action="/venues/save" style="margin-top:10px;">
+        ${venueFormFields({}, contacts)}
+        ${csrf}
+        <button type="submit" class="btn-secondary">Add Venue</button>
+      </form>
+    </details>` : ''}
+  </div>
+
+  ${isAdmin ? `
   <div class="card">
-    <h2>📱 WhatsApp Contacts</h2>
+    <h2>📱 Alert Contacts</h2>
     <p style="color:#888; font-size:13px; margin-bottom:12px;">
-      Toggle who receives alerts. Green = active.
+      Toggle who receives alerts. Green = active. Each contact is reached on its own channel.
     </p>
     ${(() => {
         const contacts = loadContacts();
-        return contacts.map((c, i) => `
-        <div style="display:flex; align-items:center; gap:10px; padding:8px 0; border-bottom:1px solid #2a2a3e;">
+        return contacts.map((c, i) => {
+          const policy = contactPolicy(c);
+          const policyText = [
+            policy.quietStart && policy.quietEnd ? `🌙 quiet ${policy.quietStart}–${policy.quietEnd}` : '',
+            policy.batchMinutes ? `📦 batch ${policy.batchMinutes}m` : '',
+            policy.digestTimes.length > 0 ? `📋 digest ${policy.digestTimes.join(', ')}` : '',
+          ].filter(Boolean).join(' · ');
+          return `
+        <div style="padding:8px 0; border-bottom:1px solid #2a2a3e;" data-contact="${escapeHtml(c.id)}">
+        <div style="display:flex; align-items:center; gap:10px;">
           <div class="dot ${c.active ? 'green' : 'red'}" style="flex-shrink:0;"></div>
           <div style="flex:1;">
-            <strong>${c.type === 'group' ? '👥' : '👤'} ${c.name}</strong>
-            <span style="color:#666; font-size:12px; margin-left:6px;">${c.chatId || 'no number'}</span>
+            <strong>${c.type === 'group' ? '👥' : '👤'} ${escapeHtml(c.name)}</strong>
+            <span style="color:#666; font-size:12px; margin-left:6px;">${(NOTIFIERS[contactChannel(c)] || {}).icon || '❓'} ${contactChannel(c)}${isChannelEnabled(contactChannel(c)) ? '' : ' (not configured)'} · ${c.chatId ? escapeHtml(c.chatId) : 'no number'}</span>
+            ${policyText ? `<div style="color:#666; font-size:12px;">${policyText} (${escapeHtml(policy.timezone)})</div>` : ''}
           </div>
           <form method="POST" action="/contacts/toggle" style="margin:0;">
-            <input type="hidden" name="password" value="">
-            <input type="hidden" name="id" value="${c.id}">
+            ${csrf}
+            <input type="hidden" name="id" value="${escapeHtml(c.id)}">
             <button type="submit" style="width:auto; padding:4px 12px; font-size:12px; background:${c.active ? '#333' : '#00ff88'}; color:${c.active ? '#e0e0e0' : '#0f0f1a'};">
               ${c.active ? 'Disable' : 'Enable'}
             </button>
           </form>
-        </div>`).join('');
+        </div>
+        <details style="margin-top:4px;">
+          <summary style="color:#00aaff; cursor:pointer; font-size:12px;">⚙️ Delivery (quiet hours, batching, digests)</summary>
+          <form method="POST" action="/contacts/policy" style="margin-top:8px;">
+            <input type="hidden" name="id" value="${escapeHtml(c.id)}">
+            <div style="display:flex; gap:6px;">
+              <input type="time" name="quietStart" value="${escapeHtml(policy.quietStart)}" title="Quiet hours start">
+              <input type="time" name="quietEnd" value="${escapeHtml(policy.quietEnd)}" title="Quiet hours end">
+            </div>
+            <input type="text" name="timezone" value="${escapeHtml(policy.timezone)}" placeholder="Timezone (e.g. Europe/Tirane)">
+            <input type="number" name="batchMinutes" min="0" value="${policy.batchMinutes || ''}" placeholder="Batch rule alerts for N minutes (0 = immediately)">
+            <input type="text" name="digestTimes" value="${escapeHtml(policy.digestTimes.join(', '))}" placeholder="Digest times, e.g. 08:00, 16:00">
+            ${csrf}
+            <button type="submit" class="btn-secondary">Save Delivery Policy</button>
+          </form>
+        </details>
+        </div>`;
+        }).join('');
     })()}
     <details style="margin-top:14px;">
       <summary style="color:#00aaff; cursor:pointer; font-size:13px;">➕ Add new contact or group</summary>
       <form method="POST" action="/contacts/add" style="margin-top:10px;">
-        <input type="password" name="password" placeholder="UI Password" required>
+        ${csrf}
         <input type="text" name="name" placeholder="Name (e.g. Lona or Staff Group)" required>
+        <select name="channel" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
+          ${CONFIG.NOTIFY_CHANNELS.filter(ch => NOTIFIERS[ch]).map(ch => `<option value="${ch}">${NOTIFIERS[ch].icon} ${NOTIFIERS[ch].label}${NOTIFIERS[ch].configured() ? '' : ' (not configured)'}</option>`).join('')}
+        </select>
         <select name="type" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
           <option value="person">👤 Person (phone number)</option>
           <option value="group">👥 Group chat</option>
         </select>
-        <input type="text" name="chatId" placeholder="Phone number OR group ID (see below)" required>
+        <input type="text" name="chatId" placeholder="Phone number, group ID, chat ID, webhook URL or email" required>
         <p style="color:#666; font-size:11px; margin:4px 0;">
-          Person: just the number like <b>355694022227</b><br>
-          Group: the full ID like <b>120363XXXXX@g.us</b>
+          WhatsApp person: just the number like <b>355694022227</b><br>
+          WhatsApp group: the full ID like <b>120363XXXXX@g.us</b><br>
+          Telegram: the numeric chat ID · Slack / Discord / webhook: the full URL · Email: the address
         </p>
         <button type="submit" class="btn-secondary">Add Contact</button>
       </form>
       <form method="POST" action="/contacts/list-groups" style="margin-top:8px;">
-        <input type="password" name="password" placeholder="UI Password" required>
+        ${csrf}
         <button type="submit" class="btn-secondary" style="font-size:12px;">📋 Show my WhatsApp groups (find group IDs)</button>
       </form>
     </details>
     <details style="margin-top:8px;">
-      <summary style="color:#ff6666; cursor:pointer; font-size:13px;">🗑️ Remove contact</summary>
-      <form method="POST" action="/contacts/remove" style="margin-top:10px;">
-        <input type="password" name="password" placeholder="UI Password" required>
+      <summary style="color:#ff6666; cursor:pointer; font-size:13px;">🗑️ Remove contact</summary>
+      <form method="POST" action="/contacts/remove" style="margin-top:10px;">
+        ${csrf}
+        <select name="id" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
+          ${loadContacts().map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} (${escapeHtml(c.chatId)})</option>`).join('')}
+        </select>
+        <button type="submit" style="background:#ff4444; color:white; width:100%; padding:12px; margin:6px 0; border-radius:8px; border:none; cursor:pointer;">Remove</button>
+      </form>
+    </details>
+    <form method="POST" action="/contacts/test" style="margin-top:14px;">
+      ${csrf}
+      <button type="submit" class="btn-secondary" style="font-size:13px;">🧪 Test Alert</button>
+    </form>
+  </div>
+
+  <div class="card">
+    <h2>🔔 Alert Rules</h2>
+    <p style="color:#888; font-size:13px; margin-bottom:12px;">
+      Rules decide which disabled items alert whom. Empty filters match everything.
+    </p>
+    ${loadRules().map(r => `
+    <div style="display:flex; align-items:center; gap:10px; padding:8px 0; border-bottom:1px solid #2a2a3e;">
+      <div class="dot ${r.active ? 'green' : 'red'}" style="flex-shrink:0;"></div>
+      <div style="flex:1;">
+        <strong>${escapeHtml(r.name)}</strong>
+        <div style="color:#666; font-size:12px;">${escapeHtml(describeRule(r))}${r.venueId ? ` · ${escapeHtml(venueName(r.venueId))} only` : ''} → ${r.contactIds && r.contactIds.length > 0 ? escapeHtml(contacts.filter(c => r.contactIds.includes(c.id)).map(c => c.name).join(', ')) : 'venue recipients'}</div>
+      </div>
+      <form method="POST" action="/rules/toggle" style="margin:0;">
+        ${csrf}
+        <input type="hidden" name="id" value="${escapeHtml(r.id)}">
+        <button type="submit" style="width:auto; padding:4px 12px; font-size:12px; background:${r.active ? '#333' : '#00ff88'}; color:${r.active ? '#e0e0e0' : '#0f0f1a'};">
+          ${r.active ? 'Disable' : 'Enable'}
+        </button>
+      </form>
+    </div>`).join('')}
+    <details style="margin-top:14px;">
+      <summary style="color:#00aaff; cursor:pointer; font-size:13px;">➕ Add rule</summary>
+      <form method="POST" action="/rules/add" style="margin-top:10px;">
+        ${csrf}
+        <input type="text" name="name" placeholder="Rule name (e.g. Pizza out → kitchen)" required>
+        <select name="trigger" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
+          ${Object.entries(RULE_TRIGGERS).map(([value, text]) => `<option value="${value}">When a matching item ${text}</option>`).join('')}
+        </select>
+        <input type="number" name="threshold" min="0" placeholder="N (item count or minutes, for the last two triggers)">
+        <select name="during" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
+          ${Object.entries(RULE_HOURS).map(([value, text]) => `<option value="${value}">${value ? `Only ${text} (venue opening hours)` : 'Any time'}</option>`).join('')}
+        </select>
+        <select name="venueId" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
+          <option value="">Any venue</option>
+          ${loadVenues().map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}</option>`).join('')}
+        </select>
+        <select name="type" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
+          <option value="">Items and options</option>
+          <option value="item">Items only</option>
+          <option value="option">Options only</option>
+        </select>
+        <input type="text" name="category" placeholder="Category (exact, e.g. Pizza)">
+        <input type="text" name="optionGroup" placeholder="Option group (exact)">
+        <input type="text" name="nameContains" placeholder="Name contains...">
+        <div style="font-size:12px; color:#888; margin:6px 0;">Notify (none ticked = venue recipients):
+          ${contacts.map(c => `<label style="display:inline-block; margin-right:10px;"><input type="checkbox" name="contactIds" value="${escapeHtml(c.id)}" style="width:auto; margin:0 4px 0 0;">${escapeHtml(c.name)}</label>`).join('')}
+        </div>
+        <button type="submit" class="btn-secondary">Add Rule</button>
+      </form>
+    </details>
+    <details style="margin-top:8px;">
+      <summary style="color:#ff6666; cursor:pointer; font-size:13px;">🗑️ Remove rule</summary>
+      <form method="POST" action="/rules/remove" style="margin-top:10px;">
+        ${csrf}
         <select name="id" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
-          ${loadContacts().map(c => `<option value="${c.id}">${c.name} (${c.chatId})</option>`).join('')}
+          ${loadRules().map(r => `<option value="${escapeHtml(r.id)}">${escapeHtml(r.name)}</option>`).join('')}
         </select>
         <button type="submit" style="background:#ff4444; color:white; width:100%; padding:12px; margin:6px 0; border-radius:8px; border:none; cursor:pointer;">Remove</button>
       </form>
     </details>
-    <form method="POST" action="/contacts/test" style="margin-top:14px;">
-      <input type="password" name="password" placeholder="UI Password" required style="display:inline-block;width:60%;margin-right:4px;">
-      <button type="submit" class="btn-secondary" style="font-size:13px;width:38%;display:inline-block;">🧪 Test Alert</button>
-    </form>
-  </div>
+  </div>` : ''}
+
+  ${isAdmin ? `
+  <div class="card">
+    <h2>🪝 Webhooks</h2>
+    <p style="color:#888; font-size:13px; margin-bottom:12px;">
+      Signed JSON POSTs to your own services, retried through the outbox. Check <b>X-Wolt-Monitor-Signature</b>: "sha256=" + HMAC-SHA256 of <b>timestamp.body</b> with the secret, where timestamp is <b>X-Wolt-Monitor-Timestamp</b>.
+    </p>
+    ${loadWebhooks().map(w => `
+    <div style="padding:8px 0; border-bottom:1px solid #2a2a3e;">
+      <div style="display:flex; align-items:center; gap:10px;">
+        <div class="dot ${w.active ? 'green' : 'red'}" style="flex-shrink:0;"></div>
+        <div style="flex:1; min-width:0;">
+          <strong>${escapeHtml(w.name)}</strong>${w.venueId ? ` <span style="color:#666; font-size:12px;">${escapeHtml(venueName(w.venueId))} only</span>` : ''}
+          <div style="color:#666; font-size:12px; word-break:break-all;">${escapeHtml(w.url)}</div>
+          <div style="color:#666; font-size:12px;">${escapeHtml(w.events.join(', '))} · last delivery ${w.lastDeliveredAt ? formatTime(w.lastDeliveredAt) : 'never'}</div>
+        </div>
+        <form method="POST" action="/webhooks/toggle" style="margin:0;">
+          ${csrf}
+          <input type="hidden" name="id" value="${escapeHtml(w.id)}">
+          <button type="submit" style="width:auto; padding:4px 12px; font-size:12px; background:${w.active ? '#333' : '#00ff88'}; color:${w.active ? '#e0e0e0' : '#0f0f1a'};">
+            ${w.active ? 'Pause' : 'Resume'}
+          </button>
+        </form>
+      </div>
+      <details style="margin-top:4px;">
+        <summary style="color:#00aaff; cursor:pointer; font-size:12px;">🔐 Secret and actions</summary>
+        <div style="font-family:monospace; font-size:12px; color:#00ff88; word-break:break-all; margin:6px 0;">${escapeHtml(w.secret)}</div>
+        <div style="display:flex; gap:8px;">
+          <form method="POST" action="/webhooks/test" style="flex:1;">
+            ${csrf}
+            <input type="hidden" name="id" value="${escapeHtml(w.id)}">
+            <button type="submit" class="btn-secondary">📨 Send test ping</button>
+          </form>
+          <form method="POST" action="/webhooks/remove" style="flex:1;">
+            ${csrf}
+            <input type="hidden" name="id" value="${escapeHtml(w.id)}">
+            <button type="submit" style="background:#ff4444; color:white;">Remove</button>
+          </form>
+        </div>
+      </details>
+    </div>`).join('')}
+    <details style="margin-top:14px;">
+      <summary style="color:#00aaff; cursor:pointer; font-size:13px;">➕ Add webhook</summary>
+      <form method="POST" action="/webhooks/add" style="margin-top:10px;">
+        ${csrf}
+        <input type="text" name="name" placeholder="Name (e.g. POS sync)" required>
+        <input type="url" name="url" placeholder="https://example.com/hooks/wolt" required>
+        <div style="font-size:12px; color:#888; margin:6px 0;">Events:
+          ${Object.entries(WEBHOOK_EVENTS).map(([value, text]) => `<label style="display:block;"><input type="checkbox" name="events" value="${value}" style="width:auto; margin:0 4px 0 0;" checked>${text} <span style="color:#666;">(${value})</span></label>`).join('')}
+        </div>
+        <select name="venueId" style="width:100%;padding:12px;margin:6px 0;border-radius:8px;border:1px solid #333;background:#0f0f1a;color:#e0e0e0;font-size:14px;">
+          <option value="">Any venue</option>
+          ${loadVenues().map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}</option>`).join('')}
+        </select>
+        <button type="submit" class="btn-secondary">Add Webhook</button>
+      </form>
+    </details>
+  </div>` : ''}
 
+  ${isStaff ? `
   <div class="card">
     <h2>🔑 Login / Refresh Session</h2>
     <p style="color:#888; font-size:13px; margin-bottom:12px;">
@@ -723,26 +3583,91 @@ app.get('/', (req, res) => {
       2. Copy the magic link URL from the email<br>
       3. Paste it below and click "Authenticate"
     </p>
+    ${mailboxConfigured() ? `<div class="msg ok">📬 Mailbox login is on: the link is read from ${escapeHtml(CONFIG.IMAP_USER)} automatically, both after "Request Login Email" and when the session expires.${mailboxLoginBusy ? ' Waiting for the email now…' : ''}</div>` : ''}
     <form method="POST" action="/auth/request-login">
-      <input type="password" name="password" placeholder="UI Password" required>
+      ${csrf}
       <button type="submit" class="btn-secondary">📧 Request Login Email</button>
     </form>
     <br>
     <form method="POST" action="/auth/magic-link">
-      <input type="password" name="password" placeholder="UI Password" required>
+      ${csrf}
       <input type="url" name="magic_link" placeholder="Paste magic link URL from email..." required>
       <button type="submit">🔓 Authenticate</button>
     </form>
-  </div>
+  </div>` : ''}
 </div>
-<script>setTimeout(() => location.reload(), 30000);</script>
+<div id="live">○ connecting…</div>
+<script>
+  // Live updates: the server pushes re-rendered fragments over /events
+  const live = document.getElementById('live');
+  const source = new EventSource('/events');
+  source.onopen = () => { live.textContent = '● live'; live.style.color = '#00ff88'; };
+  source.onerror = () => {
+    // CLOSED means the browser gave up, e.g. the session expired and /events redirected to the sign-in page
+    if (source.readyState === EventSource.CLOSED) live.innerHTML = '<a href="/" style="color:#ff4444;">○ offline · reload</a>';
+    else { live.textContent = '○ reconnecting…'; live.style.color = '#ffaa00'; }
+  };
+  const fill = (root, name, html) => {
+    const el = root.querySelector('[data-live="' + name + '"]');
+    if (el) el.innerHTML = html;
+    const box = root.querySelector('[data-live="' + name + '-box"]');
+    if (box) box.hidden = !html;
+  };
+  source.addEventListener('overview', e => fill(document, 'overview', JSON.parse(e.data).html));
+  source.addEventListener('venue', e => {
+    const data = JSON.parse(e.data);
+    const card = [...document.querySelectorAll('[data-venue]')].find(c => c.dataset.venue === data.id);
+    if (!card) return;
+    fill(card, 'status', data.status);
+    fill(card, 'disabled', data.disabled);
+    fill(card, 'recent', data.recent);
+    card.querySelectorAll('[data-key]').forEach(row => {
+      if (data.fresh.includes(row.dataset.key)) row.classList.add('fresh');
+    });
+  });
+  source.addEventListener('contacts', e => {
+    const contacts = JSON.parse(e.data);
+    const rows = [...document.querySelectorAll('[data-contact]')];
+    if (rows.length !== contacts.length || contacts.some(c => !rows.find(r => r.dataset.contact === c.id))) {
+      live.innerHTML = '<a href="/" style="color:#00aaff;">Contacts changed · reload</a>';
+      return;
+    }
+    contacts.forEach(c => {
+      const row = rows.find(r => r.dataset.contact === c.id);
+      row.querySelector('.dot').className = 'dot ' + (c.active ? 'green' : 'red');
+      const button = row.querySelector('form[action="/contacts/toggle"] button');
+      button.textContent = c.active ? 'Disable' : 'Enable';
+      button.style.background = c.active ? '#333' : '#00ff88';
+      button.style.color = c.active ? '#e0e0e0' : '#0f0f1a';
+    });
+  });
+</script>
 </body></html>`);
 });
 
+// Live dashboard updates (Server-Sent Events), see publishVenue() & co.
+app.get('/events', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        // Stop reverse proxies (Render, nginx) from buffering the stream
+        'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+    const client = { res, user: req.user, token: req.session ? req.session.token : null, expiresAt: Date.now() + SESSION_TTL };
+    liveClients.add(client);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), LIVE_KEEPALIVE);
+    req.on('close', () => {
+        clearInterval(keepalive);
+        liveClients.delete(client);
+    });
+});
+
 // ── CONTACTS MANAGEMENT ENDPOINTS ──
 
 // Toggle contact active/inactive
-app.post('/contacts/toggle', (req, res) => {
+app.post('/contacts/toggle', requireRole('admin'), (req, res) => {
     const contacts = loadContacts();
     const contact = contacts.find(c => c.id === req.body.id);
     if (contact) {
@@ -754,17 +3679,15 @@ app.post('/contacts/toggle', (req, res) => {
 });
 
 // Add new contact
-app.post('/contacts/add', (req, res) => {
-    if (req.body.password !== CONFIG.UI_PASSWORD) {
-        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Wrong password. <a href="/" style="color:#00aaff;">Back</a></body></html>');
-    }
+app.post('/contacts/add', requireRole('admin'), (req, res) => {
     const contacts = loadContacts();
     const id = req.body.name.toLowerCase().replace(/[^a-z0-9]/g, '') + '_' + Date.now().toString(36);
     let chatId = req.body.chatId.trim();
     const type = req.body.type || 'person';
+    const channel = NOTIFIERS[req.body.channel] ? req.body.channel : 'greenapi';
 
-    // Auto-format based on type
-    if (chatId && !chatId.includes('@')) {
+    // Auto-format WhatsApp numbers based on type
+    if (channel === 'greenapi' && chatId && !chatId.includes('@')) {
         if (type === 'group') {
             chatId = chatId + '@g.us';
         } else {
@@ -775,29 +3698,53 @@ app.post('/contacts/add', (req, res) => {
     contacts.push({
         id,
         name: req.body.name.trim(),
+        channel,
         chatId,
         type, // 'person' or 'group'
         active: true,
     });
     saveContacts(contacts);
-    console.log(`[Contacts] Added ${type}: ${req.body.name} (${chatId})`);
+    console.log(`[Contacts] Added ${type} via ${channel}: ${req.body.name} (${chatId})`);
     res.redirect('/');
 });
 
-// List WhatsApp groups (to find group IDs)
-app.post('/contacts/list-groups', async (req, res) => {
-    if (req.body.password !== CONFIG.UI_PASSWORD) {
-        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Wrong password. <a href="/" style="color:#00aaff;">Back</a></body></html>');
+// Quiet hours, batching window and digest times for one contact
+app.post('/contacts/policy', requireRole('admin'), (req, res) => {
+    const timezone = (req.body.timezone || '').trim() || CONFIG.TIMEZONE;
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    } catch {
+        return res.send(`<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Unknown timezone: ${escapeHtml(timezone)}. <a href="/" style="color:#00aaff;">Back</a></body></html>`);
+    }
+
+    const contacts = loadContacts();
+    const contact = contacts.find(c => c.id === req.body.id);
+    if (contact) {
+        const hhmm = /^([01]\d|2[0-3]):[0-5]\d$/;
+        contact.policy = {
+            quietStart: hhmm.test(req.body.quietStart) ? req.body.quietStart : '',
+            quietEnd: hhmm.test(req.body.quietEnd) ? req.body.quietEnd : '',
+            timezone,
+            batchMinutes: Math.max(0, parseInt(req.body.batchMinutes) || 0),
+            digestTimes: (req.body.digestTimes || '').split(',').map(t => t.trim().padStart(5, '0')).filter(t => hhmm.test(t)),
+        };
+        saveContacts(contacts);
+        console.log(`[Contacts] ${contact.name} delivery policy updated`);
     }
+    res.redirect('/');
+});
+
+// List WhatsApp groups (to find group IDs)
+app.post('/contacts/list-groups', requireRole('admin'), async (req, res) => {
     if (!CONFIG.GREEN_API_INSTANCE || !CONFIG.GREEN_API_TOKEN) {
         return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Green API not configured. <a href="/" style="color:#00aaff;">Back</a></body></html>');
     }
 
-    const url = `https://api.green-api.com/waInstance${CONFIG.GREEN_API_INSTANCE}/getContacts/${CONFIG.GREEN_API_TOKEN}`;
+    const url = `${CONFIG.GREEN_API_URL}/waInstance${CONFIG.GREEN_API_INSTANCE}/getContacts/${CONFIG.GREEN_API_TOKEN}`;
 
     try {
         const data = await new Promise((resolve, reject) => {
-            https.get(url, (resp) => {
+            (url.startsWith('https:') ? https : http).get(url, (resp) => {
                 let body = '';
                 resp.on('data', chunk => body += chunk);
                 resp.on('end', () => resolve(body));
@@ -813,10 +3760,11 @@ app.post('/contacts/list-groups', async (req, res) => {
                 <td style="padding:8px;border-bottom:1px solid #2a2a3e;font-family:monospace;font-size:12px;color:#00ff88;">${g.id}</td>
                 <td style="padding:8px;border-bottom:1px solid #2a2a3e;">
                     <form method="POST" action="/contacts/add" style="margin:0;display:inline;">
-                        <input type="hidden" name="password" value="${req.body.password}">
+                        ${csrfField(req)}
                         <input type="hidden" name="name" value="${(g.name || 'Group').replace(/"/g, '&quot;')}">
                         <input type="hidden" name="chatId" value="${g.id}">
                         <input type="hidden" name="type" value="group">
+                        <input type="hidden" name="channel" value="greenapi">
                         <button type="submit" style="background:#00ff88;color:#0f0f1a;border:none;padding:4px 12px;border-radius:4px;cursor:pointer;font-size:12px;">+ Add</button>
                     </form>
                 </td>
@@ -840,10 +3788,7 @@ app.post('/contacts/list-groups', async (req, res) => {
 });
 
 // Remove contact
-app.post('/contacts/remove', (req, res) => {
-    if (req.body.password !== CONFIG.UI_PASSWORD) {
-        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Wrong password. <a href="/" style="color:#00aaff;">Back</a></body></html>');
-    }
+app.post('/contacts/remove', requireRole('admin'), (req, res) => {
     let contacts = loadContacts();
     const removed = contacts.find(c => c.id === req.body.id);
     contacts = contacts.filter(c => c.id !== req.body.id);
@@ -853,44 +3798,374 @@ app.post('/contacts/remove', (req, res) => {
 });
 
 // Send test message to all active contacts
-app.post('/contacts/test', (req, res) => {
-    if (req.body.password !== CONFIG.UI_PASSWORD) {
-        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Wrong password. <a href="/" style="color:#00aaff;">Back</a></body></html>');
+app.post('/contacts/test', requireRole('admin'), (req, res) => {
+    sendAlert('🧪 Test alert from Wolt Monitor — if you see this, alerts are working!');
+    res.redirect('/');
+});
+
+// ── ALERT RULE ENDPOINTS ──
+
+// Add rule
+app.post('/rules/add', requireRole('admin'), (req, res) => {
+    const rules = loadRules();
+    const id = req.body.name.toLowerCase().replace(/[^a-z0-9]/g, '') + '_' + Date.now().toString(36);
+    const rule = {
+        id,
+        name: req.body.name.trim(),
+        trigger: RULE_TRIGGERS[req.body.trigger] ? req.body.trigger : 'disabled',
+        venueId: req.body.venueId || '',
+        category: (req.body.category || '').trim(),
+        type: ['item', 'option'].includes(req.body.type) ? req.body.type : '',
+        optionGroup: (req.body.optionGroup || '').trim(),
+        nameContains: (req.body.nameContains || '').trim(),
+        threshold: parseInt(req.body.threshold) || 0,
+        during: RULE_HOURS[req.body.during] ? req.body.during : '',
+        contactIds: [].concat(req.body.contactIds || []),
+        active: true,
+    };
+    rules.push(rule);
+    saveRules(rules);
+    console.log(`[Rules] Added: ${rule.name} (${describeRule(rule)})`);
+    res.redirect('/');
+});
+
+// Toggle rule active/inactive
+app.post('/rules/toggle', requireRole('admin'), (req, res) => {
+    const rules = loadRules();
+    const rule = rules.find(r => r.id === req.body.id);
+    if (rule) {
+        rule.active = !rule.active;
+        saveRules(rules);
+        console.log(`[Rules] ${rule.name} → ${rule.active ? 'ACTIVE' : 'DISABLED'}`);
     }
-    sendWhatsAppAlert('🧪 Test alert from Wolt Monitor — if you see this, alerts are working!');
     res.redirect('/');
 });
 
-// Request login email (navigates to Wolt login and enters email)
-app.post('/auth/request-login', async (req, res) => {
-    if (req.body.password !== CONFIG.UI_PASSWORD) {
-        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Wrong password. <a href="/" style="color:#00aaff;">Back</a></body></html>');
+// Remove rule
+app.post('/rules/remove', requireRole('admin'), (req, res) => {
+    let rules = loadRules();
+    const removed = rules.find(r => r.id === req.body.id);
+    rules = rules.filter(r => r.id !== req.body.id);
+    saveRules(rules);
+    if (removed) console.log(`[Rules] Removed: ${removed.name}`);
+    res.redirect('/');
+});
+
+// ── WEBHOOK ENDPOINTS ──
+
+app.post('/webhooks/add', requireRole('admin'), (req, res) => {
+    let url;
+    try {
+        url = new URL(String(req.body.url || '').trim());
+    } catch {}
+    const events = [].concat(req.body.events || []).filter(e => WEBHOOK_EVENTS[e]);
+    if (!url || !['http:', 'https:'].includes(url.protocol) || events.length === 0) {
+        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ A webhook needs an http(s) URL and at least one event. <a href="/" style="color:#00aaff;">Back</a></body></html>');
+    }
+    const webhooks = loadWebhooks();
+    const webhook = {
+        id: 'wh_' + Date.now().toString(36),
+        name: String(req.body.name || '').trim() || url.hostname,
+        url: url.toString(),
+        secret: 'whsec_' + crypto.randomBytes(24).toString('base64url'),
+        events,
+        venueId: req.body.venueId || '',
+        active: true,
+        createdBy: req.user.username,
+        createdAt: new Date().toISOString(),
+        lastDeliveredAt: null,
+    };
+    webhooks.push(webhook);
+    saveWebhooks(webhooks);
+    console.log(`[Webhooks] Added: ${webhook.name} → ${url.host} (${events.join(', ')})`);
+    res.redirect('/');
+});
+
+app.post('/webhooks/toggle', requireRole('admin'), (req, res) => {
+    const webhooks = loadWebhooks();
+    const webhook = webhooks.find(w => w.id === req.body.id);
+    if (webhook) {
+        webhook.active = !webhook.active;
+        saveWebhooks(webhooks);
+        console.log(`[Webhooks] ${webhook.name} → ${webhook.active ? 'ACTIVE' : 'PAUSED'}`);
     }
+    res.redirect('/');
+});
+
+app.post('/webhooks/remove', requireRole('admin'), (req, res) => {
+    const webhooks = loadWebhooks();
+    const removed = webhooks.find(w => w.id === req.body.id);
+    saveWebhooks(webhooks.filter(w => w !== removed));
+    if (removed) console.log(`[Webhooks] Removed: ${removed.name}`);
+    res.redirect('/');
+});
+
+// Queue a `ping` event to one subscription, whatever events it listens to
+app.post('/webhooks/test', requireRole('admin'), (req, res) => {
+    const webhook = loadWebhooks().find(w => w.id === req.body.id);
+    if (webhook) queueWebhook(webhook, 'ping', { at: new Date().toISOString(), by: req.user.username });
+    res.redirect('/outbox');
+});
+
+// ── VENUE MANAGEMENT ENDPOINTS ──
 
+// Add a venue, or update it when an id is posted
+app.post('/venues/save', requireRole('admin'), (req, res) => {
+    const venues = loadVenues();
+    const seconds = parseInt(req.body.scrapeInterval);
+    const fullSeconds = parseInt(req.body.fullScanInterval);
+    let hours;
     try {
-        console.log('[Auth] Requesting login email...');
-        await page.goto('https://merchant.wolt.com', { waitUntil: 'networkidle2', timeout: 30000 });
+        hours = hoursFromForm(req.body);
+    } catch (err) {
+        return res.status(400).send(`<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Opening hours: ${escapeHtml(err.message)} <a href="/" style="color:#00aaff;">Back</a></body></html>`);
+    }
+    const fields = {
+        name: String(req.body.name || '').trim(),
+        menuUrl: String(req.body.menuUrl || '').trim(),
+        scrapeInterval: seconds >= 10 ? seconds * 1000 : CONFIG.SCRAPE_INTERVAL,
+        fullScanInterval: fullSeconds >= 30 ? fullSeconds * 1000 : CONFIG.FULL_SCAN_INTERVAL,
+        appsScriptUrl: String(req.body.appsScriptUrl || '').trim(),
+        currency: String(req.body.currency || '').trim().toUpperCase(),
+        contactIds: [].concat(req.body.contactIds || []),
+        hours,
+    };
+    if (!fields.name || !fields.menuUrl) {
+        return res.status(400).send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ A venue needs a name and a menu URL. <a href="/" style="color:#00aaff;">Back</a></body></html>');
+    }
 
-        // Must dismiss cookie banner first, otherwise it may block the form
-        await dismissCookieBanner();
-        await new Promise(r => setTimeout(r, 1500));
+    const existing = venues.find(v => v.id === req.body.id);
+    if (existing) {
+        Object.assign(existing, fields);
+        console.log(`[Venues] Updated: ${existing.name}`);
+    } else {
+        const id = fields.name.toLowerCase().replace(/[^a-z0-9]/g, '') + '_' + Date.now().toString(36);
+        venues.push({ id, ...fields, active: true });
+        console.log(`[Venues] Added: ${fields.name} (${fields.menuUrl})`);
+    }
+    saveVenues(venues);
+    syncVenues();
+    res.redirect('/');
+});
 
-        // Try to find and fill email input
-        await page.waitForSelector('input[type="email"], input[name="email"]', { timeout: 10000 });
-        await page.type('input[type="email"], input[name="email"]', CONFIG.WOLT_EMAIL, { delay: 50 });
-
-        // Click submit/next button
-        const buttons = await page.$$('button[type="submit"], button');
-        for (const btn of buttons) {
-            const text = await page.evaluate(el => el.textContent.toLowerCase(), btn);
-            if (text.includes('next') || text.includes('continue') || text.includes('sign') || text.includes('log') || text.includes('send')) {
-                await btn.click();
-                break;
-            }
+// Full scan right away instead of waiting for the schedule
+app.post('/venues/scan', requireRole('staff'), (req, res) => {
+    const state = venueStates.get(req.body.venue);
+    if (!state) return res.status(404).send('Unknown venue');
+    console.log(`[Scrape] ${state.venue.name}: scan requested by ${req.user.username}`);
+    scheduler.scanNow(state);
+    res.redirect('/');
+});
+
+// Pause / resume monitoring of a venue
+app.post('/venues/toggle', requireRole('admin'), (req, res) => {
+    const venues = loadVenues();
+    const venue = venues.find(v => v.id === req.body.id);
+    if (venue) {
+        venue.active = !venue.active;
+        saveVenues(venues);
+        syncVenues();
+        console.log(`[Venues] ${venue.name} → ${venue.active ? 'ACTIVE' : 'PAUSED'}`);
+    }
+    res.redirect('/');
+});
+
+// Remove venue
+app.post('/venues/remove', requireRole('admin'), (req, res) => {
+    let venues = loadVenues();
+    const removed = venues.find(v => v.id === req.body.id);
+    venues = venues.filter(v => v.id !== req.body.id);
+    saveVenues(venues);
+    syncVenues();
+    if (removed) console.log(`[Venues] Removed: ${removed.name}`);
+    res.redirect('/');
+});
+
+// ── USER MANAGEMENT ENDPOINTS ──
+
+const MIN_PASSWORD_LENGTH = 8;
+
+app.get('/users', requireRole('admin'), (req, res) => {
+    const users = loadUsers();
+    const csrf = csrfField(req);
+    const roleSelect = selected => `<select name="role">${ROLES.map(r => `<option value="${r}" ${r === selected ? 'selected' : ''}>${escapeHtml(ROLE_LABELS[r])}</option>`).join('')}</select>`;
+
+    res.send(`<!DOCTYPE html><html><head><title>Users - Wolt Monitor</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+      * { box-sizing: border-box; }
+      body { background:#0f0f1a; color:#e0e0e0; font-family:-apple-system, BlinkMacSystemFont, sans-serif; padding:20px; margin:0; }
+      .container { max-width: 900px; margin: 0 auto; }
+      .card { background:#1a1a2e; border-radius:12px; padding:20px; margin-bottom:16px; }
+      h1 { color:#00ff88; margin:0 0 20px; }
+      h2 { color:#00aaff; margin:0 0 12px; font-size:16px; }
+      a { color:#00aaff; text-decoration:none; }
+      form { display:flex; gap:6px; flex-wrap:wrap; align-items:center; margin:2px 0; }
+      input, select { padding:6px 8px; border-radius:6px; border:1px solid #333; background:#0f0f1a; color:#e0e0e0; font-size:13px; }
+      button { padding:6px 12px; border-radius:6px; border:none; background:#00ff88; color:#0f0f1a; font-weight:bold; cursor:pointer; font-size:12px; }
+      button.danger { background:#ff4444; color:white; }
+      table { width:100%; border-collapse:collapse; font-size:13px; }
+      th { text-align:left; padding:6px; border-bottom:2px solid #333; color:#00aaff; }
+      td { padding:6px; border-bottom:1px solid #2a2a3e; vertical-align:top; }
+      .muted { color:#666; }
+    </style></head><body>
+    <div class="container">
+      <h1>👥 Users</h1>
+      <p><a href="/">← Dashboard</a> · <a href="/account">🔒 Change my password</a></p>
+
+      <div class="card">
+        <table><tr><th>User</th><th>Role</th><th>Reset password</th><th></th></tr>
+          ${users.map(u => `<tr>
+            <td><strong>${escapeHtml(u.username)}</strong>${u.username === req.user.username ? ' <span class="muted">(you)</span>' : ''}
+              <div class="muted">last sign-in ${u.lastLoginAt ? formatTime(u.lastLoginAt) : 'never'}</div></td>
+            <td><form method="POST" action="/users/update">${csrf}<input type="hidden" name="username" value="${escapeHtml(u.username)}">${roleSelect(u.role)}<button type="submit">Save</button></form></td>
+            <td><form method="POST" action="/users/update">${csrf}<input type="hidden" name="username" value="${escapeHtml(u.username)}"><input type="password" name="password" placeholder="New password" minlength="${MIN_PASSWORD_LENGTH}" autocomplete="new-password" required><button type="submit">Reset</button></form></td>
+            <td>${u.username === req.user.username ? '' : `<form method="POST" action="/users/remove">${csrf}<input type="hidden" name="username" value="${escapeHtml(u.username)}"><button type="submit" class="danger">Remove</button></form>`}</td>
+          </tr>`).join('')}
+        </table>
+      </div>
+
+      <div class="card">
+        <h2>➕ Add user</h2>
+        <form method="POST" action="/users/add">
+          ${csrf}
+          <input type="text" name="username" placeholder="Username (a-z, 0-9, . _ -)" pattern="[a-z0-9._\\-]{2,32}" required>
+          <input type="password" name="password" placeholder="Password (min ${MIN_PASSWORD_LENGTH})" minlength="${MIN_PASSWORD_LENGTH}" autocomplete="new-password" required>
+          ${roleSelect('viewer')}
+          <button type="submit">Add User</button>
+        </form>
+      </div>
+    </div>
+    </body></html>`);
+});
+
+app.post('/users/add', requireRole('admin'), (req, res) => {
+    const users = loadUsers();
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const error = !USERNAME_RE.test(username) ? 'Usernames are 2-32 characters of a-z, 0-9, dot, underscore or dash.'
+        : users.some(u => u.username === username) ? `User ${username} already exists.`
+        : String(req.body.password || '').length < MIN_PASSWORD_LENGTH ? `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`
+        : null;
+    if (error) {
+        return res.send(`<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ ${escapeHtml(error)} <a href="/users" style="color:#00aaff;">Back</a></body></html>`);
+    }
+    users.push({
+        username,
+        role: ROLES.includes(req.body.role) ? req.body.role : 'viewer',
+        passwordHash: hashPassword(req.body.password),
+        createdAt: new Date().toISOString(),
+        createdBy: req.user.username,
+    });
+    saveUsers(users);
+    console.log(`[Users] ${req.user.username} added ${username} (${users[users.length - 1].role})`);
+    res.redirect('/users');
+});
+
+// Change a user's role, or reset their password (which signs them out everywhere)
+app.post('/users/update', requireRole('admin'), (req, res) => {
+    const users = loadUsers();
+    const user = users.find(u => u.username === req.body.username);
+    if (!user) return res.redirect('/users');
+
+    if (req.body.role !== undefined) {
+        const role = ROLES.includes(req.body.role) ? req.body.role : user.role;
+        if (user.role === 'admin' && role !== 'admin' && users.filter(u => u.role === 'admin').length === 1) {
+            return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Keep at least one admin. <a href="/users" style="color:#00aaff;">Back</a></body></html>');
+        }
+        user.role = role;
+        console.log(`[Users] ${req.user.username} set ${user.username} to ${role}`);
+    }
+    if (req.body.password !== undefined) {
+        if (String(req.body.password).length < MIN_PASSWORD_LENGTH) {
+            return res.send(`<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Passwords need at least ${MIN_PASSWORD_LENGTH} characters. <a href="/users" style="color:#00aaff;">Back</a></body></html>`);
         }
+        user.passwordHash = hashPassword(req.body.password);
+        endSessions(user.username, req.session && req.session.token);
+        console.log(`[Users] ${req.user.username} reset the password of ${user.username}`);
+    }
+    saveUsers(users);
+    res.redirect('/users');
+});
+
+app.post('/users/remove', requireRole('admin'), (req, res) => {
+    if (req.body.username === req.user.username) {
+        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ You cannot remove yourself. <a href="/users" style="color:#00aaff;">Back</a></body></html>');
+    }
+    const users = loadUsers();
+    const removed = users.find(u => u.username === req.body.username);
+    saveUsers(users.filter(u => u !== removed));
+    if (removed) {
+        endSessions(removed.username);
+        console.log(`[Users] ${req.user.username} removed ${removed.username}`);
+    }
+    res.redirect('/users');
+});
+
+// Any signed-in user can change their own password
+app.get('/account', (req, res) => {
+    res.send(`<!DOCTYPE html><html><head><title>Account - Wolt Monitor</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+      * { box-sizing: border-box; margin: 0; padding: 0; }
+      body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; background: #0f0f1a; color: #e0e0e0; padding: 20px; }
+      .container { max-width: 360px; margin: 0 auto; }
+      h1 { color: #00ff88; margin-bottom: 20px; }
+      .card { background: #1a1a2e; border-radius: 12px; padding: 20px; margin-top: 12px; }
+      a { color: #00aaff; text-decoration: none; }
+      input, button { width: 100%; padding: 12px; margin: 6px 0; border-radius: 8px; border: 1px solid #333; font-size: 14px; }
+      input { background: #0f0f1a; color: #e0e0e0; }
+      button { background: #00ff88; color: #0f0f1a; font-weight: bold; cursor: pointer; border: none; }
+    </style></head><body>
+    <div class="container">
+      <h1>🔒 ${escapeHtml(req.user.username)}</h1>
+      <p><a href="/">← Dashboard</a></p>
+      <div class="card">
+        <form method="POST" action="/account/password">
+          ${csrfField(req)}
+          <input type="password" name="current" placeholder="Current password" autocomplete="current-password" required>
+          <input type="password" name="password" placeholder="New password (min ${MIN_PASSWORD_LENGTH})" minlength="${MIN_PASSWORD_LENGTH}" autocomplete="new-password" required>
+          <button type="submit">Change Password</button>
+        </form>
+      </div>
+    </div>
+    </body></html>`);
+});
+
+app.post('/account/password', (req, res) => {
+    const users = loadUsers();
+    const user = users.find(u => u.username === req.user.username);
+    const error = !verifyPassword(req.body.current, user.passwordHash) ? 'Current password is wrong.'
+        : String(req.body.password || '').length < MIN_PASSWORD_LENGTH ? `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`
+        : null;
+    if (error) {
+        return res.send(`<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ ${escapeHtml(error)} <a href="/account" style="color:#00aaff;">Back</a></body></html>`);
+    }
+    user.passwordHash = hashPassword(req.body.password);
+    saveUsers(users);
+    // Other browsers signed in as this user have to sign in again
+    endSessions(user.username, req.session && req.session.token);
+    console.log(`[Users] ${user.username} changed their password`);
+    res.send('<html><body style="background:#0f0f1a;color:#00ff88;padding:40px;">✅ Password changed. <a href="/" style="color:#00aaff;">← Back to dashboard</a></body></html>');
+});
+
+// Request login email (navigates to Wolt login and enters email)
+app.post('/auth/request-login', requireRole('staff'), async (req, res) => {
+    const state = getVenueState();
+    if (!state) {
+        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Browser not ready (no active venue). <a href="/" style="color:#00aaff;">Back</a></body></html>');
+    }
 
-        await new Promise(r => setTimeout(r, 2000));
-        console.log('[Auth] Login email requested for:', CONFIG.WOLT_EMAIL);
+    try {
+        const requestedAt = Date.now();
+        await runExclusive(state, () => requestLoginEmail(state.page));
+        if (mailboxConfigured()) {
+            // Pick the link up from the mailbox in the background; pasting it still works
+            loginFromMailbox(requestedAt).then(error => {
+                if (error) console.error('[Auth] Mailbox login failed:', error);
+                else console.log('[Auth] Logged in via the mailbox');
+            });
+            return res.send(`<html><body style="background:#0f0f1a;color:#00ff88;padding:40px;">✅ Login email requested! The monitor is watching ${escapeHtml(CONFIG.IMAP_USER)} and will sign in by itself when it arrives (the dashboard updates live). You can still paste the magic link by hand.<br><br><a href="/" style="color:#00aaff;">← Back to dashboard</a></body></html>`);
+        }
         res.send('<html><body style="background:#0f0f1a;color:#00ff88;padding:40px;">✅ Login email requested! Check your inbox for the magic link, then paste it below.<br><br><a href="/" style="color:#00aaff;">← Back to paste magic link</a></body></html>');
     } catch (err) {
         console.error('[Auth] Request login error:', err.message);
@@ -899,44 +4174,20 @@ app.post('/auth/request-login', async (req, res) => {
 });
 
 // Process magic link
-app.post('/auth/magic-link', async (req, res) => {
-    if (req.body.password !== CONFIG.UI_PASSWORD) {
-        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Wrong password. <a href="/" style="color:#00aaff;">Back</a></body></html>');
-    }
-
+app.post('/auth/magic-link', requireRole('staff'), async (req, res) => {
     const magicLink = req.body.magic_link?.trim();
     if (!magicLink) {
         return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ No magic link provided. <a href="/" style="color:#00aaff;">Back</a></body></html>');
     }
 
-    try {
-        console.log('[Auth] Navigating to magic link...');
-        await page.goto(magicLink, { waitUntil: 'networkidle2', timeout: 60000 });
-        await dismissCookieBanner();
-        await new Promise(r => setTimeout(r, 3000));
-
-        // Save cookies immediately
-        const cookies = await page.cookies();
-        saveCookies(cookies);
-
-        // Navigate to menu page
-        console.log('[Auth] Magic link processed, navigating to menu...');
-        await page.goto(CONFIG.WOLT_MENU_URL, { waitUntil: 'networkidle2', timeout: 60000 });
-        await dismissCookieBanner();
-        await new Promise(r => setTimeout(r, 3000));
-
-        // Check if logged in
-        isLoggedIn = await checkLoginStatus();
-        loginAlertSent = false;
-
-        // Save cookies again after navigation
-        const finalCookies = await page.cookies();
-        saveCookies(finalCookies);
-
-        console.log('[Auth] Login status:', isLoggedIn ? 'SUCCESS' : 'FAILED');
+    const state = getVenueState();
+    if (!state) {
+        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Browser not ready (no active venue). <a href="/" style="color:#00aaff;">Back</a></body></html>');
+    }
 
-        if (isLoggedIn) {
-            sendWhatsAppAlert('✅ Wolt Monitor: Successfully logged in! Monitoring resumed.');
+    try {
+        if (await runExclusive(state, () => completeMagicLink(state, magicLink, req.user.username))) {
+            sendAlert('✅ Wolt Monitor: Successfully logged in! Monitoring resumed.');
             res.send('<html><body style="background:#0f0f1a;color:#00ff88;padding:40px;font-size:20px;">✅ Successfully logged in! Monitoring will resume.<br><br><a href="/" style="color:#00aaff;">← Back to dashboard</a></body></html>');
         } else {
             res.send('<html><body style="background:#0f0f1a;color:#ffaa00;padding:40px;">⚠️ Magic link processed but login unclear. Check dashboard.<br><a href="/" style="color:#00aaff;">Back</a></body></html>');
@@ -949,24 +4200,286 @@ app.post('/auth/magic-link', async (req, res) => {
 
 // API: JSON status
 app.get('/api/status', (req, res) => {
+    const allItems = allLastItems();
     res.json({
         isLoggedIn,
-        lastScrapeTime,
-        lastSendTime,
-        totalScrapes,
-        scrapeErrors,
-        disabledItems: lastItems.filter(i => i.type === 'item').length,
-        disabledOptions: lastItems.filter(i => i.type === 'option').length,
-        items: lastItems,
+        session: sessionStatus(),
+        disabledItems: allItems.filter(i => i.type === 'item').length,
+        disabledOptions: allItems.filter(i => i.type === 'option').length,
+        revenueAtRisk: revenueAtRisk(allItems),
+        venues: [...venueStates.values()].map(state => ({
+            id: state.venue.id,
+            name: state.venue.name,
+            menuUrl: state.venue.menuUrl,
+            open: isOpen(state.venue.hours),
+            scanning: state.scanning,
+            nextScanAt: state.nextScanAt,
+            runs: state.runs,
+            lastScrapeTime: state.lastScrapeTime,
+            lastSendTime: state.lastSendTime,
+            totalScrapes: state.totalScrapes,
+            scrapeErrors: state.scrapeErrors,
+            dataSource: state.dataSource,
+            scrapeStrategy: state.scrapeStrategy,
+            scraperBroken: state.scraperBroken,
+            disabledItems: state.lastItems.filter(i => i.type === 'item').length,
+            disabledOptions: state.lastItems.filter(i => i.type === 'option').length,
+            revenueAtRisk: revenueAtRisk(state.lastItems),
+            menuEntries: state.menu.size,
+            menuUpdatedAt: state.menuUpdatedAt,
+            items: state.lastItems.map(i => ({ ...i, disabledSince: state.disabledState.get(itemKey(i))?.since || null })),
+            events: state.recentEvents,
+        })),
+        delivery: outboxStats(),
         uptime: process.uptime(),
     });
 });
 
+// Full menu per venue: today's live snapshot, or a stored day via ?date=YYYY-MM-DD
+app.get('/api/menu', (req, res) => {
+    const venues = loadVenues().filter(v => !req.query.venue || v.id === req.query.venue);
+    if (req.query.date && !/^\d{4}-\d{2}-\d{2}$/.test(req.query.date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    res.json({
+        venues: venues.map(venue => {
+            const state = venueStates.get(venue.id);
+            const live = !req.query.date && state && state.menu.size > 0;
+            const snapshot = live ? null : loadMenuSnapshot(venue.id, req.query.date);
+            let items = live ? [...state.menu.values()] : snapshot ? snapshot.items : [];
+            if (req.query.enabled === 'true' || req.query.enabled === 'false') {
+                items = items.filter(i => i.enabled === (req.query.enabled === 'true'));
+            }
+            if (req.query.category) items = items.filter(i => i.category === req.query.category);
+            if (req.query.type) items = items.filter(i => i.type === req.query.type);
+            return {
+                id: venue.id,
+                name: venue.name,
+                date: live ? localClock(CONFIG.TIMEZONE).date : snapshot ? snapshot.date : null,
+                updatedAt: live ? state.menuUpdatedAt : snapshot ? snapshot.updatedAt : null,
+                dates: listMenuDates(venue.id),
+                count: items.length,
+                items,
+            };
+        }),
+    });
+});
+
+// API: disabled-interval history (filters: from, to, venue, category, type, name)
+app.get('/api/history', (req, res) => {
+    const error = historyQueryError(req.query);
+    if (error) return res.status(400).json({ error });
+    const { intervals, totals, weeklyRanking } = queryHistory(req.query);
+    res.json({
+        intervals: intervals.map(i => ({ ...i.item, venue: i.venue, key: i.key, start: i.start, end: i.end, durationMs: i.durationMs })),
+        totals: totals.map(t => ({ ...t.item, venue: t.venue, key: t.key, count: t.count, downtimeMs: t.downtimeMs })),
+        weeklyRanking: weeklyRanking.map(t => ({ ...t.item, venue: t.venue, key: t.key, count: t.count, downtimeMs: t.downtimeMs })),
+    });
+});
+
+// History browser
+app.get('/history', (req, res) => {
+    const q = req.query;
+    const error = historyQueryError(q);
+    if (error) {
+        return res.status(400).send(`<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ ${escapeHtml(error)} <a href="/history" style="color:#00aaff;">Back</a></body></html>`);
+    }
+    const { intervals, totals, weeklyRanking, categories } = queryHistory(q);
+    const label = i => i.type === 'option' ? `↳ [${escapeHtml(i.optionGroup)}] ${escapeHtml(i.name)}` : `<strong>${escapeHtml(i.name)}</strong>`;
+    const when = iso => iso ? new Date(iso).toLocaleString('en-GB', { timeZone: CONFIG.TIMEZONE }) : '<span style="color:#ffaa00">still off</span>';
+
+    res.send(`<!DOCTYPE html><html><head><title>History - Wolt Monitor</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+      * { box-sizing: border-box; }
+      body { background:#0f0f1a; color:#e0e0e0; font-family:-apple-system, BlinkMacSystemFont, sans-serif; padding:20px; margin:0; }
+      .container { max-width: 900px; margin: 0 auto; }
+      .card { background:#1a1a2e; border-radius:12px; padding:20px; margin-bottom:16px; }
+      h1 { color:#00ff88; margin:0 0 20px; }
+      h2 { color:#00aaff; margin:0 0 12px; font-size:16px; }
+      a { color:#00aaff; text-decoration:none; }
+      form { display:flex; gap:8px; flex-wrap:wrap; align-items:flex-end; }
+      label { font-size:12px; color:#888; display:flex; flex-direction:column; gap:4px; }
+      input, select { padding:8px; border-radius:8px; border:1px solid #333; background:#0f0f1a; color:#e0e0e0; font-size:13px; }
+      button { padding:9px 16px; border-radius:8px; border:none; background:#00ff88; color:#0f0f1a; font-weight:bold; cursor:pointer; }
+      table { width:100%; border-collapse:collapse; font-size:13px; }
+      th { text-align:left; padding:6px; border-bottom:2px solid #333; color:#00aaff; }
+      td { padding:6px; border-bottom:1px solid #2a2a3e; vertical-align:top; }
+      .muted { color:#666; }
+    </style></head><body>
+    <div class="container">
+      <h1>📈 Disabled History</h1>
+      <p><a href="/">← Dashboard</a> · <a href="/api/history?${new URLSearchParams(q)}">JSON</a> · <a href="/export/history.csv?${new URLSearchParams(q)}">CSV</a> · <a href="/export/history.xlsx?${new URLSearchParams(q)}">Excel</a></p>
+
+      <div class="card">
+        <form method="GET" action="/history">
+          <label>From <input type="date" name="from" value="${escapeHtml(q.from)}"></label>
+          <label>To <input type="date" name="to" value="${escapeHtml(q.to)}"></label>
+          <label>Venue
+            <select name="venue">
+              <option value="">All</option>
+              ${loadVenues().map(v => `<option value="${escapeHtml(v.id)}" ${v.id === q.venue ? 'selected' : ''}>${escapeHtml(v.name)}</option>`).join('')}
+            </select>
+          </label>
+          <label>Category
+            <select name="category">
+              <option value="">All</option>
+              ${categories.map(c => `<option ${c === q.category ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('')}
+            </select>
+          </label>
+          <label>Type
+            <select name="type">
+              <option value="">All</option>
+              <option value="item" ${q.type === 'item' ? 'selected' : ''}>Item</option>
+              <option value="option" ${q.type === 'option' ? 'selected' : ''}>Option</option>
+            </select>
+          </label>
+          <label>Name <input type="text" name="name" value="${escapeHtml(q.name)}" placeholder="contains..."></label>
+          <button type="submit">Filter</button>
+        </form>
+      </div>
+
+      <div class="card">
+        <h2>🔁 Most often disabled this week</h2>
+        ${weeklyRanking.length === 0 ? '<p class="muted">No disables recorded in the last 7 days.</p>' : `
+        <table><tr><th>#</th><th>Name</th><th>Category</th><th>Times</th><th>Downtime</th></tr>
+          ${weeklyRanking.map((t, n) => `<tr><td>${n + 1}</td><td>${label(t.item)}</td><td class="muted">${escapeHtml(venueName(t.venue))} · ${escapeHtml(t.item.category)}</td><td>${t.count}</td><td>${formatDuration(t.downtimeMs)}</td></tr>`).join('')}
+        </table>`}
+      </div>
+
+      <div class="card">
+        <h2>⏱️ Total downtime per item</h2>
+        ${totals.length === 0 ? '<p class="muted">Nothing matches these filters.</p>' : `
+        <table><tr><th>Name</th><th>Category</th><th>Times</th><th>Downtime</th></tr>
+          ${totals.map(t => `<tr><td>${label(t.item)}</td><td class="muted">${escapeHtml(venueName(t.venue))} · ${escapeHtml(t.item.category)}</td><td>${t.count}</td><td>${formatDuration(t.downtimeMs)}</td></tr>`).join('')}
+        </table>`}
+      </div>
+
+      <div class="card">
+        <h2>📋 Intervals (${intervals.length})</h2>
+        ${intervals.length === 0 ? '<p class="muted">Nothing matches these filters.</p>' : `
+        <table><tr><th>Name</th><th>Category</th><th>Disabled</th><th>Re-enabled</th><th>Duration</th></tr>
+          ${intervals.map(i => `<tr><td>${label(i.item)}</td><td class="muted">${escapeHtml(venueName(i.venue))} · ${escapeHtml(i.item.category)}</td><td>${when(i.start)}${i.baseline ? ' <span class="muted">(or earlier)</span>' : ''}</td><td>${when(i.end)}</td><td>${formatDuration(i.durationMs)}</td></tr>`).join('')}
+        </table>`}
+      </div>
+    </div>
+    </body></html>`);
+});
+
+// Outbox: pending deliveries and the dead-letter list
+app.get('/outbox', (req, res) => {
+    const row = (e, actions) => `<tr>
+        <td>${escapeHtml(OUTBOX_HANDLERS[e.kind].describe(e))}</td>
+        <td class="muted">${new Date(e.createdAt).toLocaleString('en-GB', { timeZone: CONFIG.TIMEZONE })}</td>
+        <td>${e.attempts}</td>
+        <td class="err">${escapeHtml(e.lastError || '')}</td>
+        <td>${actions}</td>
+      </tr>`;
+    const deadActions = e => `
+        ${hasRole(req.user, 'staff') ? `
+        <form method="POST" action="/outbox/retry" style="display:inline;">
+          ${csrfField(req)}
+          <input type="hidden" name="id" value="${escapeHtml(e.id)}">
+          <button type="submit">Retry</button>
+        </form>` : ''}
+        ${hasRole(req.user, 'admin') ? `
+        <form method="POST" action="/outbox/discard" style="display:inline;">
+          ${csrfField(req)}
+          <input type="hidden" name="id" value="${escapeHtml(e.id)}">
+          <button type="submit" class="danger">Discard</button>
+        </form>` : ''}`;
+    const stats = outboxStats();
+
+    res.send(`<!DOCTYPE html><html><head><title>Outbox - Wolt Monitor</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+      * { box-sizing: border-box; }
+      body { background:#0f0f1a; color:#e0e0e0; font-family:-apple-system, BlinkMacSystemFont, sans-serif; padding:20px; margin:0; }
+      .container { max-width: 900px; margin: 0 auto; }
+      .card { background:#1a1a2e; border-radius:12px; padding:20px; margin-bottom:16px; }
+      h1 { color:#00ff88; margin:0 0 20px; }
+      h2 { color:#00aaff; margin:0 0 12px; font-size:16px; }
+      a { color:#00aaff; text-decoration:none; }
+      table { width:100%; border-collapse:collapse; font-size:13px; }
+      th { text-align:left; padding:6px; border-bottom:2px solid #333; color:#00aaff; }
+      td { padding:6px; border-bottom:1px solid #2a2a3e; vertical-align:top; }
+      button { padding:4px 10px; border-radius:6px; border:none; background:#00ff88; color:#0f0f1a; font-weight:bold; cursor:pointer; font-size:12px; }
+      button.danger { background:#ff4444; color:white; }
+      .muted { color:#666; }
+      .err { color:#ff6666; font-size:12px; }
+      .info { color:#888; font-size:14px; margin:6px 0; }
+      .info span { color:#ccc; }
+    </style></head><body>
+    <div class="container">
+      <h1>📤 Delivery Outbox</h1>
+      <p><a href="/">← Dashboard</a></p>
+
+      <div class="card">
+        <div class="info">Delivered: <span>${stats.delivered}</span> · last at <span>${stats.lastDeliveredAt || 'never'}</span></div>
+        <div class="info">Failed attempts: <span>${stats.failedAttempts}</span> · dead-lettered: <span>${stats.deadLettered}</span></div>
+        <div class="info">Last error: <span>${escapeHtml(stats.lastError || 'none')}</span></div>
+      </div>
+
+      <div class="card">
+        <h2>⏳ Pending (${outbox.entries.length})</h2>
+        ${outbox.entries.length === 0 ? '<p class="muted">Nothing waiting.</p>' : `
+        <table><tr><th>Target</th><th>Queued</th><th>Attempts</th><th>Last error</th><th>Next try</th></tr>
+          ${outbox.entries.map(e => row(e, `<span class="muted">${e.nextAttemptAt <= Date.now() ? 'now' : `in ${Math.ceil((e.nextAttemptAt - Date.now()) / 1000)}s`}</span>`)).join('')}
+        </table>`}
+      </div>
+
+      <div class="card">
+        <h2>☠️ Failed — gave up after ${OUTBOX_MAX_ATTEMPTS} attempts (${outbox.dead.length})</h2>
+        ${outbox.dead.length === 0 ? '<p class="muted">No failed deliveries.</p>' : `
+        <table><tr><th>Target</th><th>Queued</th><th>Attempts</th><th>Last error</th><th></th></tr>
+          ${outbox.dead.map(e => row(e, deadActions(e))).join('')}
+        </table>`}
+      </div>
+    </div>
+    </body></html>`);
+});
+
+app.post('/outbox/retry', requireRole('staff'), (req, res) => {
+    if (retryDeadLetter(req.body.id)) console.log(`[Outbox] Retrying dead letter ${req.body.id}`);
+    res.redirect('/outbox');
+});
+
+app.post('/outbox/discard', requireRole('admin'), (req, res) => {
+    outbox.dead = outbox.dead.filter(e => e.id !== req.body.id);
+    saveOutbox();
+    res.redirect('/outbox');
+});
+
+// Exports: current disabled list and historical intervals (history accepts /api/history filters)
+app.get('/export/current.csv', (req, res) => {
+    streamCsv(res, `wolt-disabled-${new Date().toISOString().slice(0, 10)}.csv`, currentExportRows());
+});
+
+app.get('/export/current.xlsx', (req, res) => {
+    sendXlsx(res, `wolt-disabled-${new Date().toISOString().slice(0, 10)}.xlsx`, 'Currently Disabled', currentExportRows());
+});
+
+app.get('/export/history.csv', (req, res) => {
+    const error = historyQueryError(req.query);
+    if (error) return res.status(400).send(error);
+    streamCsv(res, `wolt-history-${new Date().toISOString().slice(0, 10)}.csv`, historyExportRows(req.query));
+});
+
+app.get('/export/history.xlsx', (req, res) => {
+    const error = historyQueryError(req.query);
+    if (error) return res.status(400).send(error);
+    sendXlsx(res, `wolt-history-${new Date().toISOString().slice(0, 10)}.xlsx`, 'History', historyExportRows(req.query));
+});
+
 // Live screenshot of what the browser sees
+// (?venue=<id> picks the venue page, default is the first one)
 app.get('/screenshot', async (req, res) => {
     try {
-        if (!page) return res.status(500).send('Browser not ready');
-        const screenshot = await page.screenshot({ fullPage: false, type: 'png' });
+        const state = getVenueState(req.query.venue);
+        if (!state || !state.page) return res.status(500).send('Browser not ready');
+        const { page } = state;
+        const venueQuery = `?venue=${encodeURIComponent(state.venue.id)}`;
         const pageUrl = page.url();
         const pageTitle = await page.title().catch(() => '');
 
@@ -985,15 +4498,26 @@ app.get('/screenshot', async (req, res) => {
         </style></head><body>
           <div class="bar">
             <a href="/" class="btn">← Dashboard</a>
-            <a href="/screenshot" class="btn refresh">🔄 Refresh Screenshot</a>
-            <a href="/screenshot/full" class="btn">📜 Full Page</a>
+            <a href="/screenshot${venueQuery}" class="btn refresh">🔄 Refresh Screenshot</a>
+            <a href="/screenshot/full${venueQuery}" class="btn">📜 Full Page</a>
+            <a href="/screenshot/html${venueQuery}" class="btn">🧾 Save HTML</a>
+            ${[...venueStates.values()].filter(v => v !== state).map(v => `<a href="/screenshot?venue=${encodeURIComponent(v.venue.id)}" class="btn">🏪 ${escapeHtml(v.venue.name)}</a>`).join('')}
           </div>
+          <div class="info">🏪 Venue: <strong>${escapeHtml(state.venue.name)}</strong></div>
           <div class="info">📍 Current URL:</div>
           <div class="url">${pageUrl}</div>
-          <div class="info" style="margin-top:12px;">📸 Page title: <strong>${pageTitle}</strong> | Captured: ${new Date().toLocaleTimeString('en-GB')}</div>
-          <img src="/screenshot/raw" alt="Browser screenshot" style="margin-top:12px;">
-          <div class="info" style="margin-top:16px;">Auto-refreshes every 15s</div>
-          <script>setTimeout(() => location.reload(), 15000);</script>
+          <div class="info" style="margin-top:12px;">📸 Page title: <strong>${pageTitle}</strong> | Captured: <span id="captured">${new Date().toLocaleTimeString('en-GB')}</span></div>
+          <img id="shot" src="/screenshot/raw${venueQuery}" alt="Browser screenshot" style="margin-top:12px;">
+          <div class="info" style="margin-top:16px;">Refreshes after every scrape of this venue</div>
+          <script>
+            // Swap in a new image whenever the dashboard stream reports a scrape
+            const source = new EventSource('/events');
+            source.addEventListener('venue', e => {
+              if (JSON.parse(e.data).id !== ${JSON.stringify(state.venue.id)}) return;
+              document.getElementById('shot').src = '/screenshot/raw${venueQuery}&t=' + Date.now();
+              document.getElementById('captured').textContent = new Date().toLocaleTimeString('en-GB');
+            });
+          </script>
         </body></html>`);
     } catch (err) {
         res.status(500).send(`Error: ${err.message}`);
@@ -1003,8 +4527,9 @@ app.get('/screenshot', async (req, res) => {
 // Raw screenshot image (viewport only)
 app.get('/screenshot/raw', async (req, res) => {
     try {
-        if (!page) return res.status(500).send('Browser not ready');
-        const screenshot = await page.screenshot({ fullPage: false, type: 'png' });
+        const state = getVenueState(req.query.venue);
+        if (!state || !state.page) return res.status(500).send('Browser not ready');
+        const screenshot = await state.page.screenshot({ fullPage: false, type: 'png' });
         res.set('Content-Type', 'image/png');
         res.set('Cache-Control', 'no-store');
         res.send(screenshot);
@@ -1016,8 +4541,9 @@ app.get('/screenshot/raw', async (req, res) => {
 // Raw screenshot image (full page)
 app.get('/screenshot/full', async (req, res) => {
     try {
-        if (!page) return res.status(500).send('Browser not ready');
-        const screenshot = await page.screenshot({ fullPage: true, type: 'png' });
+        const state = getVenueState(req.query.venue);
+        if (!state || !state.page) return res.status(500).send('Browser not ready');
+        const screenshot = await state.page.screenshot({ fullPage: true, type: 'png' });
         res.set('Content-Type', 'image/png');
         res.set('Cache-Control', 'no-store');
         res.send(screenshot);
@@ -1026,11 +4552,366 @@ app.get('/screenshot/full', async (req, res) => {
     }
 });
 
-// Force refresh page
-app.post('/api/refresh', async (req, res) => {
+// Live DOM snapshot (scripts stripped) for test/fixtures, see scripts/capture-fixture.js
+app.get('/screenshot/html', requireRole('staff'), async (req, res) => {
+    try {
+        const state = getVenueState(req.query.venue);
+        if (!state || !state.page) return res.status(500).send('Browser not ready');
+        const html = await state.page.evaluate(() => {
+            const root = document.documentElement.cloneNode(true);
+            root.querySelectorAll('script, noscript, iframe').forEach(el => el.remove());
+            return '<!DOCTYPE html>\n' + root.outerHTML;
+        });
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.set('Cache-Control', 'no-store');
+        res.set('Content-Disposition', `attachment; filename="${state.venue.id}-${Date.now()}.html"`);
+        res.send(html);
+    } catch (err) {
+        res.status(500).send(`Error: ${err.message}`);
+    }
+});
+
+// Schedule a re-enable of one disabled entry, or of a whole option group
+app.post('/schedules/add', requireRole('staff'), (req, res) => {
+    const state = venueStates.get(req.body.venue);
+    if (!state) return res.status(404).send('Unknown venue');
+
+    const [kind, ...rest] = String(req.body.target || '').split(':');
+    const value = rest.join(':');
+    let target;
+    if (kind === 'key' && state.disabledState.has(value)) {
+        const { item } = state.disabledState.get(value);
+        target = { key: value, label: item.type === 'option' ? `${item.name} (${item.optionGroup})` : item.name };
+    } else if (kind === 'group') {
+        const [category, optionGroup] = value.split('|');
+        target = { category, optionGroup };
+    } else {
+        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ That item is no longer disabled. <a href="/" style="color:#00aaff;">Back</a></body></html>');
+    }
+
+    const daily = /^\d{2}:\d{2}$/.test(req.body.daily || '') ? req.body.daily : null;
+    const at = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(req.body.at || '') ? req.body.at : null;
+    if (!daily && !at) {
+        return res.send('<html><body style="background:#0f0f1a;color:#ff4444;padding:40px;">❌ Pick a date and time, or a daily time. <a href="/" style="color:#00aaff;">Back</a></body></html>');
+    }
+
+    const today = localClock(CONFIG.TIMEZONE);
+    const schedule = {
+        id: 'sched_' + Date.now().toString(36),
+        venueId: state.venue.id,
+        target,
+        repeat: daily ? 'daily' : 'once',
+        date: daily ? null : at.slice(0, 10),
+        time: daily || at.slice(11, 16),
+        createdBy: req.user.username,
+        createdAt: new Date().toISOString(),
+        active: true,
+        // A daily time that already passed today starts tomorrow
+        lastRunDate: daily && daily <= today.time ? today.date : null,
+        lastRunAt: null,
+        lastResult: null,
+    };
+    const schedules = loadSchedules();
+    schedules.push(schedule);
+    saveSchedules(schedules);
+    console.log(`[Schedules] Added: ${describeSchedule(schedule)} (${state.venue.name}, by ${schedule.createdBy})`);
+    res.redirect('/');
+});
+
+app.post('/schedules/remove', requireRole('staff'), (req, res) => {
+    const schedules = loadSchedules();
+    const removed = schedules.find(sc => sc.id === req.body.id);
+    saveSchedules(schedules.filter(sc => sc.id !== req.body.id));
+    if (removed) console.log(`[Schedules] Removed: ${describeSchedule(removed)}`);
+    res.redirect('/');
+});
+
+app.get('/api/schedules', (req, res) => {
+    res.json({ schedules: loadSchedules().map(sc => ({ ...sc, description: describeSchedule(sc) })) });
+});
+
+// Enable / disable a menu entry on Wolt from the dashboard
+app.post('/items/toggle', requireRole('staff'), async (req, res) => {
+    const state = venueStates.get(req.body.venue);
+    if (!state) return res.status(404).send('Unknown venue');
+    const enable = req.body.action !== 'disable';
+    const result = await toggleItem(state, req.body.key, enable, { user: req.user.username, ip: req.ip });
+    const item = state.disabledState.get(req.body.key)?.item || state.menu.get(req.body.key);
+    const label = item ? escapeHtml(item.name) : 'Item';
+    const ok = result.status === 'confirmed' || result.status === 'unchanged';
+    const text = {
+        confirmed: `${label} was ${enable ? 're-enabled' : 'disabled'} on Wolt (confirmed by re-scrape).`,
+        unchanged: `${label} was already ${enable ? 'enabled' : 'disabled'} on Wolt.`,
+        unconfirmed: `Clicked the switch for ${label}, but the re-scrape still shows it ${enable ? 'disabled' : 'enabled'}.`,
+        'not-found': `Could not find ${label} on the menu page.`,
+        failed: `Toggling ${label} failed: ${escapeHtml(result.error || '')}`,
+    }[result.status];
+    res.send(`<html><body style="background:#0f0f1a;color:${ok ? '#00ff88' : '#ff4444'};font-family:sans-serif;padding:40px;">
+        ${ok ? '✅' : '❌'} ${text}<br><br><a href="/" style="color:#00aaff;">← Back to dashboard</a> · <a href="/audit" style="color:#00aaff;">Audit log</a>
+    </body></html>`);
+});
+
+// JSON variant for scripts: { venue, key, enable }, signed in or with HTTP Basic auth
+app.post('/api/items/toggle', requireRole('staff'), async (req, res) => {
+    const state = venueStates.get(req.body.venue);
+    if (!state) return res.status(404).json({ ok: false, error: 'Unknown venue' });
+    if (!req.body.key) return res.status(400).json({ ok: false, error: 'key is required' });
+    const enable = req.body.enable !== false && req.body.enable !== 'false';
+    const result = await toggleItem(state, req.body.key, enable, { user: req.user.username, ip: req.ip });
+    res.json({ ok: result.status === 'confirmed' || result.status === 'unchanged', ...result, disabled: state.disabledState.has(req.body.key) });
+});
+
+app.get('/api/audit', (req, res) => {
+    res.json({ entries: loadAudit(Math.min(parseInt(req.query.limit) || 200, 1000)) });
+});
+
+app.get('/audit', (req, res) => {
+    const entries = loadAudit();
+    res.send(`<!DOCTYPE html><html><head><title>Audit log - Wolt Monitor</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+      * { box-sizing: border-box; }
+      body { background:#0f0f1a; color:#e0e0e0; font-family:-apple-system, BlinkMacSystemFont, sans-serif; padding:20px; margin:0; }
+      .container { max-width: 900px; margin: 0 auto; }
+      .card { background:#1a1a2e; border-radius:12px; padding:20px; margin-bottom:16px; }
+      h1 { color:#00ff88; margin:0 0 20px; }
+      a { color:#00aaff; text-decoration:none; }
+      table { width:100%; border-collapse:collapse; font-size:13px; }
+      th { text-align:left; padding:6px; border-bottom:2px solid #333; color:#00aaff; }
+      td { padding:6px; border-bottom:1px solid #2a2a3e; vertical-align:top; }
+      .muted { color:#666; }
+      .ok { color:#00ff88; }
+      .err { color:#ff6666; }
+    </style></head><body>
+    <div class="container">
+      <h1>🧾 Audit Log</h1>
+      <p><a href="/">← Dashboard</a> · <a href="/api/audit">JSON</a></p>
+      <div class="card">
+        ${entries.length === 0 ? '<p class="muted">No remote actions yet.</p>' : `
+        <table><tr><th>When</th><th>Who</th><th>Action</th><th>Item</th><th>Venue</th><th>Result</th></tr>
+          ${entries.map(e => `<tr>
+            <td class="muted">${new Date(e.at).toLocaleString('en-GB', { timeZone: CONFIG.TIMEZONE })}</td>
+            <td>${escapeHtml(e.user)} <span class="muted">${escapeHtml(e.ip || '')}</span></td>
+            <td>${e.action === 'enable' ? '✅ enable' : '⛔ disable'}</td>
+            <td>${escapeHtml(e.item.type === 'option' ? `${e.item.optionGroup} › ${e.item.name}` : e.item.name)} <span class="muted">${escapeHtml(e.item.category)}</span></td>
+            <td>${escapeHtml(venueName(e.venue))}</td>
+            <td class="${e.status === 'confirmed' || e.status === 'unchanged' ? 'ok' : 'err'}">${escapeHtml(e.status)}${e.error ? `<br><span class="muted">${escapeHtml(e.error)}</span>` : ''}</td>
+          </tr>`).join('')}
+        </table>`}
+      </div>
+    </div></body></html>`);
+});
+
+// ── REST API v1 (bearer tokens, described in openapi.json) ──
+
+const apiV1 = express.Router();
+
+// ?limit= (1-1000, default 100) and ?offset= over an already filtered list
+function paginate(req, rows) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    return {
+        data: rows.slice(offset, offset + limit),
+        pagination: { total: rows.length, limit, offset, nextOffset: offset + limit < rows.length ? offset + limit : null },
+    };
+}
+
+// Currently disabled items and options (filters: venue, type, category, name)
+apiV1.get('/items', (req, res) => {
+    const name = (req.query.name || '').trim().toLowerCase();
+    const rows = [...venueStates.values()]
+        .filter(state => !req.query.venue || state.venue.id === req.query.venue)
+        .flatMap(state => [...state.disabledState.entries()].map(([key, { item, since }]) => ({
+            ...pricedItem(item, state.venue),
+            key,
+            venue: state.venue.id,
+            disabledSince: since,
+        })))
+        .filter(i => !req.query.type || i.type === req.query.type)
+        .filter(i => !req.query.category || i.category === req.query.category)
+        .filter(i => !name || i.name.toLowerCase().includes(name));
+    res.json(paginate(req, rows));
+});
+
+// Disabled intervals (filters: from, to, venue, category, type, name)
+apiV1.get('/history', (req, res) => {
+    const error = historyQueryError(req.query);
+    if (error) return res.status(400).json({ ok: false, error });
+    const rows = queryHistory(req.query).intervals.map(i => ({
+        ...pricedItem(i.item, venueStates.get(i.venue)?.venue),
+        venue: i.venue,
+        key: i.key,
+        start: i.start,
+        end: i.end,
+        durationMs: i.durationMs,
+        baseline: !!i.baseline,
+    }));
+    res.json(paginate(req, rows));
+});
+
+// Alert contacts hold phone numbers and addresses, so they need an admin token
+apiV1.get('/contacts', requireRole('admin'), (req, res) => {
+    const rows = loadContacts()
+        .filter(c => req.query.active === undefined || c.active === (req.query.active === 'true'))
+        .filter(c => !req.query.channel || contactChannel(c) === req.query.channel)
+        .map(c => ({
+            id: c.id,
+            name: c.name,
+            type: c.type || 'person',
+            channel: contactChannel(c),
+            chatId: c.chatId,
+            active: c.active,
+            policy: contactPolicy(c),
+        }));
+    res.json(paginate(req, rows));
+});
+
+// Configured venues with their monitoring summary (filter: active)
+apiV1.get('/venues', (req, res) => {
+    const rows = loadVenues()
+        .filter(v => req.query.active === undefined || v.active === (req.query.active === 'true'))
+        .map(v => {
+            const state = venueStates.get(v.id);
+            const items = state ? state.lastItems : [];
+            return {
+                id: v.id,
+                name: v.name,
+                menuUrl: v.menuUrl,
+                active: v.active,
+                monitoring: !!state,
+                currency: v.currency || CONFIG.CURRENCY,
+                scrapeIntervalMs: v.scrapeInterval || CONFIG.SCRAPE_INTERVAL,
+                fullScanIntervalMs: v.fullScanInterval || CONFIG.FULL_SCAN_INTERVAL,
+                hours: v.hours || null,
+                open: isOpen(v.hours),
+                contactIds: v.contactIds || [],
+                disabledItems: items.filter(i => i.type === 'item').length,
+                disabledOptions: items.filter(i => i.type === 'option').length,
+                revenueAtRisk: revenueAtRisk(items),
+                menuEntries: state ? state.menu.size : 0,
+            };
+        });
+    res.json(paginate(req, rows));
+});
+
+// Wolt session, scraper and delivery health (filter: venue)
+apiV1.get('/health', (req, res) => {
+    const states = [...venueStates.values()].filter(state => !req.query.venue || state.venue.id === req.query.venue);
+    const degraded = states.some(state => state.scraperBroken || state.scrapeErrors > 0 || state.scrapeStrategy === 'text-anchor');
+    res.json({
+        status: !isLoggedIn ? 'login-required' : degraded ? 'degraded' : 'ok',
+        isLoggedIn,
+        session: sessionStatus(),
+        uptime: process.uptime(),
+        venues: states.map(state => ({
+            id: state.venue.id,
+            name: state.venue.name,
+            lastScrapeTime: state.lastScrapeTime,
+            totalScrapes: state.totalScrapes,
+            scrapeErrors: state.scrapeErrors,
+            lastRun: state.runs[0] || null,
+            nextScanAt: state.nextScanAt,
+            dataSource: state.dataSource,
+            scrapeStrategy: state.scrapeStrategy,
+            scraperBroken: state.scraperBroken,
+            menuUpdatedAt: state.menuUpdatedAt,
+        })),
+        delivery: outboxStats(),
+    });
+});
+
+apiV1.use((req, res) => {
+    res.status(404).json({ ok: false, error: `No such endpoint: ${req.method} /api/v1${req.path}` });
+});
+
+app.use('/api/v1', apiV1);
+
+// ── API TOKEN ENDPOINTS ──
+
+app.get('/tokens', requireRole('admin'), (req, res) => {
+    const tokens = loadApiTokens();
+    const csrf = csrfField(req);
+    res.send(`<!DOCTYPE html><html><head><title>API tokens - Wolt Monitor</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <style>
+      * { box-sizing: border-box; }
+      body { background:#0f0f1a; color:#e0e0e0; font-family:-apple-system, BlinkMacSystemFont, sans-serif; padding:20px; margin:0; }
+      .container { max-width: 900px; margin: 0 auto; }
+      .card { background:#1a1a2e; border-radius:12px; padding:20px; margin-bottom:16px; }
+      h1 { color:#00ff88; margin:0 0 20px; }
+      h2 { color:#00aaff; margin:0 0 12px; font-size:16px; }
+      a { color:#00aaff; text-decoration:none; }
+      form { display:flex; gap:6px; flex-wrap:wrap; align-items:center; margin:2px 0; }
+      input, select { padding:6px 8px; border-radius:6px; border:1px solid #333; background:#0f0f1a; color:#e0e0e0; font-size:13px; }
+      button { padding:6px 12px; border-radius:6px; border:none; background:#00ff88; color:#0f0f1a; font-weight:bold; cursor:pointer; font-size:12px; }
+      button.danger { background:#ff4444; color:white; }
+      table { width:100%; border-collapse:collapse; font-size:13px; }
+      th { text-align:left; padding:6px; border-bottom:2px solid #333; color:#00aaff; }
+      td { padding:6px; border-bottom:1px solid #2a2a3e; vertical-align:top; }
+      code { font-family:monospace; color:#00ff88; }
+      .muted { color:#666; }
+    </style></head><body>
+    <div class="container">
+      <h1>🔑 API Tokens</h1>
+      <p><a href="/">← Dashboard</a> · <a href="/api/v1/openapi.json">OpenAPI document</a></p>
+
+      <div class="card">
+        <p class="muted" style="margin-top:0;">Integrations call <code>/api/v1/…</code> with <code>Authorization: Bearer &lt;token&gt;</code>. A token acts with its role: viewer reads items, history, venues and health; contacts need admin.</p>
+        ${tokens.length === 0 ? '<p class="muted">No tokens yet.</p>' : `
+        <table><tr><th>Name</th><th>Role</th><th>Token</th><th>Created</th><th>Last used</th><th></th></tr>
+          ${tokens.map(t => `<tr>
+            <td><strong>${escapeHtml(t.name)}</strong></td>
+            <td>${escapeHtml(t.role)}</td>
+            <td><code>${escapeHtml(t.prefix)}…</code></td>
+            <td class="muted">${formatTime(t.createdAt)} by ${escapeHtml(t.createdBy)}</td>
+            <td class="muted">${t.lastUsedAt ? formatTime(t.lastUsedAt) : 'never'}</td>
+            <td><form method="POST" action="/tokens/revoke">${csrf}<input type="hidden" name="id" value="${escapeHtml(t.id)}"><button type="submit" class="danger">Revoke</button></form></td>
+          </tr>`).join('')}
+        </table>`}
+      </div>
+
+      <div class="card">
+        <h2>➕ Create token</h2>
+        <form method="POST" action="/tokens/create">
+          ${csrf}
+          <input type="text" name="name" placeholder="Used by (e.g. POS sync)" maxlength="60" required>
+          <select name="role">${ROLES.map(r => `<option value="${r}">${escapeHtml(ROLE_LABELS[r])}</option>`).join('')}</select>
+          <button type="submit">Create Token</button>
+        </form>
+      </div>
+    </div>
+    </body></html>`);
+});
+
+app.post('/tokens/create', requireRole('admin'), (req, res) => {
+    const name = String(req.body.name || '').trim().slice(0, 60);
+    if (!name) return res.redirect('/tokens');
+    const { token, entry } = createApiToken(name, ROLES.includes(req.body.role) ? req.body.role : 'viewer', req.user.username);
+    console.log(`[Tokens] ${req.user.username} created ${entry.role} token "${entry.name}" (${entry.prefix}…)`);
+    res.send(`<html><body style="background:#0f0f1a;color:#00ff88;font-family:sans-serif;padding:40px;">
+        ✅ Token "${escapeHtml(entry.name)}" created with the ${escapeHtml(entry.role)} role. Copy it now, it will not be shown again:
+        <pre style="background:#1a1a2e;color:#e0e0e0;padding:12px;border-radius:8px;white-space:pre-wrap;word-break:break-all;">${token}</pre>
+        <a href="/tokens" style="color:#00aaff;">← Back to API tokens</a>
+    </body></html>`);
+});
+
+app.post('/tokens/revoke', requireRole('admin'), (req, res) => {
+    const tokens = loadApiTokens();
+    const revoked = tokens.find(t => t.id === req.body.id);
+    saveApiTokens(tokens.filter(t => t !== revoked));
+    if (revoked) console.log(`[Tokens] ${req.user.username} revoked "${revoked.name}" (${revoked.prefix}…)`);
+    res.redirect('/tokens');
+});
+
+// Force refresh page (one venue with ?venue=<id>, otherwise all of them)
+app.post('/api/refresh', requireRole('staff'), async (req, res) => {
     try {
-        await page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
-        res.json({ ok: true, message: 'Page refreshed' });
+        const venueId = req.query.venue || req.body.venue;
+        const states = venueId ? [venueStates.get(venueId)].filter(Boolean) : [...venueStates.values()];
+        for (const state of states) {
+            await state.page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
+        }
+        res.json({ ok: true, message: `Refreshed ${states.length} page(s)` });
     } catch (err) {
         res.json({ ok: false, error: err.message });
     }
@@ -1043,47 +4924,74 @@ async function main() {
     console.log('='.repeat(60));
     console.log('  Wolt Disabled Items Monitor - Cloud Edition v1.1');
     console.log('='.repeat(60));
-    console.log(`  Menu URL: ${CONFIG.WOLT_MENU_URL}`);
-    console.log(`  Scrape interval: ${CONFIG.SCRAPE_INTERVAL / 1000}s`);
+    const venues = loadVenues().filter(v => v.active && v.menuUrl);
+    console.log(`  Venues: ${venues.map(v => v.name).join(', ') || 'none active'}`);
+    console.log(`  Default scrape interval: ${CONFIG.SCRAPE_INTERVAL / 1000}s`);
     console.log(`  Apps Script: ${CONFIG.APPS_SCRIPT_URL ? 'configured' : 'NOT SET'}`);
-    console.log(`  WhatsApp: ${CONFIG.GREEN_API_INSTANCE ? 'configured' : 'NOT SET'}`);
+    console.log(`  Channels: ${CONFIG.NOTIFY_CHANNELS.filter(isChannelEnabled).join(', ') || 'none configured'}`);
     console.log('='.repeat(60));
 
+    // Cookies, contacts and credentials: check DATA_SECRET opens them, encrypt plain ones
+    sealSecretStores();
+
+    // Deliver anything left in the outbox from before the restart
+    startOutbox();
+
+    // Scheduled digest messages
+    startDigests();
+
+    // Scheduled re-enables (catches up on any that fell due while down)
+    startSchedules();
+
+    // Web UI accounts (creates the first admin on a fresh data disk)
+    loadUsers();
+
     // Start Express server
     app.listen(CONFIG.PORT, () => {
         console.log(`[Server] Web UI running on port ${CONFIG.PORT}`);
     });
 
-    // Launch browser and navigate
-    await setupPage();
-    await navigateToMenu();
+    // Launch browser, open one page per venue (history restores open intervals)
+    // and start each scraping loop
+    await syncVenues();
 
     // Check initial login status
-    isLoggedIn = await checkLoginStatus();
+    const first = getVenueState();
+    isLoggedIn = first ? await checkLoginStatus(first.page) : false;
+    noteLoginState(isLoggedIn);
     console.log('[Init] Login status:', isLoggedIn ? 'LOGGED IN ✅' : 'NOT LOGGED IN ❌');
+    publishOverview();
 
     if (!isLoggedIn) {
-        sendWhatsAppAlert('🔑 Wolt Monitor started but needs login. Visit your Render URL to authenticate.');
+        sendAlert('🔑 Wolt Monitor started but needs login. Visit your Render URL to authenticate.');
     }
-
-    // Start scraping loop
-    startScraping();
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('[Shutdown] Received SIGTERM, cleaning up...');
-    if (scrapeInterval) clearInterval(scrapeInterval);
-    if (page) await page.close().catch(() => {});
-    if (browser) await browser.close().catch(() => {});
-    process.exit(0);
-});
+if (require.main === module) {
+    // Handle graceful shutdown
+    process.on('SIGTERM', async () => {
+        console.log('[Shutdown] Received SIGTERM, cleaning up...');
+        if (digestInterval) clearInterval(digestInterval);
+        if (outboxInterval) clearInterval(outboxInterval);
+        if (scheduleInterval) clearInterval(scheduleInterval);
+        for (const state of venueStates.values()) {
+            stopScraping(state);
+            if (state.page) await state.page.close().catch(() => {});
+        }
+        if (browser) await browser.close().catch(() => {});
+        process.exit(0);
+    });
 
-process.on('unhandledRejection', (err) => {
-    console.error('[Error] Unhandled rejection:', err);
-});
+    process.on('unhandledRejection', (err) => {
+        console.error('[Error] Unhandled rejection:', err);
+    });
+
+    main().catch(err => {
+        console.error('[Fatal]', err);
+        process.exit(1);
+    });
+}
 
-main().catch(err => {
-    console.error('[Fatal]', err);
-    process.exit(1);
-});
\ No newline at end of file
+// Exposed for tests (e.g. notifier channels and webhooks against local stub servers, the web UI's auth,
+// the XLSX writer) and scripts/rotate-key.js
+module.exports = { CONFIG, NOTIFIERS, postJson, notifyContact, sendAlert, processOutbox, outboxStats, emitWebhookEvent, app, hashPassword, verifyPassword, secretStorePaths, crc32, buildXlsx };
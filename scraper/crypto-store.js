@@ -0,0 +1,73 @@
+/**
+ * Encryption at rest for the JSON stores that hold credentials and contacts.
+ *
+ * An encrypted store is an AES-256-GCM envelope instead of the plain JSON:
+ *
+ *   { "encrypted": "aes-256-gcm", "kdf": "scrypt", "salt": …, "iv": …, "tag": …, "data": … }
+ *
+ * (binary fields base64). The key is scrypt(DATA_SECRET, salt). Plain JSON
+ * still reads, so switching encryption on, or to a new key, takes effect on
+ * the next write.
+ */
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+
+// scrypt is slow on purpose, so keys are derived once per secret and salt;
+// every write of a process reuses one salt per secret
+const keys = new Map();
+const writeSalts = new Map();
+
+function deriveKey(secret, salt) {
+    const id = `${crypto.createHash('sha256').update(secret).digest('hex')}:${salt.toString('base64')}`;
+    if (!keys.has(id)) keys.set(id, crypto.scryptSync(secret, salt, 32));
+    return keys.get(id);
+}
+
+function isEncrypted(value) {
+    return !!value && typeof value === 'object' && value.encrypted === ALGORITHM;
+}
+
+function encryptJson(value, secret) {
+    const secretId = crypto.createHash('sha256').update(secret).digest('hex');
+    if (!writeSalts.has(secretId)) writeSalts.set(secretId, crypto.randomBytes(16));
+    const salt = writeSalts.get(secretId);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(secret, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+    return {
+        encrypted: ALGORITHM,
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+function decryptJson(envelope, secret) {
+    const key = deriveKey(secret, Buffer.from(envelope.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    try {
+        return JSON.parse(Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf-8'));
+    } catch {
+        // GCM cannot tell a wrong key from a tampered file
+        throw new Error('cannot decrypt (wrong DATA_SECRET, or the file was modified)');
+    }
+}
+
+// File contents -> stored value, decrypting when needed
+function parseStore(text, secret) {
+    const value = JSON.parse(text);
+    if (!isEncrypted(value)) return value;
+    if (!secret) throw new Error('the file is encrypted but DATA_SECRET is not set');
+    return decryptJson(value, secret);
+}
+
+// Stored value -> file contents, encrypted when there is a secret
+function serializeStore(value, secret) {
+    return JSON.stringify(secret ? encryptJson(value, secret) : value, null, 2);
+}
+
+module.exports = { parseStore, serializeStore, isEncrypted };
@@ -0,0 +1,191 @@
+/**
+ * Menu extraction, shared by the live scraper and the offline tests.
+ *
+ * extractDisabledItems() runs inside the page: puppeteer serializes it with
+ * page.evaluate(extractDisabledItems, profile, options), and the tests evaluate the same
+ * source inside a jsdom window. It must therefore stay self-contained - no
+ * closures over module scope, no require() - and only use `document` and `Node`.
+ */
+
+// Returns { items, menu, rowCount, strategy, menuSignals }; `menu` is only
+// filled when called with { fullMenu: true }. Rows come from the first profile
+// selector that matches; if none do, rows are rebuilt around the "DISABLED"
+// text anchors so a CSS rename degrades instead of going blind.
+function extractDisabledItems(profile, options = {}) {
+    const sel = profile.selectors;
+    const items = [];
+    let currentCategory = 'Uncategorized';
+
+    const first = (root, selectors) => {
+        for (const s of selectors) {
+            const el = root.querySelector(s);
+            if (el) return el;
+        }
+        return null;
+    };
+    const all = (root, selectors) => {
+        for (const s of selectors) {
+            const els = root.querySelectorAll(s);
+            if (els.length > 0) return [...els];
+        }
+        return [];
+    };
+    const text = el => (el ? el.textContent.trim() : '');
+    // Prices stay as displayed (currency included); parsing happens in scraper/price.js
+    const cleanPrice = t => t.replace(/\u00A0/g, ' ').trim();
+    const choiceRe = new RegExp(profile.anchors.disabledChoice, 'i');
+    const isDisabledText = t => t.toUpperCase() === profile.anchors.disabled.toUpperCase();
+    const isAnchorText = t => isDisabledText(t) || choiceRe.test(t);
+    const leaves = root => [...root.querySelectorAll('*')].filter(el => el.children.length === 0);
+
+    // -- Rows --
+    let rows = [];
+    let strategy = null;
+    for (const s of sel.row) {
+        const found = document.querySelectorAll(s);
+        if (found.length > 0) {
+            rows = [...found];
+            strategy = s;
+            break;
+        }
+    }
+
+    // Category headers, used to bound and label rows found via text anchors
+    const headers = all(document, sel.category);
+    let anchorMode = false;
+    if (rows.length === 0) {
+        // Text-anchor fallback: grow each DISABLED tag upwards until it is one
+        // of a run of same-class siblings (a list row), or until growing further
+        // would swallow another tag or a category header
+        anchorMode = true;
+        strategy = 'text-anchor';
+        const anchors = leaves(document.body).filter(el => isAnchorText(el.textContent.trim()));
+        const countAnchors = el => anchors.filter(a => el.contains(a)).length;
+        const isListRow = (el, anchor) => el.className && el.textContent.trim() !== anchor.textContent.trim() &&
+            [...el.parentElement.children].some(sib => sib !== el && sib.className === el.className);
+        anchors.forEach(anchor => {
+            let row = anchor;
+            while (row.parentElement && row.parentElement !== document.body && !isListRow(row, anchor) &&
+                countAnchors(row.parentElement) === 1 && !headers.some(h => row.parentElement.contains(h))) {
+                row = row.parentElement;
+            }
+            if (!rows.includes(row)) rows.push(row);
+        });
+    }
+
+    // In anchor mode category headers are not rows; use the closest one before the row
+    const categoryBefore = row => {
+        let found = 'Uncategorized';
+        headers.forEach(h => {
+            if (h.compareDocumentPosition(row) & Node.DOCUMENT_POSITION_FOLLOWING) found = text(h);
+        });
+        return found;
+    };
+
+    const optionFromSpan = (span, groupName, category) => {
+        const fullText = cleanPrice(span.textContent);
+        // A trailing "(+100 ALL)" / "(+1,50 €)" is the surcharge, not part of the name
+        const surcharge = fullText.match(/\s*\(([^()]*\d[^()]*)\)\s*$/);
+        const priceEl = first(span, sel.price);
+        const price = priceEl ? cleanPrice(text(priceEl)) : surcharge ? surcharge[1].trim() : '';
+        let optionName = surcharge ? fullText.slice(0, surcharge.index).trim() : fullText;
+        if (optionName === fullText && price) {
+            optionName = fullText.replace(price, '').replace(/[()+]/g, '').trim();
+        }
+        optionName = optionName.replace(/,\s*$/, '').trim();
+        if (!optionName) return null;
+        return {
+            name: optionName,
+            description: `Option in: ${groupName}`,
+            price,
+            category,
+            type: 'option',
+            optionGroup: groupName,
+        };
+    };
+
+    const disabledOptionSpans = row => {
+        // Find disabled options via span[disabled]
+        const spans = all(row, sel.disabledOption);
+        if (spans.length > 0) return spans;
+        // Fallback: options styled as disabled (e.g. the jQyrIl class)
+        return all(row, sel.option)
+            .filter(span => profile.disabledOptionClasses.some(c => span.className.includes(c)) || span.hasAttribute('disabled'));
+    };
+
+    // Full-menu mode also records every enabled item and option. Rows found via
+    // text anchors are only the disabled ones, so no snapshot is possible then.
+    const menu = options.fullMenu && !anchorMode ? [] : null;
+
+    rows.forEach(row => {
+        // Category header
+        if (!anchorMode) {
+            const categoryEl = first(row, sel.category);
+            if (categoryEl) {
+                currentCategory = text(categoryEl);
+                return;
+            }
+        }
+        const category = anchorMode ? categoryBefore(row) : currentCategory;
+
+        // Get tags (fall back to any leaf carrying the anchor text)
+        let tagEls = all(row, sel.tag);
+        if (tagEls.length === 0) tagEls = leaves(row).filter(el => isAnchorText(el.textContent.trim()));
+        let hasDisabledTag = false;
+        let hasDisabledChoice = false;
+
+        tagEls.forEach(tag => {
+            const t = text(tag);
+            if (isDisabledText(t)) hasDisabledTag = true;
+            if (choiceRe.test(t)) hasDisabledChoice = true;
+        });
+
+        // An option group lists choices and has no price of its own
+        const optionSpans = all(row, sel.option);
+        const ownPrice = all(row, sel.price).some(el => !optionSpans.some(span => span.contains(el)));
+        const isOptionGroup = hasDisabledChoice || (!hasDisabledTag && optionSpans.length > 0 && !ownPrice);
+
+        // CASE 1: Standalone item (disabled, or any item in full-menu mode)
+        if (hasDisabledTag || (menu && !isOptionGroup)) {
+            // Without a name selector, the first text in the row is the best guess
+            const firstText = leaves(row).find(el => el.textContent.trim() && !isAnchorText(el.textContent.trim()));
+            const nameEl = first(row, sel.name);
+            const priceEl = first(row, sel.price);
+            const item = {
+                name: text(nameEl) || text(firstText) || 'Unknown',
+                description: text(first(row, sel.description)),
+                price: priceEl ? cleanPrice(text(priceEl)) : '',
+                category,
+                type: 'item',
+            };
+            if (hasDisabledTag) items.push(item);
+            if (menu && (nameEl || priceEl)) menu.push({ ...item, enabled: !hasDisabledTag });
+        }
+
+        // CASE 2: Option group with disabled choices (or any group in full-menu mode)
+        if (isOptionGroup) {
+            const groupName = text(first(row, sel.groupName)) || 'Unknown Option Group';
+            const disabledSpans = hasDisabledChoice ? disabledOptionSpans(row) : [];
+
+            disabledSpans.forEach(span => {
+                const option = optionFromSpan(span, groupName, category);
+                if (option) items.push(option);
+            });
+
+            if (menu) {
+                const spans = [...new Set([...optionSpans, ...disabledSpans])];
+                spans.forEach(span => {
+                    const option = optionFromSpan(span, groupName, category);
+                    if (option) menu.push({ ...option, enabled: !disabledSpans.includes(span) });
+                });
+            }
+        }
+    });
+
+    // How much of a menu is on screen, independent of the row selectors
+    const menuSignals = (document.body.textContent.match(new RegExp(profile.menuProbe, 'g')) || []).length;
+
+    return { items, menu, rowCount: rows.length, strategy, menuSignals };
+}
+
+module.exports = { extractDisabledItems };
@@ -0,0 +1,73 @@
+/**
+ * Venue opening hours: a weekly timetable plus dated exceptions (holidays,
+ * short days), read in the venue's own timezone.
+ *
+ * Stored on the venue as `hours`:
+ *
+ *   { timezone: 'Europe/Tirane',
+ *     weekly: { mon: '10:00-23:00', …, sun: '' },
+ *     holidays: [{ date: '2026-12-25', hours: '' }, { date: '2026-12-31', hours: '10:00-15:00' }],
+ *     whenClosed: 'pause' | 'slow', closedInterval: 600000 }
+ *
+ * Hours are comma-separated HH:MM-HH:MM ranges, '' (or "closed") for a day
+ * off. A range that ends at or before its start runs past midnight
+ * ("18:00-02:00"). A venue without hours counts as always open.
+ */
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// "10:00-15:00, 18:00-02:00" -> [{ start, end }] in minutes after midnight
+function parseRanges(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed || /^closed$/i.test(trimmed)) return [];
+    return trimmed.split(',').map(part => {
+        const m = part.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+        const start = m && Number(m[1]) * 60 + Number(m[2]);
+        const end = m && Number(m[3]) * 60 + Number(m[4]);
+        if (!m || Number(m[2]) > 59 || Number(m[4]) > 59 || start >= 1440 || end > 1440) {
+            throw new Error(`"${part.trim()}" is not a time range like 10:00-23:00`);
+        }
+        return { start, end };
+    });
+}
+
+// One exception per line: "2026-12-25" (closed) or "2026-12-31 10:00-15:00"
+function parseHolidays(text) {
+    return String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+        const m = line.match(/^(\d{4}-\d{2}-\d{2})\s*(.*)$/);
+        if (!m || isNaN(Date.parse(`${m[1]}T00:00:00Z`))) throw new Error(`"${line}" does not start with a date like 2026-12-25`);
+        parseRanges(m[2]);
+        return { date: m[1], hours: /^closed$/i.test(m[2].trim()) ? '' : m[2].trim() };
+    }).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function formatHolidays(holidays = []) {
+    return holidays.map(h => `${h.date} ${h.hours || 'closed'}`).join('\n');
+}
+
+// Wall-clock date, weekday and minute of the day in `timezone`
+function localTime(timezone, date) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+// A holiday entry replaces that date's weekly hours
+function dayRanges(hours, date) {
+    const holiday = (hours.holidays || []).find(h => h.date === date);
+    if (holiday) return parseRanges(holiday.hours);
+    return parseRanges((hours.weekly || {})[DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()]]);
+}
+
+function isOpen(hours, date = new Date()) {
+    if (!hours || !hours.weekly) return true;
+    const now = localTime(hours.timezone, date);
+    const today = dayRanges(hours, now.date);
+    if (today.some(r => now.minutes >= r.start && (r.end <= r.start || now.minutes < r.end))) return true;
+    // Yesterday's ranges that run past midnight
+    const yesterday = new Date(Date.parse(`${now.date}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+    return dayRanges(hours, yesterday).some(r => r.end <= r.start && now.minutes < r.end);
+}
+
+module.exports = { DAYS, parseRanges, parseHolidays, formatHolidays, isOpen };
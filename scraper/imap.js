@@ -0,0 +1,223 @@
+/**
+ * Magic-link retrieval from the login mailbox over IMAP.
+ *
+ * Just enough of IMAP4rev1 (RFC 3501) to log in, open a mailbox read-only,
+ * search for recent mail from Wolt and fetch it: every poll opens its own
+ * connection and logs out again, so there is no IDLE or reconnect logic to
+ * get wrong. Messages are fetched with BODY.PEEK, so they stay unread.
+ */
+const net = require('net');
+const tls = require('tls');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Links that look like a Wolt sign-in link, unless IMAP_LINK_PATTERN says otherwise
+const DEFAULT_LINK_PATTERN = /^https:\/\/([\w-]+\.)*wolt\.com\/\S*(magic|login|token|auth|verify)/i;
+
+// Only the newest few matches are fetched; older ones are already stale
+const MAX_MESSAGES = 5;
+
+// One connection, one command at a time. Responses are parsed byte-wise so a
+// literal ({n}) holding text like "a1 OK" cannot end a command early.
+function connect({ host, port, secure = true, timeout = 30000 }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+        let buffer = Buffer.alloc(0);
+        let literal = 0;     // bytes still owed to the current literal
+        let line = null;     // { text, literals } being assembled
+        let lines = [];
+        let waiting = null;  // { tag, resolve, reject } or the greeting waiter
+        let tagCount = 0;
+        let failed = null;
+
+        const fail = err => {
+            failed = failed || err;
+            if (waiting) waiting.reject(failed);
+            waiting = null;
+            socket.destroy();
+        };
+
+        const onLine = complete => {
+            lines.push(complete);
+            if (!waiting) return;
+            const done = waiting.tag === '*'
+                ? complete.text.startsWith('* ')
+                : complete.text.startsWith(`${waiting.tag} `);
+            if (!done) return;
+            const result = { lines, status: complete.text.split(' ')[1], text: complete.text };
+            const { resolve: settle } = waiting;
+            waiting = null;
+            lines = [];
+            settle(result);
+        };
+
+        socket.setTimeout(timeout, () => fail(new Error('IMAP connection timed out')));
+        socket.on('error', fail);
+        socket.on('close', () => fail(new Error('IMAP connection closed')));
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            for (;;) {
+                if (literal > 0) {
+                    if (buffer.length < literal) return;
+                    line.literals.push(buffer.subarray(0, literal));
+                    buffer = buffer.subarray(literal);
+                    literal = 0;
+                    continue;
+                }
+                const end = buffer.indexOf('\r\n');
+                if (end === -1) return;
+                const text = buffer.subarray(0, end).toString('utf-8');
+                buffer = buffer.subarray(end + 2);
+                line = line || { text: '', literals: [] };
+                line.text += text;
+                const size = text.match(/\{(\d+)\}$/);
+                if (size) {
+                    literal = parseInt(size[1]);
+                    continue;
+                }
+                const complete = line;
+                line = null;
+                onLine(complete);
+            }
+        });
+
+        const command = text => new Promise((settle, reject) => {
+            if (failed) return reject(failed);
+            const tag = `a${++tagCount}`;
+            waiting = { tag, resolve: settle, reject };
+            socket.write(`${tag} ${text}\r\n`);
+        }).then(result => {
+            if (result.status !== 'OK') throw new Error(`IMAP ${text.split(' ')[0]} failed: ${result.text.split(' ').slice(2).join(' ')}`);
+            return result;
+        });
+
+        // The server speaks first
+        waiting = {
+            tag: '*',
+            resolve: greeting => {
+                if (greeting.status !== 'OK' && greeting.status !== 'PREAUTH') {
+                    fail(new Error(`IMAP server refused the connection: ${greeting.text}`));
+                    return reject(failed);
+                }
+                resolve({ command, close: () => socket.destroy() });
+            },
+            reject,
+        };
+    });
+}
+
+function quote(value) {
+    const text = String(value);
+    if (/[\r\n]/.test(text)) throw new Error('IMAP strings cannot contain line breaks');
+    return `"${text.replace(/[\\"]/g, c => `\\${c}`)}"`;
+}
+
+// Date -> IMAP search date ("19-Oct-2026"); SEARCH SINCE only has day precision
+function searchDate(date) {
+    return `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+}
+
+function decodeQuotedPrintable(text) {
+    const bytes = [];
+    const source = text.replace(/=\r?\n/g, '');
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(source.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(source.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(...Buffer.from(source[i], 'utf-8'));
+        }
+    }
+    return Buffer.from(bytes).toString('utf-8');
+}
+
+// Raw RFC 822 message -> decoded text of every non-multipart part
+function messageTexts(raw) {
+    const split = raw.search(/\r?\n\r?\n/);
+    const head = split === -1 ? raw : raw.slice(0, split);
+    const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+    const headers = {};
+    head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(h => {
+        const colon = h.indexOf(':');
+        if (colon > 0) headers[h.slice(0, colon).trim().toLowerCase()] = h.slice(colon + 1).trim();
+    });
+
+    const type = headers['content-type'] || 'text/plain';
+    const boundary = type.match(/boundary="?([^";]+)"?/i);
+    if (/^multipart\//i.test(type) && boundary) {
+        return body.split(`--${boundary[1]}`).slice(1)
+            .filter(part => !part.startsWith('--'))
+            .flatMap(part => messageTexts(part.replace(/^\r?\n/, '')));
+    }
+    const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+    if (encoding === 'base64') return [Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf-8')];
+    if (encoding === 'quoted-printable') return [decodeQuotedPrintable(body)];
+    return [body];
+}
+
+// First link in the message that matches `pattern`
+function extractMagicLink(raw, pattern = DEFAULT_LINK_PATTERN) {
+    for (const text of messageTexts(raw)) {
+        const urls = text.match(/https?:\/\/[^\s"'<>]+/g) || [];
+        const link = urls.map(url => url.replace(/&amp;/g, '&')).find(url => pattern.test(url));
+        if (link) return link;
+    }
+    return null;
+}
+
+// One look at the mailbox: the newest magic link in mail from `from` that
+// arrived after `since`, or null.
+// options: { host, port, secure, user, password, mailbox, from, pattern, timeout }
+async function fetchMagicLink(options, since) {
+    const client = await connect(options);
+    try {
+        await client.command(`LOGIN ${quote(options.user)} ${quote(options.password)}`);
+        await client.command(`EXAMINE ${quote(options.mailbox || 'INBOX')}`);
+        const search = await client.command(`UID SEARCH SINCE ${searchDate(since)}${options.from ? ` FROM ${quote(options.from)}` : ''}`);
+        const uids = search.lines
+            .filter(l => l.text.startsWith('* SEARCH'))
+            .flatMap(l => l.text.slice('* SEARCH'.length).trim().split(/\s+/))
+            .filter(Boolean)
+            .map(Number)
+            .sort((a, b) => b - a)
+            .slice(0, MAX_MESSAGES);
+
+        for (const uid of uids) {
+            const fetched = await client.command(`UID FETCH ${uid} (INTERNALDATE BODY.PEEK[])`);
+            const message = fetched.lines.find(l => / FETCH \(/.test(l.text) && l.literals.length > 0);
+            if (!message) continue;
+            // INTERNALDATE ("19-Oct-2026 09:00:00 +0000") only has whole seconds
+            const received = message.text.match(/INTERNALDATE "([^"]+)"/);
+            if (received && new Date(received[1].replace(/^\s*(\d+)-(\w+)-(\d+) /, '$2 $1 $3 ')) < Math.floor(since / 1000) * 1000) continue;
+            const link = extractMagicLink(message.literals[0].toString('utf-8'), options.pattern);
+            if (link) return link;
+        }
+        return null;
+    } finally {
+        await client.command('LOGOUT').catch(() => {});
+        client.close();
+    }
+}
+
+// Polls the mailbox until a magic link sent after `since` shows up or `wait` ms pass.
+// A failed poll (dropped connection, server hiccup) is retried on the next one; the
+// last error is only thrown if no link turned up by the deadline.
+async function waitForMagicLink(options, { since, wait = 180000, pollInterval = 10000 }) {
+    const deadline = Date.now() + wait;
+    let lastError = null;
+    for (;;) {
+        try {
+            const link = await fetchMagicLink(options, since);
+            if (link) return link;
+        } catch (err) {
+            lastError = err;
+        }
+        if (Date.now() + pollInterval > deadline) {
+            if (lastError) throw lastError;
+            return null;
+        }
+        await new Promise(r => setTimeout(r, pollInterval));
+    }
+}
+
+module.exports = { fetchMagicLink, waitForMagicLink, extractMagicLink, DEFAULT_LINK_PATTERN };
@@ -0,0 +1,142 @@
+/**
+ * Menu extraction from the merchant portal's own JSON (XHR) responses.
+ *
+ * The portal's API shape is not documented, so payloads are walked generically
+ * using the field names listed under `network.fields` in selectors.json:
+ * objects with a name and a price are menu items, objects with a name and a
+ * list of priced values are option groups, and objects with a name and a list
+ * of item ids (or nested items) are categories. The result has the same shape
+ * as extractDisabledItems() so the rest of the pipeline does not care which
+ * data source produced it.
+ */
+const { formatPrice } = require('./price');
+
+// First field from `names` that is present on `obj`
+function pick(obj, names) {
+    for (const name of names || []) {
+        if (obj[name] !== undefined && obj[name] !== null) return obj[name];
+    }
+    return undefined;
+}
+
+// "Pizza" / [{ lang: 'en', value: 'Pizza' }] / { en: 'Pizza' } -> 'Pizza'
+function localized(value, lang) {
+    if (typeof value === 'string') return value.trim();
+    if (Array.isArray(value)) {
+        const entry = value.find(v => v && v.lang === lang) || value[0];
+        return entry ? localized(entry.value ?? entry.text ?? entry, lang) : '';
+    }
+    if (value && typeof value === 'object') return localized(value[lang] ?? Object.values(value)[0], lang);
+    return '';
+}
+
+function readPrice(obj, net, defaultCurrency) {
+    let value = pick(obj, net.fields.price);
+    let currency = pick(obj, net.fields.currency);
+    if (value && typeof value === 'object') {
+        currency = value.currency || currency;
+        value = value.amount ?? value.value;
+    }
+    if (typeof value !== 'number') return null;
+    return { amount: net.minorUnits ? value / 100 : value, currency: currency || defaultCurrency };
+}
+
+function readEnabled(obj, net, now) {
+    const until = pick(obj, net.fields.disabledUntil);
+    if (until && new Date(until).getTime() > now) return false;
+    const enabled = pick(obj, net.fields.enabled);
+    if (typeof enabled === 'boolean') return enabled;
+    const disabled = pick(obj, net.fields.disabled);
+    if (typeof disabled === 'boolean') return !disabled;
+    return true;
+}
+
+function parseMenuPayloads(payloads, net, defaultCurrency = null) {
+    const now = Date.now();
+    const lang = net.lang;
+    const categoryOf = new Map(); // item id -> category name
+    const found = [];             // { entry, id, parentCategory }
+
+    const visit = (node, parentCategory, parentItem) => {
+        if (Array.isArray(node)) {
+            node.forEach(child => visit(child, parentCategory, parentItem));
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        const name = localized(pick(node, net.fields.name), lang);
+        const id = pick(node, net.fields.id);
+        const values = pick(node, net.fields.optionValues);
+        const itemIds = pick(node, net.fields.itemIds);
+        const children = pick(node, net.fields.items);
+        let category = parentCategory;
+        let item = parentItem;
+
+        if (name && Array.isArray(values) && values.some(v => v && typeof v === 'object')) {
+            // Option group: every value is an option, priced as a surcharge
+            values.forEach(value => {
+                const optionName = localized(pick(value, net.fields.name), lang);
+                if (!optionName) return;
+                const price = readPrice(value, net, defaultCurrency);
+                found.push({
+                    parentItem: item,
+                    entry: {
+                        name: optionName,
+                        description: `Option in: ${name}`,
+                        price: price ? formatPrice(price) : '',
+                        category: category || null,
+                        type: 'option',
+                        optionGroup: name,
+                        enabled: readEnabled(value, net, now) && readEnabled(node, net, now),
+                    },
+                });
+            });
+            return;
+        }
+
+        if (name && (Array.isArray(itemIds) || (Array.isArray(children) && children.some(c => c && typeof c === 'object')))) {
+            // Category: remember which item ids belong to it
+            category = name;
+            (itemIds || []).forEach(itemId => categoryOf.set(String(typeof itemId === 'object' ? pick(itemId, net.fields.id) : itemId), name));
+        } else if (name) {
+            const price = readPrice(node, net, defaultCurrency);
+            if (price) {
+                item = { id: id !== undefined ? String(id) : null };
+                found.push({
+                    id: item.id,
+                    parentCategory: category,
+                    entry: {
+                        name,
+                        description: localized(pick(node, net.fields.description), lang),
+                        price: formatPrice(price),
+                        category: category || null,
+                        type: 'item',
+                        enabled: readEnabled(node, net, now),
+                    },
+                });
+            }
+        }
+
+        Object.values(node).forEach(child => {
+            if (child && typeof child === 'object') visit(child, category, item);
+        });
+    };
+    payloads.forEach(payload => visit(payload, null, null));
+
+    // Categories may be listed apart from their items (by id), so resolve them last
+    found.forEach(f => {
+        if (f.entry.type === 'item' && !f.entry.category) f.entry.category = categoryOf.get(f.id) || 'Uncategorized';
+    });
+    found.forEach(f => {
+        if (f.entry.type !== 'option' || f.entry.category) return;
+        const owner = f.parentItem && found.find(o => o.entry.type === 'item' && o.id === f.parentItem.id);
+        f.entry.category = owner ? owner.entry.category : 'Options';
+    });
+
+    // The same item often appears in several responses; keep the last one seen
+    const menu = [...new Map(found.map(f => [[f.entry.category, f.entry.name, f.entry.optionGroup || ''].join(' | '), f.entry])).values()];
+    const items = menu.filter(i => !i.enabled).map(({ enabled, ...item }) => item);
+    return { items, menu, rowCount: menu.length, strategy: 'network', menuSignals: menu.length };
+}
+
+module.exports = { parseMenuPayloads };
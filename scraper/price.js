@@ -0,0 +1,75 @@
+/**
+ * Price text -> { amount, currency }.
+ *
+ * Wolt renders prices in the venue's locale: "ALL 1 200", "1.200 ALL",
+ * "12,50 €", "€12.50", "+100 ALL" for option surcharges, "1 234,50 kr" and so
+ * on. Amounts are plain numbers in the major unit; currency is an ISO 4217 code
+ * (or null when neither the text nor the caller says which one it is).
+ */
+
+// Symbols and local spellings. Where a symbol is shared ("kr"), the venue's
+// default currency wins if it is one of the candidates.
+const CURRENCY_ALIASES = [
+    ['lekë', 'ALL'], ['leke', 'ALL'], ['lek', 'ALL'],
+    ['den', 'MKD'], ['ден', 'MKD'], ['din', 'RSD'], ['дин', 'RSD'],
+    ['лв', 'BGN'], ['lei', 'RON'], ['zł', 'PLN'], ['kč', 'CZK'], ['ft', 'HUF'],
+    ['km', 'BAM'], ['kr', ['SEK', 'NOK', 'DKK', 'ISK']], ['€', 'EUR'], ['£', 'GBP'], ['$', 'USD'],
+    ['₾', 'GEL'], ['₪', 'ILS'], ['₸', 'KZT'], ['₼', 'AZN'], ['¥', 'JPY'],
+];
+
+const CODE_RE = /\b([A-Z]{3})\b/;
+const NUMBER_RE = /[+-]?\s*\d[\d\s.,'’]*/;
+
+// "1 200" / "1.200" / "1,234.50" / "1.234,50" / "12,50" -> number
+function parseAmount(text) {
+    const sign = /^\s*-/.test(text) ? -1 : 1;
+    let digits = text.replace(/[+\-\s'’]/g, '');
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        // Both present: whichever comes last is the decimal separator
+        const decimal = lastDot > lastComma ? '.' : ',';
+        const thousands = decimal === '.' ? ',' : '.';
+        digits = digits.split(thousands).join('').replace(decimal, '.');
+    } else if (lastDot !== -1 || lastComma !== -1) {
+        const sep = lastDot !== -1 ? '.' : ',';
+        const parts = digits.split(sep);
+        // Repeated, or exactly three digits after it: a thousands separator
+        const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+        digits = isThousands ? parts.join('') : parts.join('.');
+    }
+
+    const amount = Number(digits);
+    return Number.isFinite(amount) ? sign * amount : null;
+}
+
+function parseCurrency(text, defaultCurrency) {
+    const code = text.match(CODE_RE);
+    if (code) return code[1];
+    const lower = text.toLowerCase();
+    const alias = CURRENCY_ALIASES.find(([symbol]) => lower.includes(symbol));
+    if (!alias) return defaultCurrency;
+    const candidates = [].concat(alias[1]);
+    return candidates.includes(defaultCurrency) ? defaultCurrency : candidates[0];
+}
+
+function parsePrice(text, defaultCurrency = null) {
+    const raw = String(text || '').replace(/[\u00A0\u202F\u2009]/g, ' ').trim();
+    const number = raw.match(NUMBER_RE);
+    if (!number) return { amount: null, currency: null };
+    const rest = raw.replace(number[0], ' ');
+    return {
+        amount: parseAmount(number[0]),
+        currency: parseCurrency(rest, defaultCurrency),
+    };
+}
+
+// { amount, currency } -> "1,200 ALL"; falls back to the scraped text
+function formatPrice({ amount, currency, price } = {}) {
+    if (amount === null || amount === undefined) return price || '';
+    const number = amount.toLocaleString('en-US', { minimumFractionDigits: Number.isInteger(amount) ? 0 : 2, maximumFractionDigits: 2 });
+    return currency ? `${number} ${currency}` : number;
+}
+
+module.exports = { parsePrice, formatPrice };
@@ -0,0 +1,111 @@
+/**
+ * Per-venue scrape loop: one timer per venue, with the next run only scheduled
+ * once the current one is done, so a slow full scan can never stack up runs.
+ *
+ * Works on the venue states from index.js (scanTimer, nextScanAt, scanning,
+ * scanRequested, stopped, failedRuns, open, lastClosedScrape) and is given:
+ *
+ *   run(state, trigger)  one scrape ('schedule', 'manual' or 'opening'),
+ *                        resolving to the recorded run ({ outcome, ... })
+ *   changed(state)       something the dashboard shows about the venue changed
+ *   scrapeInterval, closedInterval  defaults for venues without their own
+ */
+const { isOpen } = require('./hours');
+
+const FIRST_SCAN_DELAY = 5000;
+const SCAN_JITTER = 0.1;         // ±10% on every delay, so venues do not scrape in lockstep
+const MAX_SCAN_BACKOFF = 600000; // 10 min between runs at most while scrapes keep failing
+const CLOSED_RECHECK = 60000;    // how often a closed venue looks at the clock
+
+function createScheduler({ run, changed, scrapeInterval, closedInterval }) {
+    // Delay after a run: the venue's interval, doubled for every failed run in
+    // a row, with some jitter. failedRuns only goes back to 0 on a good run (a
+    // page reload after repeated errors does not count), so the backoff can
+    // actually reach its cap.
+    function nextScanDelay(state) {
+        const { venue } = state;
+        let delay = venue.scrapeInterval || scrapeInterval;
+        if (!isOpen(venue.hours)) delay = Math.min(delay, CLOSED_RECHECK);
+        if (state.failedRuns > 0) delay = Math.min(delay * 2 ** state.failedRuns, Math.max(delay, MAX_SCAN_BACKOFF));
+        return Math.round(delay * (1 + (Math.random() * 2 - 1) * SCAN_JITTER));
+    }
+
+    function scheduleScan(state, delay) {
+        clearTimeout(state.scanTimer);
+        state.nextScanAt = new Date(Date.now() + delay).toISOString();
+        state.scanTimer = setTimeout(() => scanTick(state), delay);
+    }
+
+    // One run of the loop. Outside opening hours the venue is left alone, or
+    // only looked at every closedInterval; the first run after opening does a
+    // full scan so the day starts from a complete picture.
+    async function scanTick(state, trigger = 'schedule') {
+        state.scanTimer = null;
+        const { venue } = state;
+        const open = isOpen(venue.hours);
+        if (open !== state.open) {
+            if (state.open !== null) console.log(`[Hours] ${venue.name}: ${open ? 'opened' : 'closed'}`);
+            if (open && state.open === false && trigger === 'schedule') trigger = 'opening';
+            state.open = open;
+            changed(state);
+        }
+
+        let due = open || trigger === 'manual';
+        if (!due && venue.hours.whenClosed === 'slow' && Date.now() - state.lastClosedScrape >= (venue.hours.closedInterval || closedInterval)) {
+            state.lastClosedScrape = Date.now();
+            due = true;
+        }
+        if (due) {
+            state.scanning = true;
+            state.nextScanAt = null;
+            changed(state);
+            try {
+                // Logged out or a broken scraper neither adds to nor ends a failure streak
+                const result = await run(state, trigger);
+                if (result && result.outcome === 'error') state.failedRuns++;
+                else if (result && result.outcome === 'ok') state.failedRuns = 0;
+            } catch (err) {
+                state.failedRuns++;
+                console.error(`[Scrape] ${venue.name}: run failed:`, err.message);
+            } finally {
+                state.scanning = false;
+            }
+        }
+
+        if (state.stopped) return;
+        if (state.scanRequested) {
+            state.scanRequested = false;
+            return scanTick(state, 'manual');
+        }
+        scheduleScan(state, nextScanDelay(state));
+        changed(state);
+    }
+
+    // "Scan now" from the UI: a full scan right away, or straight after the run in progress
+    function scanNow(state) {
+        if (state.stopped) return;
+        if (state.scanning) {
+            state.scanRequested = true;
+            return;
+        }
+        clearTimeout(state.scanTimer);
+        scanTick(state, 'manual');
+    }
+
+    // The first scrape runs almost immediately
+    function start(state) {
+        state.stopped = false;
+        scheduleScan(state, FIRST_SCAN_DELAY);
+    }
+
+    function stop(state) {
+        state.stopped = true;
+        clearTimeout(state.scanTimer);
+        state.scanTimer = null;
+        state.nextScanAt = null;
+    }
+
+    return { nextScanDelay, scanTick, scanNow, start, stop };
+}
+
+module.exports = { createScheduler, FIRST_SCAN_DELAY, MAX_SCAN_BACKOFF };
@@ -0,0 +1,34 @@
+/**
+ * Wolt session health from the portal's own cookies and API responses.
+ *
+ * Which cookies carry the login and which requests need it is portal
+ * knowledge, so both come from the `session` block of selectors.json:
+ * `cookieDomain` / `cookieName` are regexes over the cookies puppeteer
+ * returns, `apiPattern` matches the URLs of authenticated API requests.
+ */
+
+// The login ends when the last auth cookie does: short-lived access tokens are
+// renewed from the longer-lived refresh cookie until that one runs out.
+// { name, expiresAt } for the latest-expiring match, or null when none has an
+// expiry date (cookies that live as long as the browser report expires -1)
+function authCookieExpiry(cookies, session) {
+    if (!session || !Array.isArray(cookies)) return null;
+    const domain = new RegExp(session.cookieDomain, 'i');
+    const name = new RegExp(session.cookieName, 'i');
+    const expiring = cookies
+        .filter(c => domain.test(c.domain || '') && name.test(c.name) && c.expires > 0)
+        .sort((a, b) => b.expires - a.expires);
+    if (expiring.length === 0) return null;
+    return { name: expiring[0].name, expiresAt: new Date(expiring[0].expires * 1000).toISOString() };
+}
+
+// HTTP status of an authenticated portal request -> true (signed in),
+// false (signed out) or null when it says nothing about the session
+// (network errors, server errors, redirects)
+function authVerdict(status) {
+    if (status === 401 || status === 403) return false;
+    if (status >= 200 && status < 300) return true;
+    return null;
+}
+
+module.exports = { authCookieExpiry, authVerdict };
@@ -0,0 +1,95 @@
+/**
+ * In-page lookup and click of an item's or option's availability switch.
+ *
+ * Like extractDisabledItems(), toggleMenuEntry() is shipped to the page with
+ * page.evaluate(toggleMenuEntry, profile, target), so it must stay
+ * self-contained. It only acts on rows currently rendered; the caller scrolls
+ * the virtual list and retries while it reports { found: false }.
+ */
+
+// target: { category, name, type, optionGroup, enable }
+// Returns { found, changed, error? }
+function toggleMenuEntry(profile, target) {
+    const sel = profile.selectors;
+    const first = (root, selectors) => {
+        for (const s of selectors) {
+            const el = root.querySelector(s);
+            if (el) return el;
+        }
+        return null;
+    };
+    const all = (root, selectors) => {
+        for (const s of selectors) {
+            const els = root.querySelectorAll(s);
+            if (els.length > 0) return [...els];
+        }
+        return [];
+    };
+    const text = el => (el ? el.textContent.replace(/\u00A0/g, ' ').trim() : '');
+    const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    let rows = [];
+    for (const s of sel.row) {
+        rows = [...document.querySelectorAll(s)];
+        if (rows.length > 0) break;
+    }
+
+    // Categories come from header rows, so the walk has to start at the top
+    // of what is rendered; rows above the first header have an unknown category
+    let category = null;
+    let scope = null;
+    for (const row of rows) {
+        const header = first(row, sel.category);
+        if (header) {
+            category = text(header);
+            continue;
+        }
+        if (category !== null && !same(category, target.category)) continue;
+
+        if (target.type === 'option') {
+            if (!same(text(first(row, sel.groupName)), target.optionGroup)) continue;
+            const spans = all(row, sel.option).concat(all(row, sel.disabledOption));
+            const span = spans.find(el => same(text(el).replace(/\s*\([^()]*\d[^()]*\)\s*,?$/, '').replace(/,\s*$/, ''), target.name));
+            if (!span) continue;
+            // Grow from the option to the nearest switch, but never into a
+            // container that also holds another option's switch
+            scope = span;
+            while (scope !== row && all(scope, profile.toggle.switch).length === 0 &&
+                !spans.some(other => other !== span && scope.parentElement.contains(other))) {
+                scope = scope.parentElement;
+            }
+            if (all(scope, profile.toggle.switch).length !== 1) {
+                return { found: true, changed: false, error: 'No availability switch next to the option' };
+            }
+        } else {
+            if (!same(text(first(row, sel.name)), target.name)) continue;
+            scope = row;
+        }
+        break;
+    }
+    if (!scope) return { found: false, changed: false };
+
+    const toggle = first(scope, profile.toggle.switch);
+    if (!toggle) return { found: true, changed: false, error: 'No availability switch in the row' };
+
+    const isOn = toggle.getAttribute('aria-checked') === 'true' ||
+        toggle.getAttribute('aria-pressed') === 'true' ||
+        toggle.checked === true;
+    if (isOn === target.enable) return { found: true, changed: false };
+
+    toggle.scrollIntoView({ block: 'center' });
+    toggle.click();
+    return { found: true, changed: true };
+}
+
+// Clicks the first visible dialog button whose label is in profile.toggle.confirm
+function confirmToggleDialog(profile) {
+    const labels = profile.toggle.confirm.map(l => l.toLowerCase());
+    const button = [...document.querySelectorAll('[role="dialog"] button, [role="alertdialog"] button, dialog button')]
+        .find(b => labels.includes(b.textContent.trim().toLowerCase()));
+    if (!button) return false;
+    button.click();
+    return true;
+}
+
+module.exports = { toggleMenuEntry, confirmToggleDialog };
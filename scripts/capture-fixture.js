@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Snapshot the live menu DOM of a running monitor into test/fixtures/.
+ *
+ *   npm run capture-fixture -- <name> [--url http://localhost:3000] [--venue <id>]
+ *
+ * Fetches /screenshot/html, writes test/fixtures/<name>.html and prints what the
+ * extractor finds in it, so a broken scrape can be reproduced offline.
+ *
+ * Signs in with HTTP Basic auth as MONITOR_USER / MONITOR_PASSWORD (a staff or
+ * admin account from the Users page).
+ */
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { extractDisabledItems } = require('../scraper/extract');
+
+function parseArgs(argv) {
+    const args = { name: null, url: process.env.MONITOR_URL || `http://localhost:${process.env.PORT || 3000}`, venue: '' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--url') args.url = argv[++i];
+        else if (argv[i] === '--venue') args.venue = argv[++i];
+        else if (!args.name) args.name = argv[i];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.name || !/^[\w-]+$/.test(args.name)) {
+        console.error('Usage: capture-fixture <name> [--url http://localhost:3000] [--venue <id>]');
+        process.exit(1);
+    }
+
+    const url = `${args.url.replace(/\/$/, '')}/screenshot/html${args.venue ? `?venue=${encodeURIComponent(args.venue)}` : ''}`;
+    const headers = {};
+    if (process.env.MONITOR_USER) {
+        headers.Authorization = 'Basic ' + Buffer.from(`${process.env.MONITOR_USER}:${process.env.MONITOR_PASSWORD || ''}`).toString('base64');
+    }
+    const res = await fetch(url, { headers, redirect: 'manual' });
+    if (res.status === 302) throw new Error(`${url} wants a sign-in: set MONITOR_USER and MONITOR_PASSWORD`);
+    if (!res.ok) throw new Error(`${url} returned HTTP ${res.status}: ${await res.text()}`);
+    const html = await res.text();
+
+    const file = path.join(__dirname, '..', 'test', 'fixtures', `${args.name}.html`);
+    fs.writeFileSync(file, html);
+    console.log(`Saved ${(html.length / 1024).toFixed(0)} KB to ${path.relative(process.cwd(), file)}`);
+
+    const profile = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selectors.json'), 'utf-8'));
+    const dom = new JSDOM(html, { runScripts: 'outside-only' });
+    const result = dom.window.eval(`(${extractDisabledItems})(${JSON.stringify(profile)})`);
+    console.log(`Extractor: ${result.rowCount} rows via ${result.strategy}, ${result.menuSignals} prices on page`);
+    result.items.forEach(i => console.log(`  [${i.type}] ${i.category} / ${i.optionGroup ? `${i.optionGroup} / ` : ''}${i.name} ${i.price}`));
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Re-encrypt the cookie jar, contacts, stored credentials and the outbox under a new key.
+ *
+ *   DATA_SECRET=<current> NEW_DATA_SECRET=<new> npm run rotate-key
+ *   DATA_SECRET=<current> npm run rotate-key -- --decrypt
+ *
+ * Leave DATA_SECRET empty to encrypt stores that are still plain JSON;
+ * --decrypt writes them back as plain JSON. Every store is read before any is
+ * written, so a wrong DATA_SECRET changes nothing.
+ *
+ * Stop the monitor first (it would write with the old key), and set
+ * DATA_SECRET to the new value before starting it again.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseStore, serializeStore } = require('../scraper/crypto-store');
+const { secretStorePaths } = require('..');
+
+function main() {
+    const decrypt = process.argv.includes('--decrypt');
+    const oldSecret = process.env.DATA_SECRET || '';
+    const newSecret = decrypt ? '' : (process.env.NEW_DATA_SECRET || '');
+    if (!decrypt && !newSecret) {
+        console.error('Usage: DATA_SECRET=<current> NEW_DATA_SECRET=<new> rotate-key');
+        console.error('       DATA_SECRET=<current> rotate-key --decrypt');
+        process.exit(1);
+    }
+
+    const stores = [];
+    for (const file of secretStorePaths().filter(f => fs.existsSync(f))) {
+        try {
+            stores.push({ file, value: parseStore(fs.readFileSync(file, 'utf-8'), oldSecret) });
+        } catch (err) {
+            console.error(`Cannot read ${file}: ${err.message}. Nothing was changed.`);
+            process.exit(1);
+        }
+    }
+    if (stores.length === 0) {
+        console.log('No stores found, nothing to do.');
+        return;
+    }
+
+    for (const { file, value } of stores) {
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, serializeStore(value, newSecret), { mode: 0o600 });
+        fs.renameSync(tmp, file);
+        console.log(`${decrypt ? 'Decrypted' : 'Re-encrypted'} ${path.basename(file)}`);
+    }
+    console.log(decrypt
+        ? 'Done. Unset DATA_SECRET before starting the monitor.'
+        : 'Done. Set DATA_SECRET to the new value before starting the monitor.');
+}
+
+main();
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep users.json, contacts.json etc. out of the real data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wolt-monitor-auth-'));
+process.env.COOKIE_PATH = path.join(dataDir, 'cookies.json');
+process.env.ADMIN_USER = 'boss';
+process.env.ADMIN_PASSWORD = 'correct horse';
+const { app, hashPassword, verifyPassword } = require('..');
+
+let server;
+let base;
+
+test.before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function post(url, form, cookie) {
+    return fetch(base + url, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...(cookie ? { Cookie: cookie } : {}) },
+        body: new URLSearchParams(form),
+    });
+}
+
+async function signIn(username, password) {
+    const res = await post('/login', { username, password, next: '/' });
+    assert.strictEqual(res.headers.get('location'), '/');
+    const cookie = res.headers.get('set-cookie').split(';')[0];
+    const html = await (await fetch(base + '/', { headers: { Cookie: cookie } })).text();
+    return { cookie, csrf: html.match(/name="_csrf" value="([0-9a-f]+)"/)[1], html };
+}
+
+test('passwords are stored as salted scrypt hashes', () => {
+    const hash = hashPassword('secret-1');
+    assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.notStrictEqual(hash, hashPassword('secret-1'));
+    assert.ok(verifyPassword('secret-1', hash));
+    assert.ok(!verifyPassword('secret-2', hash));
+    assert.ok(!verifyPassword('secret-1', 'plain-text'));
+});
+
+test('every page but /health and /login needs a session', async () => {
+    assert.strictEqual((await fetch(base + '/health')).status, 200);
+    const page = await fetch(base + '/history?type=item', { redirect: 'manual' });
+    assert.strictEqual(page.status, 302);
+    assert.strictEqual(page.headers.get('location'), '/login?next=%2Fhistory%3Ftype%3Ditem');
+    assert.strictEqual((await fetch(base + '/api/status')).status, 401);
+    assert.strictEqual((await post('/api/refresh', {})).status, 401);
+    assert.match((await post('/login', { username: 'boss', password: 'nope' })).headers.get('location'), /^\/login\?.*error=/);
+});
+
+test('POST forms need the session\'s CSRF token', async () => {
+    const { cookie, csrf, html } = await signIn('boss', 'correct horse');
+    assert.ok(!html.includes('name="password"'), 'no shared password fields left on the dashboard');
+    assert.strictEqual((await post('/rules/toggle', { id: 'none' }, cookie)).status, 403);
+    assert.strictEqual((await post('/rules/toggle', { id: 'none', _csrf: 'f'.repeat(csrf.length) }, cookie)).status, 403);
+    assert.strictEqual((await post('/rules/toggle', { id: 'none', _csrf: csrf }, cookie)).status, 302);
+});
+
+test('roles limit what a user sees and can do', async () => {
+    const admin = await signIn('boss', 'correct horse');
+    const added = await post('/users/add', { username: 'Ana', password: 'viewer-pass', role: 'viewer', _csrf: admin.csrf }, admin.cookie);
+    assert.strictEqual(added.headers.get('location'), '/users');
+    assert.ok(JSON.parse(fs.readFileSync(path.join(dataDir, 'users.json'), 'utf-8')).every(u => !JSON.stringify(u).includes('viewer-pass')));
+
+    const viewer = await signIn('ana', 'viewer-pass');
+    assert.ok(!viewer.html.includes('action="/rules/add"'));
+    assert.ok(!viewer.html.includes('action="/auth/magic-link"'));
+    assert.strictEqual((await post('/rules/toggle', { id: 'none', _csrf: viewer.csrf }, viewer.cookie)).status, 403);
+    assert.strictEqual((await fetch(base + '/users', { headers: { Cookie: viewer.cookie } })).status, 403);
+    assert.strictEqual((await fetch(base + '/api/status', { headers: { Cookie: viewer.cookie } })).status, 200);
+
+    // A role change applies to the open session straight away
+    await post('/users/update', { username: 'ana', role: 'admin', _csrf: admin.csrf }, admin.cookie);
+    assert.strictEqual((await post('/rules/toggle', { id: 'none', _csrf: viewer.csrf }, viewer.cookie)).status, 302);
+});
+
+test('scripts can use HTTP Basic auth instead of a session', async () => {
+    const auth = user => ({ Authorization: 'Basic ' + Buffer.from(user).toString('base64') });
+    assert.strictEqual((await fetch(base + '/api/status', { headers: auth('boss:correct horse') })).status, 200);
+    assert.strictEqual((await fetch(base + '/api/status', { headers: auth('boss:wrong') })).status, 401);
+
+    // Checked credentials are remembered, but only until the password changes
+    assert.strictEqual((await fetch(base + '/api/status', { headers: auth('ana:viewer-pass') })).status, 200);
+    assert.strictEqual((await fetch(base + '/api/status', { headers: auth('ana:viewer-pass') })).status, 200);
+    const admin = await signIn('boss', 'correct horse');
+    await post('/users/update', { username: 'ana', password: 'ana-new-pass', _csrf: admin.csrf }, admin.cookie);
+    assert.strictEqual((await fetch(base + '/api/status', { headers: auth('ana:viewer-pass') })).status, 401);
+    assert.strictEqual((await fetch(base + '/api/status', { headers: auth('ana:ana-new-pass') })).status, 200);
+});
+
+test('API tokens are created and revoked in the UI and only open /api/v1', async () => {
+    const admin = await signIn('boss', 'correct horse');
+    const created = await (await post('/tokens/create', { name: 'POS sync', role: 'viewer', _csrf: admin.csrf }, admin.cookie)).text();
+    const token = created.match(/wm_[\w-]{43}/)[0];
+    assert.ok(!fs.readFileSync(path.join(dataDir, 'api-tokens.json'), 'utf-8').includes(token), 'only a hash is stored');
+
+    const bearer = { Authorization: `Bearer ${token}` };
+    const items = await fetch(base + '/api/v1/items?limit=5', { headers: bearer });
+    assert.strictEqual(items.status, 200);
+    assert.deepStrictEqual(await items.json(), { data: [], pagination: { total: 0, limit: 5, offset: 0, nextOffset: null } });
+    const venues = await (await fetch(base + '/api/v1/venues?limit=1', { headers: bearer })).json();
+    assert.strictEqual(venues.pagination.total, 1);
+    assert.strictEqual((await fetch(base + '/api/v1/contacts', { headers: bearer })).status, 403);
+    assert.strictEqual((await fetch(base + '/api/v1/history?from=soon', { headers: bearer })).status, 400);
+    assert.strictEqual((await fetch(base + '/api/status', { headers: bearer })).status, 401);
+    assert.strictEqual((await fetch(base + '/api/v1/openapi.json')).status, 200);
+
+    const id = JSON.parse(fs.readFileSync(path.join(dataDir, 'api-tokens.json'), 'utf-8'))[0].id;
+    await post('/tokens/revoke', { id, _csrf: admin.csrf }, admin.cookie);
+    assert.strictEqual((await fetch(base + '/api/v1/items', { headers: bearer })).status, 401);
+});
+
+test('sign-in only redirects to paths on this site', async () => {
+    for (const next of ['//evil.example', '/\\evil.example', '/\t/evil.example', 'https://evil.example/']) {
+        assert.strictEqual((await post('/login', { username: 'boss', password: 'correct horse', next })).headers.get('location'), '/', next);
+        assert.ok(!(await (await fetch(base + '/login?' + new URLSearchParams({ next }))).text()).includes('evil.example'), next);
+    }
+    assert.strictEqual((await post('/login', { username: 'boss', password: 'correct horse', next: '/history?type=item' })).headers.get('location'), '/history?type=item');
+});
+
+test('repeated wrong passwords lock that username out for the client', async () => {
+    for (let i = 0; i < 5; i++) await post('/login', { username: 'Boss', password: 'guess' });
+    const res = await post('/login', { username: 'boss', password: 'correct horse' });
+    assert.match(new URL(res.headers.get('location'), base).searchParams.get('error'), /^Too many failed attempts/);
+    assert.strictEqual((await post('/login', { username: 'ana', password: 'ana-new-pass', next: '/' })).headers.get('location'), '/', 'other users behind the same IP still sign in');
+});
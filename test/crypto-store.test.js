@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseStore, serializeStore, isEncrypted } = require('../scraper/crypto-store');
+
+const contacts = [{ id: 'c1', name: 'Owner', channel: 'telegram', target: '12345', active: true }];
+
+test('stores round-trip encrypted and plain JSON still reads', () => {
+    const text = serializeStore(contacts, 'first secret');
+    assert.ok(isEncrypted(JSON.parse(text)));
+    assert.ok(!text.includes('12345'), 'nothing readable on disk');
+    assert.deepStrictEqual(parseStore(text, 'first secret'), contacts);
+
+    assert.deepStrictEqual(parseStore(serializeStore(contacts, ''), 'first secret'), contacts);
+    assert.deepStrictEqual(JSON.parse(serializeStore(contacts, '')), contacts);
+});
+
+test('a wrong secret, a missing secret or a modified file is refused', () => {
+    const text = serializeStore(contacts, 'first secret');
+    assert.throws(() => parseStore(text, 'other secret'), /cannot decrypt/);
+    assert.throws(() => parseStore(text, ''), /DATA_SECRET is not set/);
+
+    const envelope = JSON.parse(text);
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+    envelope.data = data.toString('base64');
+    assert.throws(() => parseStore(JSON.stringify(envelope), 'first secret'), /cannot decrypt/);
+});
+
+test('rotate-key re-encrypts every store, or none with the wrong secret', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wolt-monitor-rotate-'));
+    const script = path.join(__dirname, '..', 'scripts', 'rotate-key.js');
+    const run = (env, args = []) => execFileSync(process.execPath, [script, ...args], {
+        env: { ...process.env, COOKIE_PATH: path.join(dataDir, 'cookies.json'), ...env },
+        encoding: 'utf-8',
+        stdio: 'pipe',
+        timeout: 30000,
+    });
+    try {
+        fs.writeFileSync(path.join(dataDir, 'contacts.json'), serializeStore(contacts, 'old'));
+        fs.writeFileSync(path.join(dataDir, 'cookies.json'), serializeStore([{ name: 'token', value: 'x' }], ''));
+        fs.writeFileSync(path.join(dataDir, 'outbox.json'), serializeStore({ entries: [{ kind: 'notify', contact: contacts[0], message: 'Pizza disabled' }], dead: [] }, ''));
+
+        assert.throws(() => run({ DATA_SECRET: 'wrong', NEW_DATA_SECRET: 'new' }), err => err.status === 1);
+        assert.deepStrictEqual(parseStore(fs.readFileSync(path.join(dataDir, 'contacts.json'), 'utf-8'), 'old'), contacts);
+
+        assert.match(run({ DATA_SECRET: 'old', NEW_DATA_SECRET: 'new' }), /Re-encrypted contacts\.json/);
+        for (const file of ['contacts.json', 'cookies.json', 'outbox.json']) {
+            const text = fs.readFileSync(path.join(dataDir, file), 'utf-8');
+            assert.ok(isEncrypted(JSON.parse(text)));
+            assert.doesNotThrow(() => parseStore(text, 'new'));
+            assert.throws(() => parseStore(text, 'old'), /cannot decrypt/);
+        }
+
+        run({ DATA_SECRET: 'new' }, ['--decrypt']);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'contacts.json'), 'utf-8')), contacts);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('an unreadable contact list alerts nobody and is left on disk as it was', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wolt-monitor-contacts-'));
+    const file = path.join(dataDir, 'contacts.json');
+    try {
+        fs.writeFileSync(file, serializeStore(contacts, 'other secret'));
+        const before = fs.readFileSync(file, 'utf-8');
+        const sent = execFileSync(process.execPath, ['-e', `console.log(require(${JSON.stringify(path.join(__dirname, '..'))}).sendAlert('test').length); process.exit(0);`], {
+            env: { ...process.env, COOKIE_PATH: path.join(dataDir, 'cookies.json'), DATA_SECRET: 'first secret', WHATSAPP_CHAT_ID: '355690000000@c.us' },
+            encoding: 'utf-8',
+            stdio: 'pipe',
+            timeout: 30000,
+        });
+        assert.strictEqual(sent.trim().split('\n').pop(), '0', 'not even the built-in default contact');
+        assert.strictEqual(fs.readFileSync(file, 'utf-8'), before);
+        assert.ok(!fs.existsSync(path.join(dataDir, 'outbox.json')));
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
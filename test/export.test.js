@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wolt-monitor-export-'));
+process.env.COOKIE_PATH = path.join(dataDir, 'cookies.json');
+const { crc32, buildXlsx } = require('..');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Reads a ZIP the way unzip does: end record -> central directory -> local
+// headers, checking sizes and CRCs on the way. Returns name -> text.
+function unzip(buf) {
+    const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    assert.ok(end >= 0, 'end of central directory');
+    const count = buf.readUInt16LE(end + 10);
+    let at = buf.readUInt32LE(end + 16);
+    assert.strictEqual(at + buf.readUInt32LE(end + 12), end, 'central directory ends at the end record');
+
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(buf.readUInt32LE(at), 0x02014b50, 'central directory entry');
+        const method = buf.readUInt16LE(at + 10);
+        const crc = buf.readUInt32LE(at + 16);
+        const compressedSize = buf.readUInt32LE(at + 20);
+        const size = buf.readUInt32LE(at + 24);
+        const nameLength = buf.readUInt16LE(at + 28);
+        const extraLength = buf.readUInt16LE(at + 30);
+        const commentLength = buf.readUInt16LE(at + 32);
+        const offset = buf.readUInt32LE(at + 42);
+        const name = buf.subarray(at + 46, at + 46 + nameLength).toString('utf-8');
+
+        assert.strictEqual(buf.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+        assert.strictEqual(buf.readUInt32LE(offset + 14), crc, `local CRC of ${name}`);
+        const start = offset + 30 + buf.readUInt16LE(offset + 26) + buf.readUInt16LE(offset + 28);
+        const stored = buf.subarray(start, start + compressedSize);
+        const data = method === 8 ? zlib.inflateRawSync(stored) : stored;
+        assert.strictEqual(data.length, size, `size of ${name}`);
+        assert.strictEqual(crc32(data), crc, `CRC of ${name}`);
+        files[name] = data.toString('utf-8');
+        at += 46 + nameLength + extraLength + commentLength;
+    }
+    return files;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+});
+
+test('the XLSX is a valid ZIP with content types and the sheet cells', () => {
+    const files = unzip(buildXlsx('Disabled <now>', ['name', 'amount'], [
+        { name: 'Pizza & "Co" ë', amount: 1200 },
+        { name: 'Cola', amount: '' },
+    ]));
+    assert.deepStrictEqual(Object.keys(files), ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml']);
+    assert.match(files['[Content_Types].xml'], /PartName="\/xl\/worksheets\/sheet1\.xml"/);
+    assert.match(files['xl/workbook.xml'], /<sheet name="Disabled &lt;now&gt;"/);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.match(sheet, /<c r="A1" t="inlineStr"><is><t xml:space="preserve">name<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">Pizza &amp; &quot;Co&quot; ë<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="B2"><v>1200<\/v><\/c>/);
+});
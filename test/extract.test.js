@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { extractDisabledItems } = require('../scraper/extract');
+
+const profile = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selectors.json'), 'utf-8'));
+
+// Evaluate the serialized function inside the fixture's window, the same way
+// page.evaluate() ships it to Chromium, and JSON round-trip the result.
+function extract(fixture, options = {}) {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', `${fixture}.html`), 'utf-8');
+    const dom = new JSDOM(html, { runScripts: 'outside-only' });
+    const result = dom.window.eval(`(${extractDisabledItems})(${JSON.stringify(profile)}, ${JSON.stringify(options)})`);
+    return JSON.parse(JSON.stringify(result));
+}
+
+test('standalone DISABLED items carry category, description and price', () => {
+    const result = extract('disabled-items');
+    assert.strictEqual(result.strategy, '[class*="gQlFER"]');
+    assert.strictEqual(result.rowCount, 6);
+    assert.deepStrictEqual(result.items, [
+        { name: 'Pizza Margherita', description: 'Salcë domate, mocarela, borzilok', price: 'ALL 1 200', category: 'Pizza', type: 'item' },
+        { name: 'Coca-Cola 0.33l', description: '', price: 'ALL 200', category: 'Pije', type: 'item' },
+    ]);
+});
+
+test('DISABLED CHOICE (n) groups list only the disabled options, with their surcharge', () => {
+    const result = extract('disabled-choice');
+    assert.deepStrictEqual(result.items, [
+        { name: 'Kërpudha', description: 'Option in: Extra toppings', price: '100 ALL', category: 'Shtesa', type: 'option', optionGroup: 'Extra toppings' },
+        { name: 'Ullinj', description: 'Option in: Extra toppings', price: '+80 ALL', category: 'Shtesa', type: 'option', optionGroup: 'Extra toppings' },
+    ]);
+});
+
+test('options styled with jQyrIl are picked up when no span is [disabled]', () => {
+    const result = extract('jqyril-fallback');
+    assert.deepStrictEqual(result.items, [
+        { name: 'Bukë integrale', description: 'Option in: Zgjidh bukën', price: '50 ALL', category: 'Burger', type: 'option', optionGroup: 'Zgjidh bukën' },
+    ]);
+});
+
+test('full-menu mode lists enabled and disabled items and options', () => {
+    const items = extract('disabled-items', { fullMenu: true });
+    assert.strictEqual(items.items.length, 2);
+    assert.deepStrictEqual(items.menu.map(i => [i.category, i.name, i.price, i.enabled]), [
+        ['Pizza', 'Pizza Margherita', 'ALL 1 200', false],
+        ['Pizza', 'Pizza Diavola', '950 ALL', true],
+        ['Pije', 'Coca-Cola 0.33l', 'ALL 200', false],
+        ['Pije', 'Ujë 0.5l', 'ALL 100', true],
+    ]);
+
+    const options = extract('disabled-choice', { fullMenu: true });
+    assert.deepStrictEqual(options.menu.map(i => [i.type, i.optionGroup, i.name, i.price, i.enabled]), [
+        ['option', 'Extra toppings', 'Proshutë', '150 ALL', true],
+        ['option', 'Extra toppings', 'Kërpudha', '100 ALL', false],
+        ['option', 'Extra toppings', 'Ullinj', '+80 ALL', false],
+        ['option', 'Salca', 'Ketchup', '', true],
+        ['option', 'Salca', 'Majonezë', '', true],
+    ]);
+    assert.strictEqual(extract('disabled-items').menu, null);
+});
+
+test('renamed classes fall back to the DISABLED text anchor', () => {
+    const result = extract('renamed-classes');
+    assert.strictEqual(result.strategy, 'text-anchor');
+    assert.strictEqual(result.rowCount, 1);
+    assert.deepStrictEqual(result.items.map(i => [i.category, i.name]), [['Pizza', 'Pizza Margherita']]);
+    assert.ok(result.menuSignals >= profile.minMenuSignals);
+});
+
+test('a rendered menu with no matching rows reports zero rows, not zero disabled', () => {
+    const result = extract('broken');
+    assert.strictEqual(result.rowCount, 0);
+    assert.deepStrictEqual(result.items, []);
+    assert.ok(result.menuSignals >= profile.minMenuSignals, `menuSignals=${result.menuSignals}`);
+});
+
+test('an empty page is not mistaken for a broken scraper', () => {
+    const dom = new JSDOM('<body><p>Loading…</p></body>', { runScripts: 'outside-only' });
+    const result = dom.window.eval(`(${extractDisabledItems})(${JSON.stringify(profile)})`);
+    assert.strictEqual(result.rowCount, 0);
+    assert.ok(result.menuSignals < profile.minMenuSignals);
+});
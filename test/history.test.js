@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wolt-monitor-history-'));
+process.env.COOKIE_PATH = path.join(dataDir, 'cookies.json');
+process.env.ADMIN_USER = 'boss';
+process.env.ADMIN_PASSWORD = 'correct horse';
+process.env.TIMEZONE = 'Europe/Tirane';
+
+// Off from 00:30 to 01:30 on 19 October, Tirana time (UTC+2)
+const item = { name: 'Pizza Margherita', category: 'Pizza', type: 'item', optionGroup: '', price: 'ALL 900' };
+fs.writeFileSync(path.join(dataDir, 'history.jsonl'), [
+    { at: '2026-10-18T22:30:00.000Z', event: 'disabled', venue: 'main', key: 'Pizza|Pizza Margherita', item },
+    { at: '2026-10-18T23:30:00.000Z', event: 're-enabled', venue: 'main', key: 'Pizza|Pizza Margherita', item },
+    // A drink whose name is a spreadsheet formula, off on 10 October
+    { at: '2026-10-10T10:00:00.000Z', event: 'disabled', venue: 'main', key: 'Drinks|=HYPERLINK("http://x")', item: { ...item, name: '=HYPERLINK("http://x")', category: 'Drinks' } },
+    { at: '2026-10-10T11:00:00.000Z', event: 're-enabled', venue: 'main', key: 'Drinks|=HYPERLINK("http://x")', item: { ...item, name: '=HYPERLINK("http://x")', category: 'Drinks' } },
+].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+const { app } = require('..');
+
+let server;
+let base;
+const headers = { Authorization: 'Basic ' + Buffer.from('boss:correct horse').toString('base64') };
+
+test.before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const history = query => fetch(`${base}/api/history?${query}`, { headers });
+
+test('date-only bounds are whole days in the configured timezone', async () => {
+    const day = await (await history('from=2026-10-19&to=2026-10-19')).json();
+    assert.strictEqual(day.intervals.length, 1);
+    assert.strictEqual(day.totals[0].downtimeMs, 3600000);
+
+    const dayBefore = await (await history('from=2026-10-18&to=2026-10-18')).json();
+    assert.strictEqual(dayBefore.intervals.length, 0, 'already 19 October in Tirana');
+});
+
+test('malformed filters are rejected with 400', async () => {
+    for (const query of ['from=garbage', 'to=2026-13-45', 'name=a&name=b', 'venue[x]=1']) {
+        for (const url of [`/api/history?${query}`, `/api/v1/history?${query}`, `/history?${query}`, `/export/history.csv?${query}`]) {
+            assert.strictEqual((await fetch(base + url, { headers })).status, 400, url);
+        }
+    }
+});
+
+test('CSV exports neutralise cells that Excel would read as formulas', async () => {
+    const csv = await (await fetch(`${base}/export/history.csv?from=2026-10-10&to=2026-10-10`, { headers })).text();
+    assert.ok(csv.includes(`"'=HYPERLINK(""http://x"")"`), csv);
+    assert.ok(!/(^|,)=/m.test(csv));
+});
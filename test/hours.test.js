@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRanges, parseHolidays, isOpen } = require('../scraper/hours');
+
+// Tirana is UTC+2 in October 2026 (summer time until the 25th)
+const hours = {
+    timezone: 'Europe/Tirane',
+    weekly: { mon: '10:00-23:00', tue: '10:00-23:00', wed: '', thu: '11:00-15:00, 18:00-23:00', fri: '18:00-02:00', sat: '18:00-02:00', sun: '' },
+    holidays: [{ date: '2026-10-20', hours: '' }, { date: '2026-10-21', hours: '12:00-14:00' }],
+};
+const at = local => new Date(`${local}:00+02:00`);
+
+test('the weekly timetable is read in the venue timezone', () => {
+    assert.strictEqual(isOpen(hours, at('2026-10-19T09:59')), false);
+    assert.strictEqual(isOpen(hours, at('2026-10-19T10:00')), true);
+    assert.strictEqual(isOpen(hours, at('2026-10-19T22:59')), true);
+    assert.strictEqual(isOpen(hours, at('2026-10-19T23:00')), false);
+    assert.strictEqual(isOpen(hours, at('2026-10-22T16:00')), false, 'closed between lunch and dinner');
+    assert.strictEqual(isOpen(hours, at('2026-10-22T18:30')), true);
+    assert.strictEqual(isOpen({ ...hours, timezone: 'UTC' }, at('2026-10-19T10:30')), false, 'still 08:30 in UTC');
+});
+
+test('ranges past midnight carry into the next day', () => {
+    assert.strictEqual(isOpen(hours, at('2026-10-24T01:30')), true, 'Friday night, early Saturday');
+    assert.strictEqual(isOpen(hours, at('2026-10-24T02:00')), false);
+    assert.strictEqual(isOpen(hours, new Date('2026-10-25T23:30:00Z')), false, '00:30 on Monday (UTC+1 by then) after a closed Sunday');
+});
+
+test('holidays replace the weekly hours of their date', () => {
+    assert.strictEqual(isOpen(hours, at('2026-10-20T12:00')), false, 'closed on a Tuesday holiday');
+    assert.strictEqual(isOpen(hours, at('2026-10-21T13:00')), true, 'short day on a Wednesday');
+    assert.strictEqual(isOpen(hours, at('2026-10-21T14:00')), false);
+});
+
+test('venues without hours are always open, and bad input is rejected', () => {
+    assert.strictEqual(isOpen(null), true);
+    assert.deepStrictEqual(parseRanges('10:00-15:30, 18:00-24:00'), [{ start: 600, end: 930 }, { start: 1080, end: 1440 }]);
+    assert.deepStrictEqual(parseRanges('closed'), []);
+    assert.throws(() => parseRanges('10-22'), /not a time range/);
+    assert.throws(() => parseRanges('10:00-25:00'), /not a time range/);
+    assert.deepStrictEqual(parseHolidays('2026-12-31 10:00-15:00\n\n2026-12-25 closed'), [
+        { date: '2026-12-25', hours: '' },
+        { date: '2026-12-31', hours: '10:00-15:00' },
+    ]);
+    assert.throws(() => parseHolidays('Christmas'), /does not start with a date/);
+});
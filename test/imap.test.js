@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { extractMagicLink, fetchMagicLink, waitForMagicLink } = require('../scraper/imap');
+
+const email = fs.readFileSync(path.join(__dirname, 'fixtures', 'magic-link.eml'), 'utf-8');
+const LINK = 'https://merchant.wolt.com/login/magic?token=abc123def456&email=owner%40example.com';
+
+// A local IMAP stand-in: one mailbox, the handful of commands the client uses
+// and a log of what it was sent
+const mailbox = [];
+const commands = [];
+let server;
+let options;
+
+function imapDate(date) {
+    const month = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][date.getUTCMonth()];
+    return `${String(date.getUTCDate()).padStart(2, ' ')}-${month}-${date.getUTCFullYear()} ${date.toISOString().slice(11, 19)} +0000`;
+}
+
+test.before(() => new Promise(resolve => {
+    server = net.createServer(socket => {
+        socket.write('* OK IMAP4rev1 stand-in ready\r\n');
+        let buffer = '';
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                commands.push(line);
+                const [tag, verb, ...args] = line.split(' ');
+                const rest = args.join(' ');
+                if (verb === 'LOGIN') {
+                    socket.write(rest === '"owner@example.com" "app \\"pass\\""' ? `${tag} OK LOGIN completed\r\n` : `${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+                } else if (verb === 'EXAMINE') {
+                    socket.write(`* ${mailbox.length} EXISTS\r\n${tag} OK [READ-ONLY] EXAMINE completed\r\n`);
+                } else if (verb === 'UID' && args[0] === 'SEARCH') {
+                    const from = rest.match(/FROM "([^"]*)"/);
+                    const uids = mailbox.filter(m => !from || m.from.includes(from[1])).map(m => m.uid);
+                    socket.write(`* SEARCH ${uids.join(' ')}\r\n${tag} OK SEARCH completed\r\n`);
+                } else if (verb === 'UID' && args[0] === 'FETCH') {
+                    const message = mailbox.find(m => m.uid === Number(args[1]));
+                    const body = Buffer.from(message.raw);
+                    socket.write(`* ${mailbox.indexOf(message) + 1} FETCH (UID ${message.uid} INTERNALDATE "${imapDate(message.date)}" BODY[] {${body.length}}\r\n`);
+                    socket.write(Buffer.concat([body, Buffer.from(`)\r\n${tag} OK FETCH completed\r\n`)]));
+                } else if (verb === 'LOGOUT') {
+                    socket.end(`* BYE logging out\r\n${tag} OK LOGOUT completed\r\n`);
+                } else {
+                    socket.write(`${tag} BAD unknown command\r\n`);
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1', () => {
+        options = { host: '127.0.0.1', port: server.address().port, secure: false, user: 'owner@example.com', password: 'app "pass"', from: 'wolt.com', timeout: 5000 };
+        resolve();
+    });
+}));
+
+test.after(() => server.close());
+
+test('the sign-in link is found in quoted-printable text and HTML parts', () => {
+    assert.strictEqual(extractMagicLink(email), LINK);
+    const htmlOnly = email.replace(/--b1_wolt\r\nContent-Type: text\/plain[\s\S]*?(?=--b1_wolt\r\nContent-Type: text\/html)/, '');
+    assert.strictEqual(extractMagicLink(htmlOnly), LINK);
+    assert.strictEqual(extractMagicLink(email, /example\.org/), null);
+});
+
+test('only mail that arrived after the login request counts', async () => {
+    const requestedAt = new Date();
+    mailbox.push({ uid: 7, from: 'no-reply@wolt.com', date: new Date(requestedAt - 3600000), raw: email.replace('abc123def456', 'stale') });
+    mailbox.push({ uid: 8, from: 'news@example.com', date: new Date(), raw: email.replace('abc123def456', 'spoofed') });
+    assert.strictEqual(await fetchMagicLink(options, requestedAt), null);
+
+    mailbox.push({ uid: 9, from: 'no-reply@wolt.com', date: new Date(requestedAt.getTime() + 1000), raw: email });
+    assert.strictEqual(await fetchMagicLink(options, requestedAt), LINK);
+    assert.ok(commands.some(c => / UID FETCH 9 \(INTERNALDATE BODY\.PEEK\[\]\)$/.test(c)), 'messages stay unread');
+    assert.ok(commands.some(c => / EXAMINE "INBOX"$/.test(c)));
+});
+
+test('polling waits for the email to arrive', async () => {
+    mailbox.length = 0;
+    const requestedAt = new Date();
+    setTimeout(() => mailbox.push({ uid: 10, from: 'no-reply@wolt.com', date: new Date(), raw: email }), 120);
+    assert.strictEqual(await waitForMagicLink(options, { since: requestedAt, wait: 2000, pollInterval: 50 }), LINK);
+    assert.strictEqual(await waitForMagicLink(options, { since: new Date(Date.now() + 60000), wait: 100, pollInterval: 50 }), null);
+});
+
+test('a failed poll is retried, and only reported if no link arrives', async () => {
+    mailbox.length = 0;
+    const requestedAt = new Date();
+    let rejectLogins = 2;
+    const flaky = { ...options, get password() { return rejectLogins-- > 0 ? 'wrong' : options.password; } };
+    mailbox.push({ uid: 11, from: 'no-reply@wolt.com', date: new Date(), raw: email });
+    assert.strictEqual(await waitForMagicLink(flaky, { since: requestedAt, wait: 2000, pollInterval: 50 }), LINK);
+
+    await assert.rejects(waitForMagicLink({ ...options, password: 'wrong' }, { since: requestedAt, wait: 150, pollInterval: 50 }), /IMAP LOGIN failed/);
+});
+
+test('a rejected login is reported without the password', async () => {
+    await assert.rejects(fetchMagicLink({ ...options, password: 'wrong' }, new Date()), err => {
+        assert.match(err.message, /^IMAP LOGIN failed: \[AUTHENTICATIONFAILED\]/);
+        assert.ok(!err.message.includes('wrong'));
+        return true;
+    });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wolt-monitor-live-'));
+process.env.COOKIE_PATH = path.join(dataDir, 'cookies.json');
+process.env.ADMIN_USER = 'boss';
+process.env.ADMIN_PASSWORD = 'correct horse';
+const { app } = require('..');
+
+let server;
+let base;
+
+test.before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Reads the stream until an event of the given type arrives
+async function nextEvent(reader, type) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('stream ended');
+        buffer += decoder.decode(value, { stream: true });
+        const match = buffer.match(new RegExp(`event: ${type}\\ndata: (.*)\\n\\n`));
+        if (match) return JSON.parse(match[1]);
+    }
+}
+
+function post(url, form, cookie) {
+    return fetch(base + url, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...(cookie ? { Cookie: cookie } : {}) },
+        body: new URLSearchParams(form),
+    });
+}
+
+async function signIn() {
+    const login = await post('/login', { username: 'boss', password: 'correct horse' });
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    const html = await (await fetch(base + '/', { headers: { Cookie: cookie } })).text();
+    return { cookie, html, csrf: html.match(/name="_csrf" value="([0-9a-f]+)"/)[1], contact: html.match(/data-contact="([^"]+)"/)[1] };
+}
+
+test('the dashboard stream pushes contact changes to admins', async () => {
+    assert.strictEqual((await fetch(base + '/events', { redirect: 'manual' })).status, 302);
+
+    const { cookie, html, csrf, contact: id } = await signIn();
+    assert.ok(!html.includes('location.reload()'), 'the dashboard no longer polls by reloading');
+
+    const controller = new AbortController();
+    const stream = await fetch(base + '/events', { headers: { Cookie: cookie }, signal: controller.signal });
+    assert.strictEqual(stream.headers.get('content-type'), 'text/event-stream');
+    const reader = stream.body.getReader();
+    try {
+        await post('/contacts/toggle', { id, _csrf: csrf }, cookie);
+        const contacts = await nextEvent(reader, 'contacts');
+        assert.deepStrictEqual(contacts.find(c => c.id === id), { id, active: false });
+    } finally {
+        controller.abort();
+    }
+});
+
+test('streams follow role changes and end when the user is removed', async () => {
+    const admin = await signIn();
+    await post('/users/add', { username: 'eve', password: 'eve-password', role: 'admin', _csrf: admin.csrf }, admin.cookie);
+
+    const controller = new AbortController();
+    const own = (await fetch(base + '/events', { headers: { Cookie: admin.cookie }, signal: controller.signal })).body.getReader();
+    // HTTP Basic streams have no session to sign out of
+    const basic = Buffer.from('eve:eve-password').toString('base64');
+    const eve = await fetch(base + '/events', { headers: { Authorization: `Basic ${basic}` }, signal: controller.signal });
+    try {
+        await post('/users/update', { username: 'eve', role: 'viewer', _csrf: admin.csrf }, admin.cookie);
+        await post('/contacts/toggle', { id: admin.contact, _csrf: admin.csrf }, admin.cookie);
+        await nextEvent(own, 'contacts');
+
+        await post('/users/remove', { username: 'eve', _csrf: admin.csrf }, admin.cookie);
+        await post('/contacts/toggle', { id: admin.contact, _csrf: admin.csrf }, admin.cookie);
+        await nextEvent(own, 'contacts');
+
+        const ended = new Promise((resolve, reject) => setTimeout(() => reject(new Error('stream still open')), 5000).unref());
+        const received = await Promise.race([eve.text(), ended]);
+        assert.ok(!received.includes('event: contacts'), 'no contact events once demoted');
+    } finally {
+        controller.abort();
+    }
+});
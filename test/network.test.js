@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseMenuPayloads } = require('../scraper/network');
+
+const profile = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selectors.json'), 'utf-8'));
+const payload = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'menu-api.json'), 'utf-8'));
+
+test('items get their category by id, localized names and minor-unit prices', () => {
+    const { menu } = parseMenuPayloads([payload], profile.network, 'ALL');
+    assert.deepStrictEqual(menu.filter(i => i.type === 'item').map(i => [i.category, i.name, i.price, i.enabled]), [
+        ['Pizza', 'Pizza Margherita', '1,200 ALL', false],
+        ['Pizza', 'Pizza Diavola', '950 ALL', true],
+        ['Drinks', 'Coca-Cola 0.33l', '200 ALL', false],
+    ]);
+});
+
+test('option values nested in an item inherit its category', () => {
+    const { menu } = parseMenuPayloads([payload], profile.network, 'ALL');
+    assert.deepStrictEqual(menu.filter(i => i.type === 'option').map(i => [i.category, i.optionGroup, i.name, i.price, i.enabled]), [
+        ['Pizza', 'Extra toppings', 'Ham', '150 ALL', true],
+        ['Pizza', 'Extra toppings', 'Mushrooms', '100 ALL', false],
+    ]);
+});
+
+test('disabled entries come out in the DOM extractor shape', () => {
+    const result = parseMenuPayloads([payload], profile.network, 'ALL');
+    assert.strictEqual(result.strategy, 'network');
+    assert.strictEqual(result.rowCount, 5);
+    assert.deepStrictEqual(result.items.map(i => i.name), ['Pizza Margherita', 'Mushrooms', 'Coca-Cola 0.33l']);
+    assert.ok(result.items.every(i => !('enabled' in i)));
+});
+
+test('unrelated JSON yields an empty menu', () => {
+    const result = parseMenuPayloads([{ user: { name: 'Ana' } }, [1, 2, 3], null], profile.network, 'ALL');
+    assert.deepStrictEqual(result.menu, []);
+    assert.strictEqual(result.rowCount, 0);
+});
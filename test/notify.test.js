@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// outbox.json goes to a scratch data directory; every channel is configured
+// and pointed at the local stubs below once they listen
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wolt-monitor-notify-'));
+process.env.COOKIE_PATH = path.join(dataDir, 'cookies.json');
+process.env.GREEN_API_INSTANCE = '1101';
+process.env.GREEN_API_TOKEN = 'green-token';
+process.env.TELEGRAM_BOT_TOKEN = '123:telegram';
+process.env.SMTP_HOST = '127.0.0.1';
+process.env.SMTP_FROM = 'Wolt Monitor <monitor@example.com>';
+const { CONFIG, notifyContact, processOutbox, outboxStats } = require('..');
+
+const requests = [];
+const mails = [];
+let httpStub;
+let smtpStub;
+let base;
+
+// Just enough SMTP for nodemailer: no STARTTLS, no auth, one message per DATA
+function smtpSession(socket) {
+    let mail = null;
+    let data = null;
+    let buffer = '';
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            if (data !== null) {
+                if (line === '.') {
+                    mails.push({ ...mail, data: data.join('\n') });
+                    data = null;
+                    socket.write('250 queued\r\n');
+                } else {
+                    data.push(line);
+                }
+            } else if (/^(EHLO|HELO)/i.test(line)) {
+                socket.write('250-stub\r\n250 8BITMIME\r\n');
+            } else if (/^MAIL FROM:/i.test(line)) {
+                mail = { from: line.slice(10), to: [] };
+                socket.write('250 ok\r\n');
+            } else if (/^RCPT TO:/i.test(line)) {
+                mail.to.push(line.slice(8));
+                socket.write('250 ok\r\n');
+            } else if (/^DATA/i.test(line)) {
+                data = [];
+                socket.write('354 go ahead\r\n');
+            } else if (/^QUIT/i.test(line)) {
+                socket.end('221 bye\r\n');
+            } else {
+                socket.write('250 ok\r\n');
+            }
+        }
+    });
+}
+
+test.before(async () => {
+    httpStub = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ url: req.url, body: JSON.parse(body) });
+            res.writeHead(req.url.includes('broken') ? 500 : 200, { 'Content-Type': 'application/json' });
+            res.end('{"ok":true}');
+        });
+    });
+    smtpStub = net.createServer(smtpSession);
+    await new Promise(resolve => httpStub.listen(0, '127.0.0.1', resolve));
+    await new Promise(resolve => smtpStub.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${httpStub.address().port}`;
+    CONFIG.GREEN_API_URL = base;
+    CONFIG.TELEGRAM_API_URL = base;
+    CONFIG.SMTP_PORT = smtpStub.address().port;
+});
+
+test.after(() => {
+    httpStub.close();
+    smtpStub.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function deliver(contact, message) {
+    requests.length = 0;
+    mails.length = 0;
+    assert.ok(notifyContact(contact, message), 'queued');
+    await processOutbox();
+}
+
+test('WhatsApp goes to the Green API instance with the chat ID', async () => {
+    await deliver({ id: 'a', name: 'Owner', channel: 'greenapi', chatId: '355690000000@c.us' }, '🔴 Pizza disabled');
+    assert.deepStrictEqual(requests, [{
+        url: '/waInstance1101/sendMessage/green-token',
+        body: { chatId: '355690000000@c.us', message: '🔴 Pizza disabled' },
+    }]);
+});
+
+test('Telegram goes to the bot API with the numeric chat ID', async () => {
+    await deliver({ id: 'b', name: 'Kitchen', channel: 'telegram', chatId: '-1001234' }, 'Cola re-enabled');
+    assert.deepStrictEqual(requests, [{ url: '/bot123:telegram/sendMessage', body: { chat_id: '-1001234', text: 'Cola re-enabled' } }]);
+});
+
+test('JSON webhooks get the message with the contact name', async () => {
+    await deliver({ id: 'c', name: 'Ops', channel: 'webhook', chatId: `${base}/hooks/ops` }, 'Salad removed');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].url, '/hooks/ops');
+    assert.deepStrictEqual({ ...requests[0].body, timestamp: null }, { source: 'wolt-monitor', contact: 'Ops', message: 'Salad removed', timestamp: null });
+});
+
+test('email is sent over SMTP with the first line as the subject', async () => {
+    await deliver({ id: 'd', name: 'Manager', channel: 'email', chatId: 'manager@example.com' }, 'Daily digest\n• Pizza');
+    assert.strictEqual(mails.length, 1);
+    assert.deepStrictEqual(mails[0].to, ['<manager@example.com>']);
+    assert.strictEqual(mails[0].from, '<monitor@example.com>');
+    assert.match(mails[0].data, /^Subject: Daily digest$/m);
+    assert.match(mails[0].data, /• Pizza|=E2=80=A2 Pizza/);
+});
+
+test('a failed send stays in the outbox for a retry', async () => {
+    const before = outboxStats().pending;
+    await deliver({ id: 'e', name: 'Broken', channel: 'slack', chatId: `${base}/broken` }, 'test');
+    assert.strictEqual(requests.length, 1);
+    assert.deepStrictEqual(requests[0].body, { text: 'test' });
+    assert.strictEqual(outboxStats().pending, before + 1);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePrice, formatPrice } = require('../scraper/price');
+
+test('Albanian lek with space, NBSP and dot thousand separators', () => {
+    assert.deepStrictEqual(parsePrice('ALL 1 200'), { amount: 1200, currency: 'ALL' });
+    assert.deepStrictEqual(parsePrice('ALL\u00A01\u00A0200'), { amount: 1200, currency: 'ALL' });
+    assert.deepStrictEqual(parsePrice('1.200 ALL'), { amount: 1200, currency: 'ALL' });
+    assert.deepStrictEqual(parsePrice('950 Lekë'), { amount: 950, currency: 'ALL' });
+});
+
+test('decimal commas and mixed separators', () => {
+    assert.deepStrictEqual(parsePrice('12,50 €'), { amount: 12.5, currency: 'EUR' });
+    assert.deepStrictEqual(parsePrice('€12.50'), { amount: 12.5, currency: 'EUR' });
+    assert.deepStrictEqual(parsePrice('1.234,50 EUR'), { amount: 1234.5, currency: 'EUR' });
+    assert.deepStrictEqual(parsePrice('1,234.50 USD'), { amount: 1234.5, currency: 'USD' });
+    assert.deepStrictEqual(parsePrice('1 234,50 zł'), { amount: 1234.5, currency: 'PLN' });
+});
+
+test('option surcharges', () => {
+    assert.deepStrictEqual(parsePrice('+100 ALL'), { amount: 100, currency: 'ALL' });
+    assert.deepStrictEqual(parsePrice('+ 1,50 €'), { amount: 1.5, currency: 'EUR' });
+    assert.deepStrictEqual(parsePrice('+100', 'ALL'), { amount: 100, currency: 'ALL' });
+});
+
+test('currency falls back to the venue default, which also settles shared symbols', () => {
+    assert.deepStrictEqual(parsePrice('450', 'MKD'), { amount: 450, currency: 'MKD' });
+    assert.deepStrictEqual(parsePrice('89 kr', 'NOK'), { amount: 89, currency: 'NOK' });
+    assert.deepStrictEqual(parsePrice('89 kr'), { amount: 89, currency: 'SEK' });
+    assert.deepStrictEqual(parsePrice('450'), { amount: 450, currency: null });
+});
+
+test('text without a number has no amount', () => {
+    assert.deepStrictEqual(parsePrice(''), { amount: null, currency: null });
+    assert.deepStrictEqual(parsePrice('Free'), { amount: null, currency: null });
+    assert.deepStrictEqual(parsePrice(undefined), { amount: null, currency: null });
+});
+
+test('formatPrice prints the parsed amount, or the scraped text without one', () => {
+    assert.strictEqual(formatPrice({ amount: 1200, currency: 'ALL' }), '1,200 ALL');
+    assert.strictEqual(formatPrice({ amount: 12.5, currency: 'EUR' }), '12.50 EUR');
+    assert.strictEqual(formatPrice({ price: '1 200' }), '1 200');
+    assert.strictEqual(formatPrice({ amount: null, price: '' }), '');
+});
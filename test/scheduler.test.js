@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScheduler, FIRST_SCAN_DELAY, MAX_SCAN_BACKOFF } = require('../scraper/scheduler');
+
+const INTERVAL = 30000;
+
+// The fields of index.js's createVenueState() the scheduler uses
+function venueState() {
+    return {
+        venue: { id: 'main', name: 'Main', scrapeInterval: INTERVAL },
+        scanTimer: null, nextScanAt: null, scanning: false, scanRequested: false,
+        stopped: true, failedRuns: 0, open: null, lastClosedScrape: 0,
+    };
+}
+
+// Runs stay in progress until finish(outcome) is called
+function fakeRuns() {
+    const runs = [];
+    let pending = null;
+    return {
+        runs,
+        run: (state, trigger) => {
+            runs.push({ trigger, at: Date.now() });
+            return new Promise(resolve => { pending = resolve; });
+        },
+        finish: (outcome = 'ok') => pending({ outcome }),
+    };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+const nextDelay = state => Date.parse(state.nextScanAt) - Date.now();
+
+test.beforeEach(t => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-19T10:00:00Z') });
+    t.mock.method(Math, 'random', () => 0.5); // no jitter
+});
+
+test('the next run is only scheduled once the last one is done', async t => {
+    const { runs, run, finish } = fakeRuns();
+    const scheduler = createScheduler({ run, changed: () => {}, scrapeInterval: 60000 });
+    const state = venueState();
+
+    scheduler.start(state);
+    t.mock.timers.tick(FIRST_SCAN_DELAY);
+    await settle();
+    assert.deepStrictEqual(runs.map(r => r.trigger), ['schedule']);
+    assert.strictEqual(state.scanning, true);
+
+    // A full scan that takes longer than the interval does not stack up runs
+    t.mock.timers.tick(5 * INTERVAL);
+    await settle();
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(state.scanTimer, null);
+
+    finish();
+    await settle();
+    assert.strictEqual(state.scanning, false);
+    assert.strictEqual(nextDelay(state), INTERVAL, 'the venue interval beats the default');
+    t.mock.timers.tick(INTERVAL - 1);
+    await settle();
+    assert.strictEqual(runs.length, 1);
+    t.mock.timers.tick(1);
+    await settle();
+    assert.strictEqual(runs.length, 2);
+
+    scheduler.stop(state);
+    finish();
+    await settle();
+    assert.strictEqual(state.scanTimer, null, 'nothing scheduled after stop');
+});
+
+test('scan now during a run queues a single full scan right after it', async t => {
+    const { runs, run, finish } = fakeRuns();
+    const scheduler = createScheduler({ run, changed: () => {}, scrapeInterval: INTERVAL });
+    const state = venueState();
+
+    scheduler.start(state);
+    t.mock.timers.tick(FIRST_SCAN_DELAY);
+    await settle();
+    scheduler.scanNow(state);
+    scheduler.scanNow(state);
+    scheduler.scanNow(state);
+    assert.strictEqual(runs.length, 1);
+
+    finish();
+    await settle();
+    assert.deepStrictEqual(runs.map(r => r.trigger), ['schedule', 'manual']);
+    assert.strictEqual(runs[1].at, runs[0].at, 'no wait in between');
+    finish();
+    await settle();
+    assert.strictEqual(runs.length, 2);
+    assert.strictEqual(nextDelay(state), INTERVAL);
+
+    // While idle it runs at once and replaces the pending timer
+    scheduler.scanNow(state);
+    finish();
+    await settle();
+    t.mock.timers.tick(INTERVAL);
+    await settle();
+    assert.deepStrictEqual(runs.map(r => r.trigger), ['schedule', 'manual', 'manual', 'schedule']);
+});
+
+test('failed runs back off exponentially up to the cap until a run succeeds', async t => {
+    const outcomes = ['error', 'error', 'error', 'error', 'error', 'error', 'logged-out', 'ok'];
+    const runs = [];
+    const run = () => {
+        runs.push(Date.now());
+        return Promise.resolve({ outcome: outcomes[runs.length - 1] });
+    };
+    const scheduler = createScheduler({ run, changed: () => {}, scrapeInterval: INTERVAL });
+    const state = venueState();
+
+    scheduler.start(state);
+    let delay = FIRST_SCAN_DELAY;
+    const delays = [];
+    for (let i = 0; i < outcomes.length; i++) {
+        t.mock.timers.tick(delay);
+        await settle();
+        delay = nextDelay(state);
+        delays.push(delay);
+    }
+    assert.strictEqual(runs.length, outcomes.length);
+    assert.deepStrictEqual(delays, [60000, 120000, 240000, 480000, MAX_SCAN_BACKOFF, MAX_SCAN_BACKOFF, MAX_SCAN_BACKOFF, INTERVAL]);
+    scheduler.stop(state);
+});
+
+test('delays are jittered by up to 10% either way', t => {
+    const scheduler = createScheduler({ run: () => {}, changed: () => {}, scrapeInterval: INTERVAL });
+    Math.random.mock.mockImplementation(() => 0);
+    assert.strictEqual(scheduler.nextScanDelay(venueState()), 27000);
+    Math.random.mock.mockImplementation(() => 0.999);
+    assert.ok(Math.abs(scheduler.nextScanDelay(venueState()) - 33000) < 100);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { authCookieExpiry, authVerdict } = require('../scraper/session');
+
+const { session } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selectors.json'), 'utf-8'));
+
+// puppeteer's page.cookies() shape: expires in seconds, -1 for browser-session cookies
+const cookie = (name, domain, expiresAt) => ({ name, domain, value: 'x', path: '/', expires: expiresAt ? Date.parse(expiresAt) / 1000 : -1 });
+
+test('the login ends with the last Wolt auth cookie to expire, not the access token', () => {
+    const cookies = [
+        cookie('__wrefresh_token', '.wolt.com', '2026-11-18T09:00:00Z'),
+        cookie('__wtoken', 'merchant.wolt.com', '2026-10-20T09:00:00Z'),
+        cookie('_ga', '.wolt.com', '2026-10-19T12:00:00Z'),
+        cookie('session_id', '.example.com', '2026-10-19T10:00:00Z'),
+        cookie('wolt_session', '.wolt.com', null),
+    ];
+    assert.deepStrictEqual(authCookieExpiry(cookies, session), { name: '__wrefresh_token', expiresAt: '2026-11-18T09:00:00.000Z' });
+
+    // A renewed access token leaves the reported expiry, and so the warning, alone
+    cookies[1] = cookie('__wtoken', 'merchant.wolt.com', '2026-10-20T10:00:00Z');
+    assert.deepStrictEqual(authCookieExpiry(cookies, session), { name: '__wrefresh_token', expiresAt: '2026-11-18T09:00:00.000Z' });
+});
+
+test('no expiry without a matching cookie or a session profile', () => {
+    assert.strictEqual(authCookieExpiry([cookie('wolt_session', '.wolt.com', null)], session), null);
+    assert.strictEqual(authCookieExpiry([cookie('__wtoken', '.wolt.com', '2026-10-20T09:00:00Z')], undefined), null);
+});
+
+test('only 401/403 and 2xx answers say anything about the login', () => {
+    assert.strictEqual(authVerdict(200), true);
+    assert.strictEqual(authVerdict(204), true);
+    assert.strictEqual(authVerdict(401), false);
+    assert.strictEqual(authVerdict(403), false);
+    assert.strictEqual(authVerdict(0), null);
+    assert.strictEqual(authVerdict(302), null);
+    assert.strictEqual(authVerdict(503), null);
+});
+
+test('authenticated portal requests are told apart from other traffic', () => {
+    const api = new RegExp(session.apiPattern, 'i');
+    assert.ok(api.test('https://merchant.wolt.com/api/v1/venues/abc/menu'));
+    assert.ok(api.test('https://restaurant-api.wolt.com/v3/venues/abc/items'));
+    assert.ok(!api.test('https://merchant.wolt.com/venue/abc/menu'));
+    assert.ok(!api.test('https://www.google-analytics.com/g/collect'));
+});
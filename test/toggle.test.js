@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { toggleMenuEntry } = require('../scraper/toggle');
+
+const profile = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'selectors.json'), 'utf-8'));
+
+function load() {
+    const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'toggle-switches.html'), 'utf-8');
+    const dom = new JSDOM(html, { runScripts: 'outside-only' });
+    dom.window.Element.prototype.scrollIntoView = () => {}; // no layout in jsdom
+    const clicked = [];
+    dom.window.document.querySelectorAll('[role="switch"]').forEach(el => el.addEventListener('click', () => clicked.push(el)));
+    const toggle = target => JSON.parse(JSON.stringify(dom.window.eval(`(${toggleMenuEntry})(${JSON.stringify(profile)}, ${JSON.stringify(target)})`)));
+    return { dom, clicked, toggle };
+}
+
+test('clicks the switch of a disabled item to re-enable it', () => {
+    const { clicked, toggle } = load();
+    const result = toggle({ category: 'Pizza', name: 'Pizza Margherita', type: 'item', optionGroup: '', enable: true });
+    assert.deepStrictEqual(result, { found: true, changed: true });
+    assert.strictEqual(clicked.length, 1);
+    assert.strictEqual(clicked[0].closest('.gQlFER').querySelector('.hgTNKZ').textContent, 'Pizza Margherita');
+});
+
+test('leaves an entry alone when it is already in the wanted state', () => {
+    const { clicked, toggle } = load();
+    assert.deepStrictEqual(toggle({ category: 'Pizza', name: 'Pizza Diavola', type: 'item', optionGroup: '', enable: true }), { found: true, changed: false });
+    assert.strictEqual(clicked.length, 0);
+});
+
+test('finds an option by group and name and uses the switch next to it', () => {
+    const { clicked, toggle } = load();
+    const result = toggle({ category: 'Shtesa', name: 'Kërpudha', type: 'option', optionGroup: 'Extra toppings', enable: true });
+    assert.deepStrictEqual(result, { found: true, changed: true });
+    assert.match(clicked[0].previousElementSibling.textContent, /^Kërpudha/);
+});
+
+test('reports rows that are not rendered, or in another category, as not found', () => {
+    const { toggle } = load();
+    assert.deepStrictEqual(toggle({ category: 'Pizza', name: 'Calzone', type: 'item', optionGroup: '', enable: true }), { found: false, changed: false });
+    assert.deepStrictEqual(toggle({ category: 'Pije', name: 'Pizza Diavola', type: 'item', optionGroup: '', enable: false }), { found: false, changed: false });
+});
+
+test('never borrows a neighbouring option\'s switch', () => {
+    const { dom, clicked, toggle } = load();
+    dom.window.document.querySelectorAll('[role="switch"]')[3].remove(); // Kërpudha's
+    const result = toggle({ category: 'Shtesa', name: 'Kërpudha', type: 'option', optionGroup: 'Extra toppings', enable: true });
+    assert.deepStrictEqual(result, { found: true, changed: false, error: 'No availability switch next to the option' });
+    assert.strictEqual(clicked.length, 0);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// webhooks.json and outbox.json go to a scratch data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wolt-monitor-webhooks-'));
+process.env.COOKIE_PATH = path.join(dataDir, 'cookies.json');
+const { emitWebhookEvent, processOutbox, outboxStats } = require('..');
+
+const received = [];
+let status = 200;
+let held = null;
+let receiver;
+let url;
+
+test.before(() => new Promise(resolve => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ url: req.url, headers: req.headers, body });
+            // /slow answers only once another request has come in
+            if (req.url === '/slow') {
+                held = res;
+                return;
+            }
+            res.writeHead(status);
+            res.end();
+            if (held) held.end();
+        });
+    });
+    receiver.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${receiver.address().port}/hook`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    receiver.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function subscribe(webhooks) {
+    fs.writeFileSync(path.join(dataDir, 'webhooks.json'), JSON.stringify(webhooks));
+}
+
+test('events go only to matching subscriptions, signed with their secret', async () => {
+    subscribe([
+        { id: 'wh_pos', name: 'POS', url, secret: 'whsec_pos', events: ['item.disabled'], venueId: '', active: true },
+        { id: 'wh_ops', name: 'Ops', url, secret: 'whsec_ops', events: ['session.expired'], venueId: '', active: true },
+        { id: 'wh_other', name: 'Other venue', url, secret: 'whsec_x', events: ['item.disabled'], venueId: 'elsewhere', active: true },
+        { id: 'wh_paused', name: 'Paused', url, secret: 'whsec_y', events: ['item.disabled'], venueId: '', active: false },
+    ]);
+    emitWebhookEvent('item.disabled', { key: 'Pizza | Margherita | ' }, 'main');
+    await processOutbox();
+
+    assert.strictEqual(received.length, 1);
+    const { headers, body } = received[0];
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.event, 'item.disabled');
+    assert.deepStrictEqual(payload.data, { key: 'Pizza | Margherita | ' });
+    assert.strictEqual(headers['x-wolt-monitor-event'], 'item.disabled');
+    assert.strictEqual(headers['x-wolt-monitor-delivery'], payload.id);
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'whsec_pos').update(`${headers['x-wolt-monitor-timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['x-wolt-monitor-signature'], expected);
+    assert.ok(JSON.parse(fs.readFileSync(path.join(dataDir, 'webhooks.json'), 'utf-8'))[0].lastDeliveredAt);
+});
+
+test('failed deliveries are retried with the same delivery id', async () => {
+    received.length = 0;
+    status = 500;
+    emitWebhookEvent('session.expired', { at: new Date().toISOString() });
+    await processOutbox();
+    assert.strictEqual(outboxStats().pending, 1);
+
+    // Pretend the backoff has passed
+    status = 204;
+    const outbox = JSON.parse(fs.readFileSync(path.join(dataDir, 'outbox.json'), 'utf-8'));
+    assert.strictEqual(outbox.entries[0].lastError.startsWith('HTTP 500'), true);
+    const { nextAttemptAt } = outbox.entries[0];
+    const realNow = Date.now;
+    Date.now = () => nextAttemptAt + 1;
+    try {
+        await processOutbox();
+    } finally {
+        Date.now = realNow;
+    }
+
+    assert.strictEqual(outboxStats().pending, 0);
+    assert.strictEqual(received.length, 2);
+    assert.strictEqual(received[0].headers['x-wolt-monitor-delivery'], received[1].headers['x-wolt-monitor-delivery']);
+    assert.deepStrictEqual(received.map(r => r.headers['x-wolt-monitor-attempt']), ['1', '2']);
+});
+
+// Resolves once check() holds, or fails after `ms`
+async function until(check, ms = 3000) {
+    const deadline = Date.now() + ms;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('timed out');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('a slow endpoint does not hold up deliveries queued after it started', async () => {
+    received.length = 0;
+    const base = url.replace(/\/hook$/, '');
+    subscribe([
+        { id: 'wh_slow', name: 'Slow', url: `${base}/slow`, secret: 'whsec_slow', events: ['item.disabled'], venueId: '', active: true },
+        { id: 'wh_fast', name: 'Fast', url: `${base}/fast`, secret: 'whsec_fast', events: ['session.expired'], venueId: '', active: true },
+    ]);
+    emitWebhookEvent('item.disabled', { key: 'Cola | | ' }, 'main');
+    const slowRun = processOutbox();
+    await until(() => received.length === 1);
+
+    // Queued while /slow is still waiting for its answer
+    emitWebhookEvent('session.expired', { at: new Date().toISOString() });
+    await until(() => received.length === 2);
+    await slowRun;
+
+    assert.deepStrictEqual(received.map(r => r.url), ['/slow', '/fast']);
+    assert.strictEqual(outboxStats().pending, 0);
+});